@@ -100,6 +100,22 @@ fastify.setErrorHandler((error, request, reply) => {
   });
 });
 
+// Helper function to reply to a failed service call: an invalid benefit schema is a bad request
+function sendServiceError(request, reply, locale, error) {
+  request.log.error(error);
+  if (error.validationErrors) {
+    return reply.status(error.statusCode ?? 400).send({
+      error: translate(locale, "errors.badRequest"),
+      message: error.message,
+      validationErrors: error.validationErrors,
+    });
+  }
+  return reply.status(error.statusCode ?? 500).send({
+    error: translate(locale, "errors.internalServerError"),
+    message: error.message,
+  });
+}
+
 // Main eligibility check endpoint
 fastify.post(
   "/check-eligibility",
@@ -119,6 +135,16 @@ fastify.post(
             enum: ["en", "hi"],
             description: "Language locale (en for English, hi for Hindi)",
           },
+          asOf: {
+            type: "string",
+            format: "date",
+            description: "Date of the check (YYYY-MM-DD, default today), for application windows and date-relative criteria such as age or document expiry",
+          },
+          sortBy: {
+            type: "string",
+            enum: ["entitlement"],
+            description: "Order eligible benefits by the amount of their entitlement, highest first",
+          },
         },
         additionalProperties: false, 
       },
@@ -133,14 +159,9 @@ fastify.post(
       userProfile,
       benefitsList,
       strictChecking,
-      locale
-    ).catch(error => {
-      request.log.error(error);
-      return reply.status(error.statusCode ?? 500).send({
-        error: translate(locale, "errors.internalServerError"),
-        message: error.message,
-      });
-    });
+      locale,
+      { asOf: request.query.asOf, sortBy: request.query.sortBy }
+    ).catch(error => sendServiceError(request, reply, locale, error));
   }
 );
 
@@ -158,11 +179,26 @@ fastify.post(
             default: false,
             description: "Enable strict eligibility checking",
           },
+          rankByScore: {
+            type: "boolean",
+            default: false,
+            description: "Rank eligible users by score for schemes with a scoring block",
+          },
+          allocateSeats: {
+            type: "boolean",
+            default: false,
+            description: "Allocate the seats of the scheme's allocation block into selected, waitlisted and notEligible",
+          },
           locale: {
             type: "string",
             enum: ["en", "hi"],
             description: "Language locale (en for English, hi for Hindi)",
           },
+          asOf: {
+            type: "string",
+            format: "date",
+            description: "Date of the check (YYYY-MM-DD, default today), for application windows and date-relative criteria such as age or document expiry",
+          },
         },
         additionalProperties: false, 
       },
@@ -182,14 +218,13 @@ fastify.post(
       userProfiles,
       { ...benefitSchema, eligibility: benefitCriteria },
       strictChecking,
-      locale
-    ).catch(error => {
-      request.log.error(error);
-      return reply.status(error.statusCode ?? 500).send({
-        error: translate(locale, "errors.internalServerError"),
-        message: error.message,
-      });
-    });
+      locale,
+      {
+        rankByScore: Boolean(request.query.rankByScore),
+        allocateSeats: Boolean(request.query.allocateSeats),
+        asOf: request.query.asOf,
+      }
+    ).catch(error => sendServiceError(request, reply, locale, error));
   }
 );
 
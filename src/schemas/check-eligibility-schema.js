@@ -34,6 +34,11 @@ const userProfileSchema = {
       ],
     },
     income: { type: "number", description: "Annual income in INR" },
+    existingBenefits: {
+      type: "array",
+      items: { anyOf: [{ type: "string" }, { type: "object" }] },
+      description: "Benefits the user already receives, as benefit ids or { id, name }",
+    },
   },
 };
 
@@ -56,26 +61,264 @@ const benefitEligibleSchema = {
               type: "array",
               items: {
                 type: "object",
-                required: ["id", "type", "description", "criteria"],
+                description:
+                  "A criterion ({ id, type, description, criteria }) or a group of entries: { all: [...] }, { any: [...] }, { none: [...] } or { atLeast: n, of: [...] }",
+                anyOf: [
+                  { required: ["id", "type", "description", "criteria"] },
+                  { required: ["all"] },
+                  { required: ["any"] },
+                  { required: ["none"] },
+                  { required: ["atLeast", "of"] },
+                ],
                 properties: {
                   id: { type: "string" },
+                  all: { type: "array", description: "Group that passes when every entry passes" },
+                  any: { type: "array", description: "Group that passes when at least one entry passes" },
+                  none: { type: "array", description: "Group that passes when no entry passes" },
+                  atLeast: { type: "integer", minimum: 1, description: "Number of entries in \"of\" that must pass" },
+                  of: { type: "array" },
+                  points: { type: "number", description: "Points added to the score when the entry passes (with a scoring block)" },
+                  weight: { type: "number", description: "Alias of points" },
                   type: { type: "string" },
                   description: { type: "string" },
                   criteria: {
                     type: "object",
-                    required: ["name", "condition", "conditionValues"],
+                    description: "Criteria of the rule type; the required fields depend on the type (see the rule metadata)",
                     properties: {
                       name: { type: "string" },
                       condition: { type: "string" },
                       conditionValues: {
                         type: ["string", "number", "array"],
                       },
+                      dataType: {
+                        type: "string",
+                        enum: ["number", "integer", "string", "boolean", "date", "enum"],
+                        description: "Type used to compare values; detected from conditionValues when omitted",
+                      },
+                      enumValues: {
+                        type: "array",
+                        items: { type: "string" },
+                        description: "Allowed values when dataType is enum",
+                      },
+                      unit: {
+                        type: "string",
+                        description: "Unit of conditionValues, e.g. perMonth, perAnnum, acre, hectare, lakh",
+                      },
+                      profileUnit: {
+                        type: "string",
+                        description: "Unit of the profile value, converted into unit before comparing",
+                      },
+                      label: {
+                        type: ["string", "object"],
+                        description: "Field label used in reasons, text or per locale, e.g. { \"en\": \"Land holding\", \"hi\": \"भूमि जोत\" }",
+                      },
+                      currency: {
+                        type: "string",
+                        description: "ISO 4217 currency code, e.g. INR, to show values as amounts in reasons",
+                      },
+                      members: {
+                        type: "string",
+                        description: "household: path of the member list in the profile (default familyMembers)",
+                      },
+                      includeApplicant: {
+                        type: "boolean",
+                        description: "household: count the applicant as a member",
+                      },
+                      quantifier: {
+                        type: "string",
+                        enum: ["any", "all", "none"],
+                        description: "household: how many members must match the \"where\" criteria",
+                      },
+                      aggregate: {
+                        type: "string",
+                        enum: ["sum", "count", "min", "max"],
+                        description: "household: aggregate of the member field \"name\" (count: of matching members), compared using condition",
+                      },
+                      where: {
+                        type: "array",
+                        description: "household: member criteria ({ name, condition, conditionValues }) a member must all meet",
+                        items: { type: "object", required: ["name", "condition"] },
+                      },
+                      compareWith: {
+                        type: "string",
+                        description: "consistency: field path compared with \"name\", e.g. documents.aadhaar.name",
+                      },
+                      compareWithLabel: {
+                        type: ["string", "object"],
+                        description: "consistency: label of compareWith used in reasons",
+                      },
+                      match: {
+                        type: "string",
+                        enum: ["exact", "name", "number", "date", "age"],
+                        description: "consistency: how the values are compared (default exact)",
+                      },
+                      threshold: {
+                        type: "number",
+                        description: "consistency: name similarity required, above 0 and at most 1 (default 0.85)",
+                      },
+                      tolerance: {
+                        type: "number",
+                        description: "consistency: allowed absolute difference for numbers, or years for age",
+                      },
+                      tolerancePercent: {
+                        type: "number",
+                        description: "consistency: allowed difference for numbers as a percentage of compareWith",
+                      },
+                      validateFormat: {
+                        type: "boolean",
+                        description: "userDocument: validate the document number format and check digit (default: false)",
+                      },
+                      documentFormat: {
+                        type: "string",
+                        description: "userDocument: format to validate against when it differs from the document type, e.g. aadhaar, pan, ifsc, voterId, rationCard",
+                      },
+                      stateField: {
+                        type: "string",
+                        description: "userDocument: profile field with the state for state specific number formats (default state)",
+                      },
+                      requireCredential: {
+                        type: "boolean",
+                        description: "userDocument: the document must be a signed verifiable credential; its fields are read from credentialSubject",
+                      },
+                      include: {
+                        type: "array",
+                        items: { oneOf: [{ type: "string" }, { type: "object" }] },
+                        description: "geography: eligible areas, e.g. \"Maharashtra\", { state, district, block } or { pincode }",
+                      },
+                      exclude: {
+                        type: "array",
+                        items: { oneOf: [{ type: "string" }, { type: "object" }] },
+                        description: "geography: excluded areas, in the same forms as include",
+                      },
+                      fields: {
+                        type: "object",
+                        description: "geography: profile paths of state, district, block and pincode (default: the fields of those names)",
+                      },
                     },
                   },
                 },
               },
             },
             // },
+            derivedAttributes: {
+              type: "array",
+              description: "Computed attributes evaluated before the criteria, e.g. perCapitaIncome = income / familySize",
+              items: {
+                type: "object",
+                required: ["name", "expression"],
+                properties: {
+                  name: { type: "string" },
+                  expression: { type: "string" },
+                },
+              },
+            },
+            valueSynonyms: {
+              type: "object",
+              description:
+                "Benefit specific alias dictionaries per field, { field: { canonical: [aliases] } }, applied with the bundled state, caste and gender dictionaries",
+              additionalProperties: {
+                type: "object",
+                additionalProperties: { type: "array", items: { type: "string" } },
+              },
+            },
+            scoring: {
+              type: "object",
+              description: "Points based eligibility: entries declaring points add them to the score when they pass",
+              required: ["threshold"],
+              properties: {
+                threshold: { type: "number", description: "Minimum score to be eligible" },
+                description: { type: "string" },
+                tieBreakers: {
+                  type: "array",
+                  description: "Profile fields ordering applicants with equal scores",
+                  items: {
+                    type: "object",
+                    required: ["field"],
+                    properties: {
+                      field: { type: "string" },
+                      order: { type: "string", enum: ["asc", "desc"] },
+                    },
+                  },
+                },
+              },
+            },
+            entitlement: {
+              type: "object",
+              description: "Amount paid to eligible applicants: the sum of its components, limited by cap",
+              required: ["components"],
+              properties: {
+                currency: { type: "string", description: "ISO 4217 currency code (default: INR)" },
+                period: { type: "string", description: "Period the amount is paid for, e.g. perMonth or perAnnum" },
+                cap: { type: "number", minimum: 0, description: "Highest total amount" },
+                components: {
+                  type: "array",
+                  items: {
+                    type: "object",
+                    required: ["type"],
+                    properties: {
+                      id: { type: "string" },
+                      type: { type: "string", enum: ["fixed", "slab", "perUnit"] },
+                      label: { type: ["string", "object"] },
+                      amount: { type: "number", minimum: 0, description: "Fixed amount, or the amount per unit of a perUnit component" },
+                      field: { type: "string", description: "Profile field a slab or perUnit component depends on" },
+                      unit: { type: "string", description: "Unit of the slab limits; the profile value is converted into it" },
+                      valueUnit: { type: "string", description: "Unit of the profile value when it does not carry one" },
+                      slabs: {
+                        type: "array",
+                        description: "Slabs in rising order; the first whose upTo (inclusive) is not below the profile value applies",
+                        items: {
+                          type: "object",
+                          required: ["amount"],
+                          properties: {
+                            upTo: { type: "number" },
+                            amount: { type: "number", minimum: 0 },
+                          },
+                        },
+                      },
+                      where: {
+                        type: "object",
+                        description: "For a list field, the entries counted as units, e.g. { \"relation\": [\"son\", \"daughter\"] }",
+                        additionalProperties: true,
+                      },
+                      maxUnits: { type: "integer", minimum: 0 },
+                      cap: { type: "number", minimum: 0, description: "Highest amount of the component" },
+                    },
+                  },
+                },
+              },
+            },
+            applicationOpens: {
+              type: "string",
+              description: "First day applications are accepted: YYYY-MM-DD, or MM-DD for a window recurring every year",
+            },
+            applicationCloses: {
+              type: "string",
+              description: "Last day applications are accepted: YYYY-MM-DD, or MM-DD for a window recurring every year",
+            },
+            eligibilityAsOf: {
+              type: "string",
+              description: "Date the criteria are evaluated on, e.g. age as on 1st April: YYYY-MM-DD, or MM-DD in the year of the check",
+            },
+            excludes: {
+              type: "array",
+              description: "Benefit ids this benefit cannot be combined with; fails when the applicant already receives one (existingBenefits)",
+              items: {
+                anyOf: [
+                  { type: "string" },
+                  { type: "object", required: ["id"], properties: { id: { type: "string" }, name: { type: "string" } } },
+                ],
+              },
+            },
+            requires: {
+              type: "array",
+              description: "Benefit ids whose beneficiaries this benefit is for: received already (existingBenefits) or claimed together",
+              items: {
+                anyOf: [
+                  { type: "string" },
+                  { type: "object", required: ["id"], properties: { id: { type: "string" }, name: { type: "string" } } },
+                ],
+              },
+            },
             eligibilityEvaluationLogic: {
               type: "string",
               additionalProperties: true,
@@ -123,6 +366,53 @@ const benefitEligibleSchema = {
             },
           },
         },
+        needsMoreInformation: {
+          type: "array",
+          items: {
+            type: "object",
+            properties: {
+              schemaId: {
+                type: "string",
+                description: "ID of the benefit scheme whose eligibility depends on missing information",
+              },
+              missingFields: {
+                type: "array",
+                items: { type: "string" },
+                description: "Profile fields and documents that would settle eligibility",
+              },
+              details: {
+                type: "object",
+                description: "Additional eligibility details or messages",
+                additionalProperties: true,
+              },
+            },
+          },
+        },
+        closed: {
+          type: "array",
+          description: "Benefits outside their application window on the date of the check",
+          items: {
+            type: "object",
+            properties: {
+              schemaId: { type: "string" },
+              applicationWindow: {
+                type: "object",
+                description: "Application window on the date of the check",
+                properties: {
+                  status: { type: "string", enum: ["open", "notYetOpen", "closed"] },
+                  opens: { type: "string" },
+                  closes: { type: "string" },
+                  asOf: { type: "string" },
+                },
+              },
+              details: {
+                type: "object",
+                description: "Additional eligibility details or messages",
+                additionalProperties: true,
+              },
+            },
+          },
+        },
         errors: {
           type: "array",
           items: {
@@ -133,6 +423,44 @@ const benefitEligibleSchema = {
             },
           },
         },
+        combinations: {
+          type: "array",
+          description: "Largest sets of eligible benefit ids that can be claimed together",
+          items: { type: "array", items: { type: "string" } },
+        },
+        conflicts: {
+          type: "array",
+          description: "Pairs of eligible benefits that cannot be claimed together",
+          items: {
+            type: "object",
+            properties: {
+              schemaIds: { type: "array", items: { type: "string" } },
+              reason: { type: "string" },
+            },
+          },
+        },
+        entitlementTotals: {
+          type: "array",
+          description: "Entitlements of the eligible benefits added up per currency and period",
+          items: {
+            type: "object",
+            properties: {
+              currency: { type: "string" },
+              period: { type: "string" },
+              amount: { type: "number" },
+              schemaIds: { type: "array", items: { type: "string" } },
+              incomplete: {
+                type: "array",
+                items: { type: "string" },
+                description: "Eligible benefits whose amount depends on missing profile fields",
+              },
+            },
+          },
+        },
+        asOf: {
+          type: "string",
+          description: "Date of the check (YYYY-MM-DD)",
+        },
       },
     },
     400: {
@@ -143,6 +471,11 @@ const benefitEligibleSchema = {
           description: "Error message",
         },
         message: { type: "string", description: "Detailed error message" },
+        validationErrors: {
+          type: "array",
+          description: "Problems found in the benefit schema",
+          items: { type: "string" },
+        },
       },
     },
     500: {
@@ -0,0 +1,173 @@
+const fs = require("fs");
+const path = require("path");
+const logger = require("../utils/logger");
+const VerificationProviderInterface = require("./interfaces/VerificationProviderInterface");
+const VerifiedFlagProvider = require("./verification/verifiedFlagProvider");
+const FileStubProvider = require("./verification/fileStubProvider");
+const VerifiableCredentialProvider = require("./verification/verifiableCredentialProvider");
+const { isVerifiableCredential } = require("../utils/verifiableCredentials");
+
+const DEFAULT_TIMEOUT_MS = 5000;
+
+/**
+ * Selects and runs the verification provider of each document type. The configuration is read from the
+ * JSON file named by DOCUMENT_VERIFICATION_CONFIG. Without a provider for their type, verifiable credentials use
+ * the "verifiableCredential" provider and other documents the default provider ("verifiedFlag").
+ * @example
+ * // DOCUMENT_VERIFICATION_CONFIG file
+ * {
+ *     "defaultProvider": "verifiedFlag",
+ *     "timeoutMs": 5000,
+ *     "documentTypes": {
+ *         "aadhaar": { "provider": "fileStub", "options": { "file": "./test/fixtures/documentRegistry.json" } },
+ *         "rationCard": { "module": "./providers/stateRegistryProvider.js", "options": { "url": "..." }, "timeoutMs": 3000 }
+ *     }
+ * }
+ *
+ * // A provider registered at startup
+ * documentVerification.registerProvider("stateRegistry", StateRegistryProvider);
+ *
+ * await documentVerification.verify("aadhaar", { number: "2345 6789 0124" });
+ * // { status: "verified", provider: "fileStub", details: { source: "fileStub" } }
+ */
+class DocumentVerification {
+  constructor() {
+    this.providerClasses = new Map();
+    this.instances = new Map();
+    this.config = {};
+  }
+
+  /**
+   * Register a provider class under a name usable in the configuration
+   * @param {string} name - Provider name
+   * @param {Function} ProviderClass - Class extending VerificationProviderInterface
+   * @returns {DocumentVerification} The service, for chaining
+   * @throws {Error} When the class does not extend VerificationProviderInterface
+   */
+  registerProvider(name, ProviderClass) {
+    if (typeof ProviderClass !== "function" || !(ProviderClass.prototype instanceof VerificationProviderInterface)) {
+      throw new Error(`Verification provider ${name} must be a class extending VerificationProviderInterface`);
+    }
+    this.providerClasses.set(name, ProviderClass);
+    this.instances.clear();
+    return this;
+  }
+
+  /**
+   * Replace the configuration
+   * @param {Object} config - { defaultProvider, timeoutMs, documentTypes: { type: { provider | module, options, timeoutMs } } }
+   * @returns {DocumentVerification} The service, for chaining
+   */
+  configure(config = {}) {
+    this.config = config || {};
+    this.instances.clear();
+    return this;
+  }
+
+  /**
+   * Load the configuration from a JSON file; a file that cannot be read is logged and ignored
+   * @param {string} file - Configuration file
+   * @returns {DocumentVerification} The service, for chaining
+   */
+  loadConfig(file) {
+    try {
+      const config = JSON.parse(fs.readFileSync(path.resolve(file), "utf8"));
+      // Module paths are relative to the configuration file
+      const baseDirectory = path.dirname(path.resolve(file));
+      Object.values(config.documentTypes || {})
+        .filter((typeConfig) => typeof typeConfig?.module === "string")
+        .forEach((typeConfig) => {
+          typeConfig.module = path.resolve(baseDirectory, typeConfig.module);
+        });
+      return this.configure(config);
+    } catch (error) {
+      logger.error(`Error loading document verification config from ${file}:`, error);
+      return this;
+    }
+  }
+
+  /**
+   * Provider instance for a document type, created on first use
+   * @param {string} documentType - Document type
+   * @param {*} [document] - The document; verifiable credentials default to the "verifiableCredential" provider
+   * @returns {{name: string, provider: VerificationProviderInterface, timeoutMs: number}}
+   * @throws {Error} When the configured provider is unknown or its module cannot be loaded; the error carries "provider"
+   */
+  getProvider(documentType, document) {
+    const typeConfig = this.config.documentTypes?.[documentType] || {};
+    const defaultProvider = isVerifiableCredential(document)
+      ? "verifiableCredential"
+      : this.config.defaultProvider ?? "verifiedFlag";
+    const name = typeConfig.module ?? typeConfig.provider ?? defaultProvider;
+    const timeoutMs = typeConfig.timeoutMs ?? this.config.timeoutMs ?? DEFAULT_TIMEOUT_MS;
+    const providerName = typeConfig.module ? path.basename(typeConfig.module, ".js") : name;
+
+    const cacheKey = `${documentType}\u0000${name}`;
+    if (!this.instances.has(cacheKey)) {
+      let ProviderClass = this.providerClasses.get(name);
+      if (!ProviderClass && typeConfig.module) {
+        try {
+          const loaded = require(typeConfig.module);
+          ProviderClass = loaded?.ProviderClass ?? loaded;
+        } catch (error) {
+          throw Object.assign(error, { provider: providerName });
+        }
+        if (typeof ProviderClass !== "function" || !(ProviderClass.prototype instanceof VerificationProviderInterface)) {
+          throw Object.assign(
+            new Error(`Verification provider ${name} must export a class extending VerificationProviderInterface`),
+            { provider: providerName }
+          );
+        }
+      }
+      if (!ProviderClass) throw Object.assign(new Error(`Unknown verification provider: ${name}`), { provider: providerName });
+      this.instances.set(cacheKey, new ProviderClass(typeConfig.options || {}));
+    }
+    return { name: providerName, provider: this.instances.get(cacheKey), timeoutMs };
+  }
+
+  /**
+   * Verify a document with the provider configured for its type. Never rejects: timeouts and provider
+   * errors are returned as statuses "timeout" and "error".
+   * @param {string} documentType - Document type (key in userProfile.documents)
+   * @param {Object} document - Document to verify
+   * @param {Object} [context] - { userProfile, locale, asOf }, passed on to the provider
+   * @returns {Promise<{status: string, provider: string, message: string, details: Object, timeoutMs: number}>}
+   *   status is "verified", "unverified", "notFound", "revoked", "timeout" or "error", or for credentials also
+   *   "malformed", "unsupportedProof", "untrustedIssuer", "invalidSignature", "expired" or "notYetValid"
+   */
+  verify(documentType, document, context = {}) {
+    let selected;
+    try {
+      selected = this.getProvider(documentType, document);
+    } catch (error) {
+      logger.error(`Error selecting the verification provider for ${documentType}:`, error);
+      return Promise.resolve({ status: "error", provider: error.provider ?? documentType, message: error.message });
+    }
+
+    const { name, provider, timeoutMs } = selected;
+    let timer;
+    const timeout = new Promise((resolve) => {
+      timer = setTimeout(() => resolve({ status: "timeout", provider: name, timeoutMs }), timeoutMs);
+    });
+    const verification = Promise.resolve()
+      .then(() => provider.verify(document, { ...context, documentType }))
+      .then((result) => ({ ...result, status: result?.status || "unverified", provider: name }))
+      .catch((error) => {
+        logger.error(`Verification provider ${name} failed for ${documentType}:`, error);
+        return { status: "error", provider: name, message: error.message };
+      });
+
+    return Promise.race([verification, timeout]).finally(() => clearTimeout(timer));
+  }
+}
+
+const documentVerification = new DocumentVerification();
+documentVerification.registerProvider("verifiedFlag", VerifiedFlagProvider);
+documentVerification.registerProvider("fileStub", FileStubProvider);
+documentVerification.registerProvider("verifiableCredential", VerifiableCredentialProvider);
+
+if (process.env.DOCUMENT_VERIFICATION_CONFIG) {
+  documentVerification.loadConfig(process.env.DOCUMENT_VERIFICATION_CONFIG);
+}
+
+module.exports = documentVerification;
@@ -1,8 +1,36 @@
 const {
   checkBenefitEligibility,
 } = require("../utils/benefitSchemaEligibility.js");
+const { resolveAsOfDate } = require("../utils/eligibilityUtils.js");
 const logger = require("../utils/logger.js");
 const { translate } = require("../utils/i18n.js");
+const { rankByScore } = require("../utils/scoring.js");
+const { getBenefitRelations, resolveBenefitRelations } = require("../utils/benefitRelations.js");
+const { getApplicationWindow } = require("../utils/applicationWindow.js");
+const { validateAllocation, allocateSeats } = require("../utils/seatAllocation.js");
+const { createSchemaError } = require("../utils/benefitSchemaValidator.js");
+const { totalEntitlements } = require("../utils/entitlement.js");
+
+const toIsoDate = (date) => date.toISOString().slice(0, 10);
+
+/**
+ * Collect the benefit level declarations that checkBenefitEligibility needs besides the criteria
+ * @param {Object} benefit - Benefit schema
+ * @param {Date} [asOf] - Date of the check, when one was requested
+ * @param {string} locale - Locale for error messages (default: "en")
+ * @returns {Object} Evaluation options for checkBenefitEligibility
+ * @throws {Error} When eligibilityAsOf is not a valid date
+ */
+function getEvaluationOptions(benefit, asOf, locale = "en") {
+  return {
+    // eligibilityAsOf (a date, or a month-day in the year of the check) fixes the date the criteria are evaluated on
+    asOf: benefit.eligibilityAsOf ? resolveAsOfDate(benefit.eligibilityAsOf, asOf, locale) : asOf,
+    derivedAttributes: benefit.derivedAttributes,
+    valueSynonyms: benefit.valueSynonyms,
+    scoring: benefit.scoring,
+    entitlement: benefit.entitlement,
+  };
+}
 
 class EligibilityService {
   /**
@@ -10,7 +38,18 @@ class EligibilityService {
    * @param {Object} userProfile - User profile data
    * @param {Array} benefits - Array of benefit schemas
    * @param {Object} eligibilityEvaluationLogic - Optional custom rules
-   * @returns {Promise<Object>} Eligibility results
+   * @param {Object} [options]
+   * @param {Date|string} [options.asOf] - Date of the check (default: today). Application windows are checked on it,
+   *   and criteria are evaluated on it unless the benefit declares its own "eligibilityAsOf"
+   * @param {string} [options.sortBy] - "entitlement" orders eligible benefits by the amount of their entitlement,
+   *   highest first
+   * @returns {Promise<Object>} Eligibility results bucketed into eligible, ineligible, needsMoreInformation
+   *   (eligibility depends on profile fields or documents that are missing, listed in "missingFields"), closed
+   *   (benefits outside their applicationOpens / applicationCloses window on the date of the check) and errors.
+   *   Benefits declaring "excludes" or "requires" (other benefit ids) are then checked against each other and the
+   *   profile's "existingBenefits"; "combinations" lists the largest sets of eligible benefits that can be claimed
+   *   together and "conflicts" the pairs of eligible benefits that cannot. "entitlementTotals" adds up the
+   *   entitlements of the eligible benefits per currency and period
    * @example
    * // Example user profile
    * const userProfile = {
@@ -36,7 +75,10 @@ class EligibilityService {
    *             "criteria": {
    *                 "name": "income",
    *                 "condition": "lte",
-   *                 "conditionValues": 270000
+   *                 "conditionValues": 22500,
+   *                 "dataType": "number",
+   *                 "unit": "perMonth",
+   *                 "profileUnit": "perAnnum"
    *             }
    *         }
    *     ],
@@ -70,6 +112,7 @@ class EligibilityService {
    *         }
    *     ],
    *     "ineligible": [],
+   *     "needsMoreInformation": [],
    *     "errors": []
    * }
    * 
@@ -91,9 +134,15 @@ class EligibilityService {
    *             "applicationId": "A124",
    *             "details": {
    *                 "isEligible": false,
-   *                 "reasons": [
-   *                     "Income 300000 exceeds the maximum limit of 270000"
-   *                 ],
+   *                 // The limit is shown in the unit of conditionValues, the profile value in its own unit
+   *                 "reasons": [{
+   *                     "type": "userProfile",
+   *                     "field": "income",
+   *                     "reason": "Annual income 3,00,000 per annum is more than the limit of 22,500 per month",
+   *                     "userValue": 300000,
+   *                     "requiredValue": 22500,
+   *                     "condition": "lte"
+   *                 }],
    *                 "evaluationResults": {
    *                     "212": false
    *                 },
@@ -102,7 +151,7 @@ class EligibilityService {
    *                         "ruleKey": 212,
    *                         "passed": false,
    *                         "description": "The Total Annual income of parents/guardians of the applicant must not exceed ₹22500/month (i.e. ₹2.7 Lakh per Annum)",
-   *                         "reasons": ["Income 300000 exceeds the maximum limit of 270000"]
+   *                         "reasons": [{ "reason": "Annual income 3,00,000 per annum is more than the limit of 22,500 per month", ... }]
    *                     }
    *                 ]
    *             }
@@ -111,7 +160,15 @@ class EligibilityService {
    *     "errors": []
    * }
    */
-  checkBenefitsEligibility(userProfile, benefits, strictChecking, locale = "en") {
+  checkBenefitsEligibility(userProfile, benefits, strictChecking, locale = "en", options = {}) {
+    let checkDate;
+    try {
+      // Date of the check (default: today); application windows are checked on it
+      checkDate = resolveAsOfDate(undefined, options.asOf, locale);
+    } catch (error) {
+      return Promise.reject(error);
+    }
+
     return Promise.all(
       benefits.map(async (benefit) => {
         try {
@@ -122,19 +179,25 @@ class EligibilityService {
           // Get eligibility criteria from the benefit schema
           const benefitCriteria = benefit.eligibility;
 
+          // Malformed relations to other benefits are reported with the benefit
+          getBenefitRelations(benefit, locale);
+          const applicationWindow = getApplicationWindow(benefit, checkDate, locale);
+
           // Check eligibility using the utility function
           const eligibilityResult = await checkBenefitEligibility(
             userProfile,
             benefitCriteria,
             eligibilityEvaluationLogic,
             strictChecking,
-            locale
+            locale,
+            getEvaluationOptions(benefit, options.asOf && checkDate, locale)
           );
 
           return {
             schemaId: benefit.id,
-            details: eligibilityResult,
-            isEligible: eligibilityResult.isEligible,
+            benefit,
+            open: !applicationWindow || applicationWindow.status === "open",
+            details: { ...eligibilityResult, ...(applicationWindow && { applicationWindow }) },
           };
         } catch (error) {
           logger.error("Error in checkBenefitsEligibility:", error);
@@ -146,18 +209,38 @@ class EligibilityService {
         }
       })
     ).then((results) => {
-      return results.reduce(
+      // Exclusions and prerequisites between benefits are resolved once every benefit has been checked
+      const { entries, combinations, conflicts } = resolveBenefitRelations(
+        results.filter((result) => !result.isError),
+        { userProfile, strictChecking, locale }
+      );
+      let position = 0;
+      const checked = results.map((result) => (result.isError ? result : entries[position++]));
+
+      return checked.reduce(
         (acc, result) => {
           if (result.isError) {
             acc.errors.push({
               schemaId: result.schemaId,
               error: result.error,
             });
-          } else if (result.isEligible) {
+          } else if (!result.open) {
+            acc.closed.push({
+              schemaId: result.schemaId,
+              applicationWindow: result.details.applicationWindow,
+              details: result.details,
+            });
+          } else if (result.details.isEligible) {
             acc.eligible.push({
               schemaId: result.schemaId,
               details: result.details,
             });
+          } else if (result.details.needsMoreInformation) {
+            acc.needsMoreInformation.push({
+              schemaId: result.schemaId,
+              missingFields: result.details.missingFields,
+              details: result.details,
+            });
           } else {
             acc.ineligible.push({
               schemaId: result.schemaId,
@@ -166,8 +249,15 @@ class EligibilityService {
           }
           return acc;
         },
-        { eligible: [], ineligible: [], errors: [] }
+        { eligible: [], ineligible: [], needsMoreInformation: [], closed: [], errors: [], combinations, conflicts, asOf: toIsoDate(checkDate) }
       );
+    }).then((grouped) => {
+      // Highest amount first; benefits without an amount keep their order after those with one
+      const amountOf = (entry) => entry.details.entitlement?.amount ?? -Infinity;
+      const eligible = options.sortBy === "entitlement"
+        ? [...grouped.eligible].sort((a, b) => (amountOf(a) === amountOf(b) ? 0 : amountOf(b) - amountOf(a)))
+        : grouped.eligible;
+      return { ...grouped, eligible, entitlementTotals: totalEntitlements(grouped.eligible) };
     });
   }
 
@@ -175,7 +265,17 @@ class EligibilityService {
    * Check which users are eligible for a specific benefit scheme
    * @param {Array} userProfiles - Array of user profiles
    * @param {Object} scheme - Benefit scheme to check against
-   * @returns {Promise<Object>} List of eligible and ineligible users with reasons
+   * @param {boolean} strictChecking - Whether to perform strict checking
+   * @param {string} locale - Locale for reason messages (default: "en")
+   * @param {Object} [options]
+   * @param {boolean} [options.rankByScore] - For schemes with a scoring block, order eligibleUsers by score
+   *   (then by the scoring tie-breakers) and add a 1-based "rank" to each
+   * @param {Date|string} [options.asOf] - Date of the check (default: today), as for checkBenefitsEligibility
+   * @param {boolean} [options.allocateSeats] - Allocate the seats of the scheme's "allocation" block (see allocateSeats):
+   *   eligibleUsers and ineligibleUsers are then replaced by "selected", "waitlisted", "notEligible" and "seats"
+   * @returns {Promise<Object>} List of eligible and ineligible users with reasons. The scheme's "excludes" and
+   *   "requires" relations are checked against each user's "existingBenefits". When the scheme is outside its
+   *   application window on the date of the check, the users are listed under "closed" instead
    * @example
    * // Example with eligible case
    * const userProfile = [{
@@ -303,7 +403,17 @@ class EligibilityService {
    *     "errors": []
    * }
    */
-  checkUsersEligibility(userProfiles, benefit, strictChecking, locale = "en") {
+  checkUsersEligibility(userProfiles, benefit, strictChecking, locale = "en", options = {}) {
+    let checkDate;
+    try {
+      // Date of the check (default: today); the application window is checked on it
+      checkDate = resolveAsOfDate(undefined, options.asOf, locale);
+      const allocationErrors = options.allocateSeats ? validateAllocation(benefit.allocation, locale) : [];
+      if (allocationErrors.length > 0) throw createSchemaError(allocationErrors, locale);
+    } catch (error) {
+      return Promise.reject(error);
+    }
+
     return Promise.all(
       userProfiles.map(async (userProfile) => {
         try {
@@ -313,6 +423,7 @@ class EligibilityService {
 
           // Get eligibility criteria from the benefit schema
           const benefitCriteria = benefit.eligibility;
+          const applicationWindow = getApplicationWindow(benefit, checkDate, locale);
 
           // Check eligibility using the utility function
           const eligibilityResult = await checkBenefitEligibility(
@@ -320,13 +431,27 @@ class EligibilityService {
             benefitCriteria,
             eligibilityEvaluationLogic,
             strictChecking,
-            locale
+            locale,
+            getEvaluationOptions(benefit, options.asOf && checkDate, locale)
           );
 
+          // Exclusions and prerequisites are checked against the benefits the user already receives
+          const [{ details }] = resolveBenefitRelations(
+            [{
+              schemaId: benefit.id,
+              benefit,
+              details: { ...eligibilityResult, ...(applicationWindow && { applicationWindow }) },
+            }],
+            { userProfile, strictChecking, locale }
+          ).entries;
+
           return {
             applicationId: userProfile.applicationId,
-            details: eligibilityResult,
-            isEligible: eligibilityResult.isEligible,
+            details,
+            isEligible: details.isEligible,
+            needsMoreInformation: details.needsMoreInformation === true,
+            open: !applicationWindow || applicationWindow.status === "open",
+            userProfile,
           };
         } catch (error) {
           logger.error("Error in checkUsersEligibility:", error);
@@ -345,10 +470,24 @@ class EligibilityService {
               applicationId: result.applicationId,
               error: result.error,
             });
+          } else if (!result.open) {
+            acc.closed.push({
+              applicationId: result.applicationId,
+              details: result.details,
+            });
           } else if (result.isEligible) {
             acc.eligibleUsers.push({
               applicationId: result.applicationId,
               details: result.details,
+              // Only kept until ranking, for the tie-breakers
+              score: result.details.score,
+              userProfile: result.userProfile,
+            });
+          } else if (result.needsMoreInformation) {
+            acc.needsMoreInformation.push({
+              applicationId: result.applicationId,
+              missingFields: result.details.missingFields,
+              details: result.details,
             });
           } else {
             acc.ineligibleUsers.push({
@@ -358,8 +497,24 @@ class EligibilityService {
           }
           return acc;
         },
-        { eligibleUsers: [], ineligibleUsers: [], errors: [] }
+        { eligibleUsers: [], ineligibleUsers: [], needsMoreInformation: [], closed: [], errors: [], asOf: toIsoDate(checkDate) }
       );
+    }).then((grouped) => {
+      if (options.allocateSeats) {
+        const { eligibleUsers, ineligibleUsers, ...rest } = grouped;
+        const { selected, waitlisted, seats } = allocateSeats(eligibleUsers, benefit.allocation, { scoring: benefit.scoring, locale });
+        return { selected, waitlisted, notEligible: ineligibleUsers, ...rest, seats };
+      }
+      const rank = Boolean(options.rankByScore && benefit.scoring);
+      const eligibleUsers = rank ? rankByScore(grouped.eligibleUsers, benefit.scoring) : grouped.eligibleUsers;
+      return {
+        ...grouped,
+        eligibleUsers: eligibleUsers.map(({ applicationId, details, rank: position }) => ({
+          applicationId,
+          ...(rank && { rank: position }),
+          details,
+        })),
+      };
     });
   }
 }
@@ -16,11 +16,34 @@ class RuleInterface {
    * @param {Object} userProfile - The user profile to verify
    * @param {Object} criteria - The criteria to verify against
    * @param {boolean} strictCheckingFromQuery - Whether to apply strict checking rules
+   * @param {string} locale - Locale for reason messages
+   * @param {Object} [options] - Evaluation options
+   * @param {Date|string} [options.asOf] - Date against which date-relative conditions are evaluated
    * @returns {Promise<Object>}
    */
-  async execute(userProfile, criteria, strictCheckingFromQuery) {
+  async execute(userProfile, criteria, strictCheckingFromQuery, locale, options) {
     throw new Error("verify() must be implemented by subclass");
   }
+
+  /**
+   * Evaluates criteria and returns the reasons together with evaluation details
+   * (e.g. the normalized profile value) that are reported in the criteria result.
+   * Rules that only implement execute() are wrapped so that they keep working.
+   * @param {Object} userProfile - The user profile to verify
+   * @param {Object} criteria - The criteria to verify against
+   * @param {boolean} strictCheckingFromQuery - Whether to apply strict checking rules
+   * @param {string} locale - Locale for reason messages
+   * @param {Object} [options] - Evaluation options
+   * @returns {Promise<{reasons: Array}>} Reasons (empty if passed) plus optional details. Rules that cannot
+   *   decide the criterion because data is missing return no reasons and the missing fields in "missingFields".
+   *   Reasons for a value that is missing (with strict checking) carry code "missingValue", and reasons for a
+   *   criterion that could not be evaluated at all carry code "evaluationError"
+   */
+  evaluate(userProfile, criteria, strictCheckingFromQuery, locale, options) {
+    return Promise.resolve(
+      this.execute(userProfile, criteria, strictCheckingFromQuery, locale, options)
+    ).then(reasons => ({ reasons: Array.isArray(reasons) ? reasons : [] }));
+  }
 }
 
 module.exports = RuleInterface;
@@ -0,0 +1,30 @@
+class VerificationProviderInterface {
+  /**
+   * @param {Object} config - Provider options from the document verification configuration
+   */
+  constructor(config = {}) {
+    this.config = config;
+  }
+
+  /**
+   * Verifies a document with its issuer or a trusted source, e.g. an issuer lookup by document number
+   * or the signature of a verifiable credential.
+   * Should resolve to:
+   *   { status: "verified" }
+   *   { status: "unverified" | "notFound" | "revoked", message: "..." }
+   * with any provider specific details under "details". Errors should be thrown (or the promise rejected);
+   * they are reported as provider errors, and slow providers are cut off by the configured timeout.
+   * @param {Object} document - Document from userProfile.documents
+   * @param {Object} context
+   * @param {string} context.documentType - Document type (key in userProfile.documents)
+   * @param {Object} context.userProfile - The user profile
+   * @param {string} context.locale - Locale for messages
+   * @param {Date} [context.asOf] - Date against which validity periods are checked
+   * @returns {Promise<{status: string, message: string, details: Object}>}
+   */
+  async verify(document, context) {
+    throw new Error("verify() must be implemented by subclass");
+  }
+}
+
+module.exports = VerificationProviderInterface;
@@ -0,0 +1,147 @@
+const fs = require("fs");
+const path = require("path");
+const logger = require("../utils/logger");
+const RuleInterface = require("./interfaces/RuleInterface");
+const UserProfileRule = require("./rules/userProfileRule");
+const UserDocumentRule = require("./rules/userDocumentRule");
+const HouseholdRule = require("./rules/householdRule");
+const ConsistencyRule = require("./rules/consistencyRule");
+const GeographyRule = require("./rules/geographyRule");
+
+// Rule type names as used in the "type" of eligibility criteria, e.g. "userProfile"
+const RULE_TYPE_PATTERN = /^[A-Za-z][A-Za-z0-9_-]*$/;
+
+/**
+ * Registry of the rule types criteria can use. Built-in rules are registered when the module is loaded,
+ * together with any rules found in the directory named by RULE_PLUGINS_DIR.
+ * @example
+ * // Register a third-party rule at startup
+ * const ruleRegistry = require("./services/ruleRegistry");
+ * class IncomeCertificateRule extends RuleInterface {
+ *     static get metadata() {
+ *         return { conditions: ["lte", "gte"], requiredCriteriaFields: ["name", "condition"] };
+ *     }
+ *     async execute(userProfile, criteria, strictChecking, locale) { ... }
+ * }
+ * ruleRegistry.register("incomeCertificate", IncomeCertificateRule);
+ *
+ * // A plugin file in RULE_PLUGINS_DIR exports the same, e.g.
+ * // module.exports = { type: "incomeCertificate", RuleClass: IncomeCertificateRule };
+ */
+class RuleRegistry {
+  constructor() {
+    this.rules = new Map();
+  }
+
+  /**
+   * Register a rule type
+   * @param {string} type - Name used as the criteria "type"
+   * @param {Function} RuleClass - Class extending RuleInterface
+   * @param {Object} [metadata] - Defaults to the class's static metadata
+   * @param {Array<string>} [metadata.conditions] - Canonical conditions the rule supports
+   * @param {Array<string>} [metadata.requiredCriteriaFields] - Criteria fields every criterion of this type needs
+   * @param {Function} [metadata.validateCriteria] - (criteria, locale) => Array<string> of errors, for checks beyond required fields
+   * @returns {RuleRegistry} The registry, for chaining
+   * @throws {Error} When the type name or the class is invalid
+   */
+  register(type, RuleClass, metadata = RuleClass?.metadata) {
+    if (typeof type !== "string" || !RULE_TYPE_PATTERN.test(type)) {
+      throw new Error(`Invalid rule type name: ${String(type)}`);
+    }
+    if (typeof RuleClass !== "function" || !(RuleClass.prototype instanceof RuleInterface)) {
+      throw new Error(`Rule type ${type} must be a class extending RuleInterface`);
+    }
+    if (this.rules.has(type)) {
+      logger.warn(`Rule type ${type} is already registered and will be replaced`);
+    }
+    this.rules.set(type, {
+      RuleClass,
+      metadata: {
+        conditions: metadata?.conditions,
+        requiredCriteriaFields: metadata?.requiredCriteriaFields ?? [],
+        description: metadata?.description,
+        validateCriteria: metadata?.validateCriteria,
+      },
+    });
+    return this;
+  }
+
+  /**
+   * Remove a rule type
+   * @param {string} type - Rule type name
+   * @returns {boolean} Whether the type was registered
+   */
+  unregister(type) {
+    return this.rules.delete(type);
+  }
+
+  /**
+   * Get the rule class registered for a type
+   * @param {string} type - Rule type name
+   * @returns {Function|null} Rule class, or null when the type is unknown
+   */
+  get(type) {
+    return typeof type === "string" && this.rules.has(type) ? this.rules.get(type).RuleClass : null;
+  }
+
+  /**
+   * Get the metadata of a rule type
+   * @param {string} type - Rule type name
+   * @returns {Object|null} { conditions, requiredCriteriaFields, description, validateCriteria }, or null when the type is unknown
+   */
+  getMetadata(type) {
+    return typeof type === "string" && this.rules.has(type) ? this.rules.get(type).metadata : null;
+  }
+
+  /**
+   * List the registered rule types with their metadata
+   * @returns {Array<Object>} [{ type, conditions, requiredCriteriaFields, description }]
+   */
+  list() {
+    return [...this.rules.entries()].map(([type, { metadata }]) => ({ type, ...metadata }));
+  }
+
+  /**
+   * Register the rules exported by the .js files of a directory. A file exports either
+   * { type, RuleClass, metadata } or a rule class with a static "type".
+   * A file that cannot be loaded is logged and skipped.
+   * @param {string} directory - Directory with rule plugins
+   * @returns {Array<string>} Registered rule types
+   */
+  loadPlugins(directory) {
+    const resolved = path.resolve(directory);
+    let files;
+    try {
+      files = fs.readdirSync(resolved).filter((file) => file.endsWith(".js")).sort();
+    } catch (error) {
+      logger.error(`Error reading rule plugins from ${resolved}:`, error);
+      return [];
+    }
+
+    return files.reduce((registered, file) => {
+      try {
+        const plugin = require(path.join(resolved, file));
+        const RuleClass = typeof plugin === "function" ? plugin : plugin.RuleClass;
+        const type = typeof plugin === "function" ? plugin.type : plugin.type ?? RuleClass?.type;
+        this.register(type, RuleClass, plugin.metadata ?? RuleClass?.metadata);
+        registered.push(type);
+      } catch (error) {
+        logger.error(`Error loading rule plugin ${file}:`, error);
+      }
+      return registered;
+    }, []);
+  }
+}
+
+const ruleRegistry = new RuleRegistry();
+ruleRegistry.register("userProfile", UserProfileRule);
+ruleRegistry.register("userDocument", UserDocumentRule);
+ruleRegistry.register("household", HouseholdRule);
+ruleRegistry.register("consistency", ConsistencyRule);
+ruleRegistry.register("geography", GeographyRule);
+
+if (process.env.RULE_PLUGINS_DIR) {
+  ruleRegistry.loadPlugins(process.env.RULE_PLUGINS_DIR);
+}
+
+module.exports = ruleRegistry;
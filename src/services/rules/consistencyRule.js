@@ -0,0 +1,324 @@
+const {
+  getValueByPath,
+  parseDate,
+  parseFieldPath,
+  calculateAge,
+  resolveAsOfDate,
+} = require("../../utils/eligibilityUtils");
+const RuleInterface = require("../interfaces/RuleInterface");
+const { translate } = require("../../utils/i18n");
+const { normalizeValue } = require("../../utils/valueNormalizer");
+const { nameSimilarity } = require("../../utils/nameMatcher");
+const { convertUnit, unwrapUnitValue } = require("../../utils/units");
+const { formatValue, getFieldLabel } = require("../../utils/formatters");
+
+const MATCH_TYPES = ["exact", "name", "number", "date", "age"];
+const DEFAULT_NAME_THRESHOLD = 0.85;
+
+// Reason types of mismatches, kept apart from ordinary ineligibility so reviewers can flag them
+const MISMATCH_TYPES = {
+  exact: "valueMismatch",
+  name: "nameMismatch",
+  number: "valueMismatch",
+  date: "dateMismatch",
+  age: "ageMismatch",
+};
+
+const isMissingValue = (value) => value === undefined || value === null || value === "";
+
+/**
+ * Rule class for checking that two values of the profile agree with each other, e.g. the profile
+ * against a document in userProfile.documents. Mismatches are reported with their own reason types
+ * (nameMismatch, valueMismatch, dateMismatch, ageMismatch) and category "consistency".
+ * @class
+ * @extends RuleInterface
+ * @example
+ * // Example 1: Name on the Aadhaar document fuzzy-matches the profile name
+ * const userProfile = {
+ *     "name": "Sunita Devi",
+ *     "documents": { "aadhaar": { "type": "aadhaar", "name": "Smt. Sunita Devi", "verified": true } }
+ * };
+ *
+ * const criteria = {
+ *     "name": "name",
+ *     "compareWith": "documents.aadhaar.name",
+ *     "match": "name",
+ *     "threshold": 0.85
+ * };
+ *
+ * const rule = new ConsistencyRule();
+ * const result = await rule.execute(userProfile, criteria, false);
+ * // Returns:
+ * [] // Titles, case and word order are ignored
+ *
+ * // Example 2: Income on the income certificate within 10% of the profile income
+ * const criteria = {
+ *     "name": "income",
+ *     "compareWith": "documents.incomeCertificate.annualIncome",
+ *     "match": "number",
+ *     "tolerancePercent": 10,
+ *     "currency": "INR"
+ * };
+ * // With income 1,80,000 and a certificate for 2,40,000, returns:
+ * [{
+ *     "type": "valueMismatch",
+ *     "category": "consistency",
+ *     "field": "income",
+ *     "compareWith": "documents.incomeCertificate.annualIncome",
+ *     "reason": "Annual income ₹1,80,000 differs from annualIncome on the incomeCertificate document ₹2,40,000 by ₹60,000, more than the allowed ₹24,000",
+ *     "description": "",
+ *     "userValue": 180000,
+ *     "comparedValue": 240000,
+ *     "difference": 60000,
+ *     "condition": "number"
+ * }]
+ *
+ * // Example 3: Stated age agrees with the date of birth
+ * const criteria = { "name": "age", "compareWith": "dateOfBirth", "match": "age", "tolerance": 1 };
+ */
+class ConsistencyRule extends RuleInterface {
+  /**
+   * Metadata used to validate benefit schemas against this rule type
+   * @returns {{conditions: Array<string>, requiredCriteriaFields: Array<string>, validateCriteria: Function}}
+   */
+  static get metadata() {
+    return {
+      description: "Checks that two values agree: profile fields against each other or against documents",
+      conditions: [],
+      requiredCriteriaFields: ["name", "compareWith"],
+      validateCriteria: ConsistencyRule.validateCriteria,
+    };
+  }
+
+  /**
+   * Check the match settings of consistency criteria
+   * @param {Object} criteria - Criteria from the benefit schema
+   * @param {string} locale - Locale for error messages (default: "en")
+   * @returns {Array<string>} Localized errors
+   */
+  static validateCriteria(criteria, locale = "en") {
+    const errors = [];
+    if (criteria.match !== undefined && !MATCH_TYPES.includes(criteria.match)) {
+      errors.push(translate(locale, "errors.unsupportedConsistencyMatch", { value: String(criteria.match) }));
+    }
+    if (criteria.threshold !== undefined && !(Number.isFinite(criteria.threshold) && criteria.threshold > 0 && criteria.threshold <= 1)) {
+      errors.push(translate(locale, "errors.invalidConsistencyThreshold", { value: String(criteria.threshold) }));
+    }
+    ["tolerance", "tolerancePercent"]
+      .filter((field) => criteria[field] !== undefined && !(Number.isFinite(criteria[field]) && criteria[field] >= 0))
+      .forEach((field) => {
+        errors.push(translate(locale, "errors.invalidConsistencyTolerance", { field, value: String(criteria[field]) }));
+      });
+    return errors;
+  }
+
+  execute(userProfile, criteria, strictCheckingFromQuery, locale = "en", options = {}) {
+    return this.evaluate(userProfile, criteria, strictCheckingFromQuery, locale, options)
+      .then(result => result.reasons);
+  }
+
+  /**
+   * Evaluate the criteria and report details alongside the reasons
+   * @param {Object} userProfile - The user profile, with documents under "documents"
+   * @param {Object} criteria - name and compareWith (field paths, e.g. "documents.aadhaar.name"),
+   *   match ("exact", "name", "number", "date" or "age"), threshold for names (0 to 1, default 0.85),
+   *   tolerance (absolute, or years for age) and tolerancePercent for numbers
+   * @param {boolean} strictCheckingFromQuery - Whether a missing value is a failure
+   * @param {string} locale - Locale for reason messages (default: "en")
+   * @param {Object} [options] - Evaluation options (asOf, valueSynonyms)
+   * @returns {Promise<{reasons: Array, similarity: number, missingFields: Array<string>}>} similarity is
+   *   present for name matches; missingFields is present when, without strict checking, a value is missing
+   */
+  evaluate(userProfile, criteria, strictCheckingFromQuery, locale = "en", options = {}) {
+    const reasons = [];
+    const match = criteria.match || "exact";
+
+    // Use strictChecking from query param if provided, else from criteria
+    const strictChecking = typeof strictCheckingFromQuery === 'boolean'
+      ? strictCheckingFromQuery
+      : Boolean(criteria.strictChecking);
+
+    const fail = (type, reason, details = {}) => {
+      reasons.push({
+        type,
+        ...(type !== "consistency" && { category: "consistency" }),
+        field: criteria.name,
+        compareWith: criteria.compareWith,
+        reason,
+        description: criteria.description || "",
+        ...details,
+      });
+      return { reasons };
+    };
+
+    const value = getValueByPath(userProfile, criteria.name);
+    const comparedValue = getValueByPath(userProfile, criteria.compareWith);
+    const missingFields = [
+      ...(isMissingValue(value) ? [criteria.name] : []),
+      ...(isMissingValue(comparedValue) ? [criteria.compareWith] : []),
+    ];
+    if (missingFields.length > 0) {
+      if (strictChecking) {
+        return Promise.resolve(
+          fail("consistency", translate(locale, "errors.missingUserProfileField", { field: missingFields.join(", ") }), {
+            code: "missingValue",
+          })
+        );
+      }
+      return Promise.resolve({ reasons, missingFields });
+    }
+
+    const labels = {
+      field: this.describeField(criteria.name, locale, criteria.label),
+      otherField: this.describeField(criteria.compareWith, locale, criteria.compareWithLabel),
+    };
+
+    return Promise.resolve()
+      .then(() => {
+        const comparison = this.compare(value, comparedValue, match, criteria, locale, options);
+        if (!comparison.messageKey) return { reasons, ...comparison };
+
+        const { messageKey, messageValues, ...details } = comparison;
+        return fail(MISMATCH_TYPES[match], translate(locale, messageKey, { ...labels, ...messageValues }), {
+          userValue: value,
+          comparedValue,
+          ...details,
+          condition: match,
+        });
+      })
+      .catch(error => fail("consistency", translate(locale, "errors.errorCheckingCriteria", { message: error.message }), {
+        code: "evaluationError",
+      }));
+  }
+
+  /**
+   * Compare the two values
+   * @param {*} value - Value of criteria.name
+   * @param {*} comparedValue - Value of criteria.compareWith
+   * @param {string} match - Match type
+   * @param {Object} criteria - Criteria from the benefit schema
+   * @param {string} locale - Locale for messages
+   * @param {Object} options - Evaluation options
+   * @returns {Object} Details of the comparison; mismatches also carry the messageKey and messageValues to report
+   * @throws {Error} When a value cannot be compared as the match type requires
+   */
+  compare(value, comparedValue, match, criteria, locale, options) {
+    const format = (entry) => formatValue(entry, locale, { currency: criteria.currency });
+
+    if (match === "name") {
+      const threshold = criteria.threshold ?? DEFAULT_NAME_THRESHOLD;
+      const similarity = nameSimilarity(value, comparedValue);
+      if (similarity >= threshold) return { similarity };
+      return {
+        messageKey: "consistency.nameMismatch",
+        messageValues: {
+          value: String(value),
+          otherValue: String(comparedValue),
+          similarity: Math.round(similarity * 100),
+          threshold: Math.round(threshold * 100),
+        },
+        similarity,
+      };
+    }
+
+    if (match === "age") {
+      const asOf = resolveAsOfDate(criteria.asOf, options.asOf, locale);
+      const expected = calculateAge(comparedValue, asOf);
+      if (expected === null) {
+        throw new Error(translate(locale, "errors.invalidDateValue", { value: String(comparedValue) }));
+      }
+      const age = this.toNumber(value, locale);
+      const difference = Math.abs(age - expected);
+      if (difference <= (criteria.tolerance ?? 0)) return {};
+      return {
+        messageKey: "consistency.ageMismatch",
+        messageValues: { value: format(age), expected: format(expected), otherValue: format(parseDate(comparedValue)) },
+        expectedValue: expected,
+        difference,
+      };
+    }
+
+    if (match === "date") {
+      const date = parseDate(value);
+      const comparedDate = parseDate(comparedValue);
+      if (!date || !comparedDate) {
+        throw new Error(translate(locale, "errors.invalidDateValue", { value: String(date ? comparedValue : value) }));
+      }
+      if (date.getTime() === comparedDate.getTime()) return {};
+      return {
+        messageKey: "consistency.valueMismatch",
+        messageValues: { value: format(date), otherValue: format(comparedDate) },
+      };
+    }
+
+    if (match === "number") {
+      const number = this.toNumber(value, locale, criteria.unit);
+      const comparedNumber = this.toNumber(comparedValue, locale, criteria.unit);
+      const difference = Number(Math.abs(number - comparedNumber).toFixed(6));
+      const allowed = Math.max(
+        criteria.tolerance ?? 0,
+        criteria.tolerancePercent !== undefined ? Math.abs(comparedNumber) * criteria.tolerancePercent / 100 : 0
+      );
+      if (difference <= allowed) return {};
+      const formatAmount = (amount) => formatValue(amount, locale, { currency: criteria.currency, unit: criteria.unit });
+      return {
+        messageKey: allowed > 0 ? "consistency.valueOutsideTolerance" : "consistency.valueMismatch",
+        messageValues: {
+          value: formatAmount(number),
+          otherValue: formatAmount(comparedNumber),
+          difference: formatAmount(difference),
+          tolerance: formatAmount(Number(allowed.toFixed(2))),
+        },
+        difference,
+      };
+    }
+
+    // Exact: compared after the same normalization as other criteria (synonyms, spacing, case)
+    const segments = parseFieldPath(criteria.name);
+    const dictionaryName = criteria.synonyms ?? segments[segments.length - 1];
+    const normalize = (entry) => {
+      const normalized = normalizeValue(entry, dictionaryName, options.valueSynonyms);
+      return typeof normalized === "string" ? normalized.toLowerCase() : normalized;
+    };
+    if (JSON.stringify(normalize(value)) === JSON.stringify(normalize(comparedValue))) return {};
+    return {
+      messageKey: "consistency.valueMismatch",
+      messageValues: { value: format(value), otherValue: format(comparedValue) },
+    };
+  }
+
+  /**
+   * Read a number, converting { value, unit } values into the criteria unit
+   * @param {*} value - Number, numeric string (thousands separators allowed) or { value, unit }
+   * @param {string} locale - Locale for error messages
+   * @param {string} [unit] - Unit to compare in
+   * @returns {number}
+   * @throws {Error} When the value is not a number
+   */
+  toNumber(value, locale, unit) {
+    const { value: rawValue, unit: valueUnit } = unwrapUnitValue(value);
+    const number = typeof rawValue === "string" ? Number(rawValue.replace(/,/g, "").trim()) : Number(rawValue);
+    if (typeof rawValue === "boolean" || rawValue === "" || !Number.isFinite(number)) {
+      throw new Error(translate(locale, "errors.invalidValueForType", { value: String(rawValue), dataType: "number" }));
+    }
+    return unit && valueUnit ? convertUnit(number, valueUnit, unit, locale) : number;
+  }
+
+  /**
+   * Label of a compared field; document fields name their document, e.g. "Name on the aadhaar document"
+   * @param {string} field - Field path
+   * @param {string} locale - Locale for the label
+   * @param {string|Object} [label] - Label from the criteria
+   * @returns {string}
+   */
+  describeField(field, locale, label) {
+    const segments = parseFieldPath(field);
+    if (label || segments[0] !== "documents" || segments.length < 3) return getFieldLabel(field, locale, label);
+    return translate(locale, "consistency.documentField", {
+      field: getFieldLabel(segments.slice(2).join("."), locale),
+      document: segments[1],
+    });
+  }
+}
+
+module.exports = ConsistencyRule;
@@ -0,0 +1,295 @@
+const { getValueByPath } = require("../../utils/eligibilityUtils");
+const RuleInterface = require("../interfaces/RuleInterface");
+const { translate } = require("../../utils/i18n");
+const {
+  getGeographyVersion,
+  findPlaces,
+  resolveLocation,
+  isWithin,
+  formatPlace,
+} = require("../../utils/geography");
+
+const LOCATION_FIELDS = ["state", "district", "block", "pincode"];
+// Pincode areas are a full pincode or its leading digits, e.g. "411" for the Pune sorting district
+const PINCODE_AREA_PATTERN = /^[1-9][0-9]{0,5}$/;
+
+const isMissingValue = (value) => value === undefined || value === null || value === "";
+const isPincodeArea = (area) => area !== null && typeof area === "object" && area.pincode !== undefined;
+
+/**
+ * Rule class for geographic criteria: the applicant must live in one of the "include" areas and in none of the
+ * "exclude" areas. Areas are states, districts or blocks of the bundled hierarchy (see utils/geography), or
+ * pincodes. The profile location is resolved up the hierarchy, so a profile giving only a pincode or a district
+ * matches the state it lies in.
+ * @class
+ * @extends RuleInterface
+ * @example
+ * // Example 1: Maharashtra, except Mumbai; the profile only gives a pincode
+ * const userProfile = { "name": "Sunita Devi", "pincode": "413102" };
+ *
+ * const criteria = {
+ *     "include": ["Maharashtra"],
+ *     "exclude": [{ "state": "Maharashtra", "district": "Mumbai" }],
+ *     "description": "Residents of Maharashtra outside Mumbai"
+ * };
+ *
+ * const rule = new GeographyRule();
+ * const result = await rule.evaluate(userProfile, criteria, false);
+ * // Returns:
+ * {
+ *     "reasons": [],
+ *     "location": {
+ *         "id": "maharashtra/pune/baramati", "state": "Maharashtra", "district": "Pune", "block": "Baramati",
+ *         "resolvedFrom": "pincode", "datasetVersion": "2024.1-sample"
+ *     }
+ * }
+ *
+ * // Example 2: Location fields under "address", restricted to two districts
+ * const criteria = {
+ *     "include": ["Lucknow", "Varanasi"],
+ *     "fields": { "state": "address.state", "district": "address.district", "pincode": "address.pincode" }
+ * };
+ * // With address.pincode "411038", returns:
+ * [{
+ *     "type": "geography",
+ *     "field": "address.pincode",
+ *     "reason": "Pune, Maharashtra (from pincode 411038) is not in the eligible areas: Lucknow, Uttar Pradesh; Varanasi, Uttar Pradesh",
+ *     "description": "",
+ *     "label": "Location",
+ *     "userValue": "Pune, Maharashtra",
+ *     "requiredValue": ["Lucknow, Uttar Pradesh", "Varanasi, Uttar Pradesh"],
+ *     "condition": "include"
+ * }]
+ *
+ * // Example 3: Pincode areas
+ * const criteria = { "include": [{ "pincode": "110001" }, { "pincode": "1100" }] };
+ */
+class GeographyRule extends RuleInterface {
+  /**
+   * Metadata used to validate benefit schemas against this rule type
+   * @returns {{conditions: Array<string>, requiredCriteriaFields: Array<string>, validateCriteria: Function}}
+   */
+  static get metadata() {
+    return {
+      description: "Checks where the applicant lives against included and excluded states, districts, blocks or pincodes",
+      conditions: [],
+      requiredCriteriaFields: [],
+      validateCriteria: GeographyRule.validateCriteria,
+    };
+  }
+
+  /**
+   * Check that the areas of geographic criteria are known to the dataset and unambiguous
+   * @param {Object} criteria - Criteria from the benefit schema
+   * @param {string} locale - Locale for error messages (default: "en")
+   * @returns {Array<string>} Localized errors
+   */
+  static validateCriteria(criteria, locale = "en") {
+    const errors = [];
+    if (criteria.include === undefined && criteria.exclude === undefined) {
+      errors.push(translate(locale, "errors.geographyAreasRequired"));
+    }
+    ["include", "exclude"]
+      .filter((listName) => criteria[listName] !== undefined)
+      .forEach((listName) => {
+        if (!Array.isArray(criteria[listName]) || criteria[listName].length === 0) {
+          errors.push(translate(locale, "errors.invalidGeographyList", { field: listName }));
+          return;
+        }
+        criteria[listName].forEach((area) => {
+          const error = GeographyRule.checkArea(area, locale);
+          if (error) errors.push(error);
+        });
+      });
+    if (criteria.fields !== undefined) {
+      const invalidFields = typeof criteria.fields === "object" && criteria.fields !== null
+        ? Object.keys(criteria.fields).filter((field) => !LOCATION_FIELDS.includes(field) || typeof criteria.fields[field] !== "string")
+        : ["fields"];
+      invalidFields.forEach((field) => {
+        errors.push(translate(locale, "errors.invalidGeographyField", { field, fields: LOCATION_FIELDS.join(", ") }));
+      });
+    }
+    return errors;
+  }
+
+  /**
+   * Check a single area
+   * @param {string|Object} area - Area from an include or exclude list
+   * @param {string} locale - Locale for the error message
+   * @returns {string|null} Localized error, or null when the area is valid
+   */
+  static checkArea(area, locale) {
+    const value = JSON.stringify(area);
+    if (isPincodeArea(area)) {
+      return PINCODE_AREA_PATTERN.test(String(area.pincode)) ? null : translate(locale, "errors.invalidGeographyPincode", { value });
+    }
+    const places = findPlaces(area);
+    if (places.length === 0) {
+      return translate(locale, "errors.unknownGeographyArea", { value, version: getGeographyVersion() });
+    }
+    if (places.length > 1) {
+      return translate(locale, "errors.ambiguousGeographyArea", { value, places: places.map(formatPlace).join("; ") });
+    }
+    return null;
+  }
+
+  execute(userProfile, criteria, strictCheckingFromQuery, locale = "en", options = {}) {
+    return this.evaluate(userProfile, criteria, strictCheckingFromQuery, locale, options)
+      .then(result => result.reasons);
+  }
+
+  /**
+   * Evaluate the criteria and report the resolved location alongside the reasons
+   * @param {Object} userProfile - The user profile
+   * @param {Object} criteria - include and exclude lists of areas: names ("Maharashtra", "Pune"),
+   *   { state, district, block } or { pincode }, and optionally "fields" with the profile paths of
+   *   state, district, block and pincode (by default the fields of those names)
+   * @param {boolean} strictCheckingFromQuery - Whether a location too vague to decide is a failure
+   * @param {string} locale - Locale for reason messages (default: "en")
+   * @param {Object} [options] - Evaluation options
+   * @returns {Promise<{reasons: Array, location: Object, missingFields: Array<string>}>} location is the resolved
+   *   place (id, state, district, block, resolvedFrom, datasetVersion); missingFields is present when, without
+   *   strict checking, the profile location is not specific enough to decide
+   */
+  evaluate(userProfile, criteria, strictCheckingFromQuery, locale = "en", options = {}) {
+    const reasons = [];
+    const fields = LOCATION_FIELDS.reduce(
+      (paths, field) => ({ ...paths, [field]: criteria.fields?.[field] ?? field }),
+      {}
+    );
+
+    // Use strictChecking from query param if provided, else from criteria
+    const strictChecking = typeof strictCheckingFromQuery === 'boolean'
+      ? strictCheckingFromQuery
+      : Boolean(criteria.strictChecking);
+
+    const fail = (field, reason, details = {}) => {
+      reasons.push({
+        type: "geography",
+        field,
+        reason,
+        description: criteria.description || "",
+        label: translate(locale, "geography.location"),
+        ...details,
+      });
+      return { reasons };
+    };
+
+    return Promise.resolve()
+      .then(() => {
+        const values = LOCATION_FIELDS.reduce(
+          (entries, field) => ({ ...entries, [field]: getValueByPath(userProfile, fields[field]) }),
+          {}
+        );
+        const resolution = resolveLocation(values);
+        const { place, resolvedFrom } = resolution;
+        const location = place ? this.describeLocation(resolution) : undefined;
+        const withLocation = (result) => (location ? { ...result, location } : result);
+        const sourceField = fields[resolvedFrom];
+        const locationText = place
+          ? resolvedFrom === "pincode"
+            ? translate(locale, "geography.fromPincode", { location: formatPlace(place), pincode: String(values.pincode) })
+            : formatPlace(place)
+          : undefined;
+
+        if (resolution.conflicting.length > 0) {
+          return withLocation(fail(sourceField, translate(locale, "geography.conflictingLocation", {
+            fields: resolution.conflicting.map((field) => `${fields[field]} ${values[field]}`).join(", "),
+            location: locationText,
+          }), { userValue: formatPlace(place), condition: "location" }));
+        }
+
+        const unknownLocation = () => {
+          const given = resolution.unresolved.map((field) => `${fields[field]} ${values[field]}`).join(", ");
+          return withLocation(fail(fields[resolution.unresolved[0]], translate(locale, "geography.unknownLocation", {
+            location: given,
+            version: getGeographyVersion(),
+          }), { userValue: given, condition: "location" }));
+        };
+
+        // Named areas cannot be matched when the profile gives only places the dataset does not know
+        const areas = [...(criteria.include || []), ...(criteria.exclude || [])];
+        if (!place && resolution.unresolved.length > 0 && areas.some((area) => !isPincodeArea(area))) {
+          return unknownLocation();
+        }
+
+        const include = (criteria.include || []).map((area) => this.matchArea(area, place, values, locale));
+        const exclude = (criteria.exclude || []).map((area) => this.matchArea(area, place, values, locale));
+        const excluded = exclude.find((outcome) => outcome.matched === true);
+        const included = criteria.include === undefined || include.some((outcome) => outcome.matched === true);
+
+        // A definite failure decides the criterion even when other areas are undecided
+        if (excluded) {
+          return withLocation(fail(sourceField ?? fields.pincode, translate(locale, "geography.inExcludedArea", {
+            location: locationText ?? translate(locale, "geography.pincode", { pincode: String(values.pincode) }),
+            area: excluded.label,
+          }), { userValue: place ? formatPlace(place) : values.pincode, requiredValue: [excluded.label], condition: "exclude" }));
+        }
+        const undecided = [...(included ? [] : include), ...exclude].filter((outcome) => outcome.matched === null);
+        if (!included && undecided.length === 0) {
+          const eligibleAreas = include.map((outcome) => outcome.label);
+          return withLocation(fail(sourceField ?? fields.pincode, translate(locale, "geography.notInArea", {
+            location: locationText ?? translate(locale, "geography.pincode", { pincode: String(values.pincode) }),
+            areas: eligibleAreas.join("; "),
+          }), { userValue: place ? formatPlace(place) : values.pincode, requiredValue: eligibleAreas, condition: "include" }));
+        }
+        if (undecided.length === 0) return withLocation({ reasons });
+
+        // The location is too vague to decide: a field given but not in the dataset is reported as such
+        const neededFields = [...new Set(undecided.map((outcome) => outcome.needs))];
+        if (neededFields.some((field) => resolution.unresolved.includes(field))) return unknownLocation();
+        const missingFields = neededFields.map((field) => fields[field]);
+        if (strictChecking) {
+          return withLocation(fail(missingFields[0], translate(locale, "errors.missingUserProfileField", { field: missingFields.join(", ") }), {
+            code: "missingValue",
+          }));
+        }
+        return withLocation({ reasons, missingFields });
+      })
+      .catch(error => fail(fields.state, translate(locale, "errors.errorCheckingCriteria", { message: error.message }), {
+        code: "evaluationError",
+      }));
+  }
+
+  /**
+   * Match the profile location against an area
+   * @param {string|Object} area - Area from an include or exclude list
+   * @param {Object|null} place - Resolved profile location
+   * @param {Object} values - Location values from the profile
+   * @param {string} locale - Locale for labels and errors
+   * @returns {{matched: (boolean|null), label: string, needs: string}} matched is null when the profile location
+   *   is less specific than the area; needs is then the location field that would decide it
+   * @throws {Error} When the area is unknown or ambiguous
+   */
+  matchArea(area, place, values, locale) {
+    if (isPincodeArea(area)) {
+      const pincode = String(area.pincode);
+      const label = translate(locale, pincode.length === 6 ? "geography.pincode" : "geography.pincodePrefix", { pincode });
+      if (isMissingValue(values.pincode)) return { matched: null, label, needs: "pincode" };
+      return { matched: String(values.pincode).replace(/\s+/g, "").startsWith(pincode), label };
+    }
+
+    const error = GeographyRule.checkArea(area, locale);
+    if (error) throw new Error(error);
+    const [areaPlace] = findPlaces(area);
+    const label = formatPlace(areaPlace);
+    if (!place) return { matched: null, label, needs: values.pincode === undefined ? areaPlace.level : "pincode" };
+    if (isWithin(place, areaPlace)) return { matched: true, label };
+    // The profile only gives a place containing the area, e.g. the state for a district criterion
+    if (isWithin(areaPlace, place)) return { matched: null, label, needs: areaPlace.level };
+    return { matched: false, label };
+  }
+
+  /**
+   * Describe a resolved location
+   * @param {Object} resolution - Result of resolveLocation
+   * @returns {Object} { id, state, district, block, resolvedFrom, datasetVersion }
+   */
+  describeLocation({ place, resolvedFrom }) {
+    const location = { id: place.id };
+    for (let current = place; current; current = current.parent) location[current.level] = current.name;
+    return { ...location, resolvedFrom, datasetVersion: getGeographyVersion() };
+  }
+}
+
+module.exports = GeographyRule;
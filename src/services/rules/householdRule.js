@@ -0,0 +1,417 @@
+const {
+  checkCriteria,
+  buildCriteriaOptions,
+  getCriteriaFailureReason,
+  SUPPORTED_CONDITIONS,
+  getValueByPath,
+  isPresenceCondition,
+  normalizeCondition,
+  resolveAsOfDate,
+  resolveProfileValue,
+} = require("../../utils/eligibilityUtils");
+const RuleInterface = require("../interfaces/RuleInterface");
+const { translate } = require("../../utils/i18n");
+const { normalizeCriteriaValues } = require("../../utils/valueNormalizer");
+const { decideGroup } = require("../../utils/criteriaGroups");
+const { getFieldLabel } = require("../../utils/formatters");
+const { convertUnit, unwrapUnitValue } = require("../../utils/units");
+
+const QUANTIFIERS = ["any", "all", "none"];
+const AGGREGATES = ["sum", "count", "min", "max"];
+const DEFAULT_MEMBERS_FIELD = "familyMembers";
+
+const isMissingValue = (value) => value === undefined || value === null || value === "";
+
+/**
+ * Copy of an object without the value at a dotted path, e.g. "household.members"; the objects along the
+ * path are copied rather than changed
+ * @param {Object} object - Object to copy
+ * @param {string} path - Dotted path of the value to leave out
+ * @returns {Object}
+ */
+const omitPath = (object, path) => {
+  const [key, ...rest] = path.split(".");
+  if (object === null || typeof object !== "object" || !Object.prototype.hasOwnProperty.call(object, key)) return object;
+  const copy = Array.isArray(object) ? [...object] : { ...object };
+  if (rest.length === 0) {
+    delete copy[key];
+  } else {
+    copy[key] = omitPath(object[key], rest.join("."));
+  }
+  return copy;
+};
+
+/**
+ * Rule class for criteria over the members of a household (the profile's "familyMembers" list)
+ * @class
+ * @extends RuleInterface
+ * @example
+ * // Example 1: At least one girl child under 10
+ * const userProfile = {
+ *     "name": "Sunita Devi",
+ *     "familyMembers": [
+ *         { "name": "Ramesh", "gender": "male", "age": 38 },
+ *         { "name": "Priya", "gender": "female", "dateOfBirth": "2019-04-12" }
+ *     ]
+ * };
+ *
+ * const criteria = {
+ *     "quantifier": "any",
+ *     "where": [
+ *         { "name": "gender", "condition": "equals", "conditionValues": "female" },
+ *         { "name": "age", "condition": "lt", "conditionValues": 10 }
+ *     ],
+ *     "description": "The household must have a girl child below 10 years"
+ * };
+ *
+ * const rule = new HouseholdRule();
+ * const result = await rule.evaluate(userProfile, criteria, false);
+ * // Returns (age is derived from dateOfBirth):
+ * {
+ *     "reasons": [],
+ *     "members": [
+ *         { "index": 0, "member": "Ramesh", "matched": false, "reasons": ["Gender male is not female", "Age 38 must be less than 10"] },
+ *         { "index": 1, "member": "Priya", "matched": true }
+ *     ]
+ * }
+ *
+ * // Example 2: Total family income including the applicant
+ * const criteria = {
+ *     "aggregate": "sum",
+ *     "name": "income",
+ *     "includeApplicant": true,
+ *     "condition": "lte",
+ *     "conditionValues": 250000,
+ *     "currency": "INR"
+ * };
+ * // Fails with "Total Annual income of the family ₹3,10,000 is more than the limit of ₹2,50,000"
+ *
+ * // Example 3: No member is a government employee
+ * const criteria = {
+ *     "quantifier": "none",
+ *     "where": [{ "name": "occupation", "condition": "equals", "conditionValues": "government employee" }]
+ * };
+ * // Fails with "1 family member(s) meet the excluded condition: Ramesh"
+ */
+class HouseholdRule extends RuleInterface {
+  /**
+   * Metadata used to validate benefit schemas against this rule type
+   * @returns {{conditions: Array<string>, requiredCriteriaFields: Array<string>, validateCriteria: Function}}
+   */
+  static get metadata() {
+    return {
+      description: "Checks criteria over the household members: quantifiers (any, all, none) or aggregates (sum, count, min, max)",
+      conditions: SUPPORTED_CONDITIONS,
+      requiredCriteriaFields: [],
+      validateCriteria: HouseholdRule.validateCriteria,
+    };
+  }
+
+  /**
+   * Check the shape of household criteria
+   * @param {Object} criteria - Criteria from the benefit schema
+   * @param {string} locale - Locale for error messages (default: "en")
+   * @returns {Array<string>} Localized errors
+   */
+  static validateCriteria(criteria, locale = "en") {
+    const errors = [];
+    const hasQuantifier = criteria.quantifier !== undefined;
+    const hasAggregate = criteria.aggregate !== undefined;
+
+    if (hasQuantifier === hasAggregate) {
+      errors.push(translate(locale, "errors.householdQuantifierOrAggregate"));
+    }
+    if (hasQuantifier && !QUANTIFIERS.includes(criteria.quantifier)) {
+      errors.push(translate(locale, "errors.unsupportedHouseholdQuantifier", { value: String(criteria.quantifier) }));
+    }
+    if (hasQuantifier && (!Array.isArray(criteria.where) || criteria.where.length === 0)) {
+      errors.push(translate(locale, "errors.householdWhereRequired"));
+    }
+    if (hasAggregate) {
+      if (!AGGREGATES.includes(criteria.aggregate)) {
+        errors.push(translate(locale, "errors.unsupportedHouseholdAggregate", { value: String(criteria.aggregate) }));
+      }
+      if (criteria.aggregate !== "count" && !criteria.name) {
+        errors.push(translate(locale, "errors.householdAggregateFieldRequired", { aggregate: String(criteria.aggregate) }));
+      }
+      if (!normalizeCondition(criteria.condition)) {
+        errors.push(translate(locale, "errors.householdConditionRequired"));
+      }
+    }
+    if (criteria.where !== undefined && Array.isArray(criteria.where)) {
+      criteria.where
+        .filter((memberCriteria) => !memberCriteria?.name || !normalizeCondition(memberCriteria.condition))
+        .forEach((memberCriteria) => {
+          errors.push(translate(locale, "errors.invalidHouseholdWhere", { value: JSON.stringify(memberCriteria) }));
+        });
+    } else if (criteria.where !== undefined) {
+      errors.push(translate(locale, "errors.householdWhereRequired"));
+    }
+    return errors;
+  }
+
+  execute(userProfile, criteria, strictCheckingFromQuery, locale = "en", options = {}) {
+    return this.evaluate(userProfile, criteria, strictCheckingFromQuery, locale, options)
+      .then(result => result.reasons);
+  }
+
+  /**
+   * Evaluate the criteria and report which members passed or failed
+   * @param {Object} userProfile - User profile with a list of household members
+   * @param {Object} criteria - Household criteria:
+   *   members (path of the list, default "familyMembers"), includeApplicant (count the applicant as a member),
+   *   quantifier ("any", "all", "none") with "where" member criteria, or aggregate ("sum", "count", "min", "max")
+   *   over "name" of the members matching the optional "where", compared using condition and conditionValues
+   * @param {boolean} strictCheckingFromQuery - Whether missing member data is a failure
+   * @param {string} locale - Locale for reason messages (default: "en")
+   * @param {Object} [options] - Evaluation options (asOf, valueSynonyms)
+   * @returns {Promise<{reasons: Array, members: Array<Object>, aggregate: Object, missingFields: Array<string>}>}
+   *   members lists each member's outcome ("matched" for quantifiers, "included" for aggregates, null when undecided);
+   *   aggregate carries the computed value; missingFields is present when the criterion cannot be decided
+   */
+  evaluate(userProfile, criteria, strictCheckingFromQuery, locale = "en", options = {}) {
+    const reasons = [];
+    const membersField = criteria.members || DEFAULT_MEMBERS_FIELD;
+
+    // Use strictChecking from query param if provided, else from criteria
+    const strictChecking = typeof strictCheckingFromQuery === 'boolean'
+      ? strictCheckingFromQuery
+      : Boolean(criteria.strictChecking);
+
+    const fail = (reason, details = {}) => {
+      reasons.push({
+        type: "household",
+        field: membersField,
+        reason,
+        description: criteria.description || "",
+        ...details,
+      });
+      return { reasons };
+    };
+
+    let asOf;
+    try {
+      asOf = resolveAsOfDate(criteria.asOf, options.asOf, locale);
+    } catch (error) {
+      return Promise.resolve(fail(translate(locale, "errors.errorCheckingCriteria", { message: error.message }), { code: "evaluationError" }));
+    }
+
+    const listed = getValueByPath(userProfile, membersField);
+    if (isMissingValue(listed)) {
+      if (strictChecking) {
+        return Promise.resolve(fail(translate(locale, "errors.missingUserProfileField", { field: membersField }), { code: "missingValue" }));
+      }
+      return Promise.resolve({ reasons, missingFields: [membersField] });
+    }
+    if (!Array.isArray(listed)) {
+      return Promise.resolve(fail(translate(locale, "errors.householdMembersNotList", { field: membersField })));
+    }
+
+    // The applicant's own profile (without the member list) can be counted as a member
+    const entries = listed.map((member, index) => ({
+      member,
+      index,
+      path: `${membersField}[${index}]`,
+      label: member?.name ?? member?.id ?? `#${index + 1}`,
+    }));
+    if (criteria.includeApplicant) {
+      const applicant = omitPath(userProfile, membersField);
+      entries.unshift({ member: applicant, index: -1, path: "", label: applicant.name ?? translate(locale, "household.applicant") });
+    }
+
+    const context = { strictChecking, locale, asOf, options, fail };
+    const evaluation = criteria.aggregate
+      ? this.evaluateAggregate(entries, criteria, context)
+      : this.evaluateQuantifier(entries, criteria, context);
+
+    return evaluation.catch(error => {
+      reasons.length = 0;
+      return fail(translate(locale, "errors.errorCheckingCriteria", { message: error.message }), { code: "evaluationError" });
+    });
+  }
+
+  /**
+   * Check a member against the member criteria ("where"); all of them must pass
+   * @param {Object} entry - { member, path }
+   * @param {Array<Object>} where - Member criteria
+   * @param {Object} context - { locale, asOf, options }
+   * @returns {Promise<{matched: (boolean|null), reasons: Array<string>, missingFields: Array<string>}>}
+   */
+  matchMember(entry, where, { locale, options }) {
+    return (where || []).reduce(
+      (promiseChain, memberCriteria) => promiseChain.then(async (state) => {
+        const asOf = resolveAsOfDate(memberCriteria.asOf, options.asOf, locale);
+        const value = resolveProfileValue(
+          entry.member,
+          memberCriteria.name,
+          getValueByPath(entry.member, memberCriteria.name),
+          { asOf, preferDerived: Boolean(memberCriteria.asOf || options.asOf) }
+        );
+        if (isMissingValue(value) && !isPresenceCondition(memberCriteria.condition)) {
+          state.outcomes.push(null);
+          state.missingFields.push(entry.path ? `${entry.path}.${memberCriteria.name}` : memberCriteria.name);
+          return state;
+        }
+
+        const normalized = normalizeCriteriaValues(value, memberCriteria, options.valueSynonyms);
+        const passed = await checkCriteria(
+          normalized.value,
+          memberCriteria.condition,
+          normalized.conditionValues,
+          locale,
+          buildCriteriaOptions(memberCriteria, { asOf })
+        );
+        state.outcomes.push(passed);
+        if (!passed) {
+          state.reasons.push(
+            getCriteriaFailureReason(locale, memberCriteria.condition, normalized.value, memberCriteria.conditionValues, memberCriteria)
+          );
+        }
+        return state;
+      }),
+      Promise.resolve({ outcomes: [], reasons: [], missingFields: [] })
+    ).then(({ outcomes, reasons, missingFields }) => ({
+      matched: decideGroup({ all: [] }, outcomes),
+      reasons,
+      missingFields,
+    }));
+  }
+
+  /**
+   * Match every member in order
+   * @param {Array<Object>} entries - Household members
+   * @param {Array<Object>} where - Member criteria
+   * @param {Object} context - Evaluation context
+   * @returns {Promise<Array<Object>>} Match results in member order
+   */
+  matchMembers(entries, where, context) {
+    return entries.reduce(
+      (promiseChain, entry) => promiseChain.then(async (matches) => [...matches, await this.matchMember(entry, where, context)]),
+      Promise.resolve([])
+    );
+  }
+
+  /**
+   * Quantifier criteria: any / all / none of the members match the member criteria
+   * @param {Array<Object>} entries - Household members
+   * @param {Object} criteria - Criteria with quantifier and where
+   * @param {Object} context - Evaluation context
+   * @returns {Promise<Object>} Rule result
+   */
+  evaluateQuantifier(entries, criteria, context) {
+    const { strictChecking, locale, fail } = context;
+    return this.matchMembers(entries, criteria.where, context).then((matches) => {
+      const members = matches.map((match, position) => ({
+        index: entries[position].index,
+        member: entries[position].label,
+        matched: match.matched,
+        ...(match.reasons.length > 0 && { reasons: match.reasons }),
+        ...(match.missingFields.length > 0 && { missingFields: match.missingFields }),
+      }));
+      const missingFields = matches.flatMap((match) => match.missingFields);
+
+      if (strictChecking && missingFields.length > 0) {
+        return { ...fail(translate(locale, "errors.missingUserProfileField", { field: missingFields.join(", ") }), { code: "missingValue" }), members };
+      }
+
+      const outcome = decideGroup({ [criteria.quantifier]: [] }, matches.map((match) => match.matched));
+      if (outcome === null) return { reasons: [], members, missingFields };
+      if (outcome === true) return { reasons: [], members };
+
+      // "all" reports the members that do not match, "none" those that do
+      const failingMembers = criteria.quantifier === "any"
+        ? []
+        : members.filter((member) => member.matched === (criteria.quantifier === "none")).map((member) => member.member);
+      const reason = criteria.quantifier === "any"
+        ? translate(locale, "household.noMemberMatches")
+        : translate(locale, criteria.quantifier === "all" ? "household.membersDoNotMatch" : "household.membersMatchExcluded", {
+          count: failingMembers.length,
+          members: failingMembers.join(", "),
+        });
+      return { ...fail(reason, { userValue: failingMembers, condition: criteria.quantifier }), members };
+    });
+  }
+
+  /**
+   * Aggregate criteria: sum / count / min / max over the members matching the optional member criteria
+   * @param {Array<Object>} entries - Household members
+   * @param {Object} criteria - Criteria with aggregate, name, condition and conditionValues
+   * @param {Object} context - Evaluation context
+   * @returns {Promise<Object>} Rule result
+   */
+  evaluateAggregate(entries, criteria, context) {
+    const { strictChecking, locale, asOf, fail } = context;
+    return this.matchMembers(entries, criteria.where, context).then((matches) => {
+      const missingFields = matches.flatMap((match) => match.missingFields);
+      const values = [];
+
+      const members = matches.map((match, position) => {
+        const entry = entries[position];
+        const result = { index: entry.index, member: entry.label, included: match.matched };
+        if (match.matched !== true || criteria.aggregate === "count") return result;
+
+        const { value, unit } = unwrapUnitValue(getValueByPath(entry.member, criteria.name), criteria.profileUnit);
+        if (isMissingValue(value)) {
+          missingFields.push(entry.path ? `${entry.path}.${criteria.name}` : criteria.name);
+          return result;
+        }
+        // Member values are summed in the unit of conditionValues
+        const number = criteria.unit && unit ? convertUnit(value, unit, criteria.unit, locale) : Number(value);
+        if (!Number.isFinite(number)) {
+          throw new Error(translate(locale, "errors.invalidValueForType", { value: String(value), dataType: "number" }));
+        }
+        values.push(number);
+        return { ...result, value: number };
+      });
+
+      if (missingFields.length > 0) {
+        if (strictChecking) {
+          return { ...fail(translate(locale, "errors.missingUserProfileField", { field: missingFields.join(", ") }), { code: "missingValue" }), members };
+        }
+        return { reasons: [], members, missingFields };
+      }
+
+      let aggregateValue;
+      if (criteria.aggregate === "count") aggregateValue = matches.filter((match) => match.matched === true).length;
+      else if (criteria.aggregate === "sum") aggregateValue = Number(values.reduce((total, value) => total + value, 0).toFixed(6));
+      else if (values.length === 0) {
+        return { ...fail(translate(locale, "household.noMembersToAggregate")), members };
+      } else aggregateValue = criteria.aggregate === "min" ? Math.min(...values) : Math.max(...values);
+
+      const aggregate = { type: criteria.aggregate, value: aggregateValue };
+      // The aggregate is already in the unit of conditionValues
+      const aggregateCriteria = { ...criteria, profileUnit: undefined };
+      return checkCriteria(
+        aggregateValue,
+        criteria.condition,
+        criteria.conditionValues,
+        locale,
+        buildCriteriaOptions(aggregateCriteria, { asOf })
+      ).then((passed) => {
+        if (passed) return { reasons: [], members, aggregate };
+
+        const label = criteria.label ?? translate(locale, `household.aggregateLabels.${criteria.aggregate}`, {
+          field: getFieldLabel(criteria.name, locale),
+        });
+        return {
+          ...fail(
+            getCriteriaFailureReason(locale, criteria.condition, aggregateValue, criteria.conditionValues, {
+              ...aggregateCriteria,
+              label,
+            }),
+            {
+              label,
+              userValue: criteria.unit ? { value: aggregateValue, unit: criteria.unit } : aggregateValue,
+              requiredValue: criteria.conditionValues,
+              condition: criteria.condition,
+            }
+          ),
+          members,
+          aggregate,
+        };
+      });
+    });
+  }
+}
+
+module.exports = HouseholdRule;
@@ -1,6 +1,23 @@
-const { checkCriteria } = require("../../utils/eligibilityUtils");
+const {
+  checkCriteria,
+  buildCriteriaOptions,
+  getCriteriaFailureReason,
+  SUPPORTED_CONDITIONS,
+  getValueByPath,
+  isPresenceCondition,
+  resolveAsOfDate,
+} = require("../../utils/eligibilityUtils");
 const RuleInterface = require("../interfaces/RuleInterface");
-const { translate } = require("../../utils/i18n");
+const { translate, hasTranslation } = require("../../utils/i18n");
+const { normalizeCriteriaValues } = require("../../utils/valueNormalizer");
+const { getDocumentFormat, validateDocumentNumber } = require("../../utils/documentValidators");
+const documentVerification = require("../documentVerification");
+const {
+  isVerifiableCredential,
+  getCredentialSubject,
+  getCredentialTypes,
+} = require("../../utils/verifiableCredentials");
+const { formatDate } = require("../../utils/formatters");
 
 /**
  * Rule class for checking user document criteria
@@ -23,8 +40,8 @@ const { translate } = require("../../utils/i18n");
  * const criteria = {
  *     "documentType": "aadhaar",
  *     "name": "expiryDate",
- *     "condition": "gte",
- *     "conditionValues": "2024-01-01",
+ *     "condition": "after",
+ *     "conditionValues": "today",
  *     "allowedProofs": ["aadhaar", "pan"],
  *     "description": "Aadhaar card must be valid and not expired",
  *     "strictChecking": true
@@ -93,11 +110,92 @@ const { translate } = require("../../utils/i18n");
  *     "type": "userDocument",
  *     "field": "aadhaar",
  *     "reason": "Invalid or unverified document",
- *     "description": "Aadhaar card must be valid and not expired"
+ *     "description": "Aadhaar card must be valid and not expired",
+ *     "condition": "verification",
+ *     "code": "unverified",
+ *     "verification": { "provider": "verifiedFlag", "status": "unverified" }
+ * }]
+ * // The "verified" flag is checked by the default provider; other providers (issuer lookups, signed credentials)
+ * // are configured per document type, see services/documentVerification
+ *
+ * // Example 5: Typo in the Aadhaar number ("validateFormat": true in the criteria validates number formats
+ * // and check digits; a missing number only fails in strict mode)
+ * const userProfile = {
+ *     "documents": {
+ *         "aadhaar": { "type": "aadhaar", "number": "2345 6789 0125", "verified": true }
+ *     }
+ * };
+ *
+ * const result = await rule.execute(userProfile, { "documentType": "aadhaar", "validateFormat": true }, true);
+ * // Returns:
+ * [{
+ *     "type": "userDocument",
+ *     "field": "documents.aadhaar.number",
+ *     "reason": "Aadhaar number XXXXXXXX0125 fails its checksum, check it for a typo",
+ *     "description": "",
+ *     "userValue": "XXXXXXXX0125",
+ *     "condition": "documentChecksum",
+ *     "code": "invalidChecksum"
  * }]
+ *
+ * // Example 6: Signed verifiable credential (VC-JWT or eddsa-jcs-2022 proof). The signature is verified against
+ * // the trusted issuer keys, with expiry and revocation, with or without strict checking; criteria fields are read
+ * // from credentialSubject and allowedProofs match the credential types. "requireCredential" rejects plain documents.
+ * const userProfile = {
+ *     "documents": {
+ *         "income": {
+ *             "@context": ["https://www.w3.org/ns/credentials/v2"],
+ *             "type": ["VerifiableCredential", "IncomeCertificate"],
+ *             "issuer": "did:web:edistrict.up.gov.in",
+ *             "validUntil": "2027-01-01T00:00:00Z",
+ *             "credentialSubject": { "name": "Sunita Devi", "annualIncome": 180000 },
+ *             "proof": { "type": "DataIntegrityProof", "cryptosuite": "eddsa-jcs-2022", "proofValue": "z..." }
+ *         }
+ *     }
+ * };
+ *
+ * const criteria = {
+ *     "documentType": "income",
+ *     "name": "annualIncome",
+ *     "condition": "lte",
+ *     "conditionValues": 250000,
+ *     "allowedProofs": ["IncomeCertificate"],
+ *     "requireCredential": true
+ * };
+ * const result = await rule.execute(userProfile, criteria, false);
+ * // Returns [] for a valid credential, otherwise e.g.
+ * // [{ "reason": "The signature of the income credential is not valid", "code": "invalidSignature", ... }]
  */
 class UserDocumentRule extends RuleInterface {
-  execute(userProfile, criteria, strictCheckingFromQuery, locale = "en") {
+  /**
+   * Metadata used to validate benefit schemas against this rule type
+   * @returns {{conditions: Array<string>, requiredCriteriaFields: Array<string>}}
+   */
+  static get metadata() {
+    return {
+      description: "Checks that a document is present, of an allowed type and verified, and optionally one of its fields",
+      conditions: SUPPORTED_CONDITIONS,
+      requiredCriteriaFields: ["documentType"],
+    };
+  }
+
+  execute(userProfile, criteria, strictCheckingFromQuery, locale = "en", options = {}) {
+    return this.evaluate(userProfile, criteria, strictCheckingFromQuery, locale, options)
+      .then(result => result.reasons);
+  }
+
+  /**
+   * Evaluate the criteria and report details alongside the reasons
+   * @param {Object} userProfile - The user profile with documents
+   * @param {Object} criteria - The criteria to verify against
+   * @param {boolean} strictCheckingFromQuery - Whether to apply strict checking rules
+   * @param {string} locale - Locale for reason messages (default: "en")
+   * @param {Object} [options] - Evaluation options (asOf, valueSynonyms)
+   * @returns {Promise<{reasons: Array, normalizedValue: *, missingFields: Array<string>}>} normalizedValue is
+   *   present when normalization changed the document value; missingFields is present when, without strict
+   *   checking, the document or field is missing and the criterion cannot be decided
+   */
+  evaluate(userProfile, criteria, strictCheckingFromQuery, locale = "en", options = {}) {
     const reasons = [];
 
     // Use strictChecking from query param if provided, else from criteria
@@ -105,8 +203,23 @@ class UserDocumentRule extends RuleInterface {
       ? strictCheckingFromQuery
       : Boolean(criteria.strictChecking);
 
+    // Date conditions such as expiry are evaluated against the as-of date
+    let asOf;
+    try {
+      asOf = resolveAsOfDate(criteria.asOf, options.asOf, locale);
+    } catch (error) {
+      reasons.push({
+        type: "userDocument",
+        field: criteria.documentType,
+        reason: translate(locale, "errors.errorProcessingDocument", { message: error.message }),
+        code: "evaluationError",
+        description: criteria.description || "",
+      });
+      return Promise.resolve({ reasons });
+    }
+
     // Extract the document
-    const document = userProfile.documents?.[criteria.documentType];
+    const document = getValueByPath(userProfile.documents, criteria.documentType);
 
     // If document is missing or empty
     if (document === undefined || document === null || document === '') {
@@ -115,117 +228,264 @@ class UserDocumentRule extends RuleInterface {
           type: "userDocument",
           field: criteria.documentType,
           reason: translate(locale, "errors.missingDocument", { documentType: criteria.documentType }),
+          code: "missingValue",
           description: criteria.description || "",
         });
+        return Promise.resolve({ reasons });
       }
-      return Promise.resolve(reasons);
+      // Not strict: the criterion is undecided until the document is provided
+      return Promise.resolve({ reasons, missingFields: [`documents.${criteria.documentType}`] });
+    }
+
+    // Verifiable credentials are matched by their credential types and evaluated on their credentialSubject
+    const isCredential = isVerifiableCredential(document);
+    const content = isCredential ? getCredentialSubject(document) || {} : document;
+    const proofTypes = isCredential ? getCredentialTypes(document) : [document.type];
+    if (criteria.requireCredential && !isCredential) {
+      reasons.push({
+        type: "userDocument",
+        field: criteria.documentType,
+        reason: translate(locale, "errors.credentialRequired", { documentType: criteria.documentType }),
+        description: criteria.description || "",
+        condition: "requireCredential",
+      });
+      return Promise.resolve({ reasons });
     }
 
     // Allowed proofs check
     if (
       criteria.allowedProofs &&
-      !criteria.allowedProofs.includes(document.type)
+      !proofTypes.some(proofType => criteria.allowedProofs.includes(proofType))
     ) {
       reasons.push({
         type: "userDocument",
         field: criteria.documentType,
-        reason: translate(locale, "errors.documentTypeNotAllowed", { type: document.type }),
+        reason: translate(locale, "errors.documentTypeNotAllowed", { type: proofTypes.join(", ") }),
         description: criteria.description || "",
-        userValue: document.type,
+        userValue: isCredential ? proofTypes : document.type,
         requiredValue: criteria.allowedProofs,
         condition: "allowedProofs",
       });
-      return Promise.resolve(reasons);
+      return Promise.resolve({ reasons });
     }
 
-    // Document validity check (verified)
-    if (strictChecking) {
-      return UserDocumentRule.validateDocument(document)
-        .then(validity => {
-          if (!validity) {
+    // Offline number checks (pattern, check digit) run when the criteria asks for them
+    if (criteria.validateFormat === true) {
+      const formatResult = UserDocumentRule.checkDocumentNumber(userProfile, content, criteria, strictChecking, locale);
+      if (formatResult) return Promise.resolve(formatResult);
+    }
+
+    // Document validity check with the verification provider configured for the document type. A credential is
+    // always checked: its fields are only as good as its proof
+    if (strictChecking || isCredential) {
+      return documentVerification.verify(criteria.documentType, document, { userProfile, locale, asOf })
+        .then(verification => {
+          if (verification.status !== "verified") {
             reasons.push({
               type: "userDocument",
-              field: criteria.documentKey,
-              reason: translate(locale, "errors.invalidUnverifiedDocument"),
+              field: criteria.documentType,
+              reason: UserDocumentRule.getVerificationReason(verification, criteria.documentType, locale),
               description: criteria.description || "",
+              condition: "verification",
+              code: verification.status,
+              verification: { provider: verification.provider, status: verification.status },
             });
-            return Promise.resolve(reasons);
+            return Promise.resolve({ reasons });
           }
 
           // Use checkCriteria for other checks (e.g., expiry, etc.)
-          if (criteria.condition) {
-            const docValue = document[criteria.name];
-            return checkCriteria(
-              docValue,
-              criteria.condition,
-              criteria.conditionValues,
-              locale
-            ).then(isEligible => {
-              if (!isEligible) {
-                reasons.push({
-                  type: "userDocument",
-                  field: criteria.name,
-                  reason: translate(locale, "errors.doesNotMeetCriteria", { condition: criteria.condition }),
-                  description: criteria.description || "",
-                  userValue: docValue,
-                  requiredValue: criteria.conditionValues,
-                  condition: criteria.condition,
-                });
-              }
-              return Promise.resolve(reasons);
-            });
-          }
-          return Promise.resolve(reasons);
+          return this.checkDocumentField(content, criteria, strictChecking, locale, asOf, options);
         })
         .catch(error => {
           reasons.push({
             type: "userDocument",
             field: criteria.documentType,
             reason: translate(locale, "errors.errorProcessingDocument", { message: error.message }),
+            code: "evaluationError",
             description: criteria.description || "",
           });
-          return Promise.resolve(reasons);
+          return Promise.resolve({ reasons });
         });
     }
 
-    // If not strict checking and we have condition to check
-    if (criteria.condition) {
-      const docValue = document[criteria.name];
-      return checkCriteria(
-        docValue,
-        criteria.condition,
-        criteria.conditionValues,
-        locale
-      ).then(isEligible => {
-        if (!isEligible) {
-          reasons.push({
-            type: "userDocument",
-            field: criteria.name,
-            reason: translate(locale, "errors.doesNotMeetCriteria", { condition: criteria.condition }),
-            description: criteria.description || "",
-            userValue: docValue,
-            requiredValue: criteria.conditionValues,
-            condition: criteria.condition,
-          });
-        }
-        return Promise.resolve(reasons);
-      }).catch(error => {
+    // If not strict checking, only the field condition of a plain document is checked
+    return this.checkDocumentField(content, criteria, strictChecking, locale, asOf, options);
+  }
+
+  /**
+   * Check the criteria condition against a field of the document
+   * @param {Object} document - Document from userProfile.documents, or the credentialSubject of a verifiable credential
+   * @param {Object} criteria - Criteria with name (field path in the document), condition and conditionValues
+   * @param {boolean} strictChecking - Whether a missing field is a failure
+   * @param {string} locale - Locale for reason messages
+   * @param {Date} asOf - Date against which date conditions are evaluated
+   * @param {Object} [options] - Evaluation options (valueSynonyms)
+   * @returns {Promise<{reasons: Array, normalizedValue: *, missingFields: Array<string>}>} Reasons, empty if the
+   *   check passed or, with missingFields, could not be decided
+   */
+  checkDocumentField(document, criteria, strictChecking, locale, asOf, options = {}) {
+    const reasons = [];
+    if (!criteria.condition) return Promise.resolve({ reasons });
+
+    // Field path inside the document, e.g. "expiryDate" or "issuer.state"
+    const docValue = getValueByPath(document, criteria.name);
+    const isMissing = docValue === undefined || docValue === null || docValue === '';
+    if (isMissing && !isPresenceCondition(criteria.condition)) {
+      const field = ["documents", criteria.documentType, criteria.name].join(".");
+      if (strictChecking) {
         reasons.push({
           type: "userDocument",
-          field: criteria.documentType,
-          reason: translate(locale, "errors.errorProcessingDocument", { message: error.message }),
+          field,
+          reason: translate(locale, "errors.missingDocumentField", { field }),
+          code: "missingValue",
           description: criteria.description || "",
         });
-        return Promise.resolve(reasons);
+        return Promise.resolve({ reasons });
+      }
+      return Promise.resolve({ reasons, missingFields: [field] });
+    }
+
+    const normalized = normalizeCriteriaValues(docValue, criteria, options.valueSynonyms);
+    const details = normalized.normalized ? { normalizedValue: normalized.value } : {};
+
+    return checkCriteria(
+      normalized.value,
+      criteria.condition,
+      normalized.conditionValues,
+      locale,
+      buildCriteriaOptions(criteria, { asOf })
+    ).then(isEligible => {
+      if (!isEligible) {
+        reasons.push({
+          type: "userDocument",
+          field: criteria.name,
+          reason: getCriteriaFailureReason(locale, criteria.condition, normalized.value, criteria.conditionValues, criteria),
+          description: criteria.description || "",
+          userValue: docValue,
+          ...details,
+          requiredValue: criteria.conditionValues,
+          condition: criteria.condition,
+        });
+      }
+      return { reasons, ...details };
+    }).catch(error => {
+      reasons.push({
+        type: "userDocument",
+        field: criteria.documentType,
+        reason: translate(locale, "errors.errorProcessingDocument", { message: error.message }),
+        code: "evaluationError",
+        description: criteria.description || "",
       });
+      return { reasons, ...details };
+    });
+  }
+
+  /**
+   * Check the document number offline against the format of its type (see utils/documentValidators)
+   * @param {Object} userProfile - The user profile, whose state selects state specific formats
+   * @param {Object} document - Document from userProfile.documents
+   * @param {Object} criteria - Criteria; documentFormat names the format when it differs from the document type
+   * @param {boolean} strictChecking - Whether a missing number is a failure
+   * @param {string} locale - Locale for reason messages
+   * @returns {Object|null} Rule result when the number is invalid or missing, null when valid or no format applies
+   * @example
+   * // Aadhaar number with a typo in strict mode
+   * UserDocumentRule.checkDocumentNumber(profile, { type: "aadhaar", number: "2345 6789 0125" }, { documentType: "aadhaar", validateFormat: true }, true, "en");
+   * // { reasons: [{ type: "userDocument", field: "documents.aadhaar.number",
+   * //     reason: "Aadhaar number XXXXXXXX0125 fails its checksum, check it for a typo",
+   * //     userValue: "XXXXXXXX0125", condition: "documentChecksum", ... }] }
+   */
+  static checkDocumentNumber(userProfile, document, criteria, strictChecking, locale) {
+    const formatType = [criteria.documentFormat, document.type, criteria.documentType].find((type) =>
+      getDocumentFormat(type)
+    );
+    if (!formatType) return null;
+
+    const state = getValueByPath(userProfile, criteria.stateField || "state") ?? getValueByPath(userProfile, "address.state");
+    const result = validateDocumentNumber(formatType, document, { state, locale });
+    if (result.valid) return null;
+
+    const field = ["documents", criteria.documentType, result.field].join(".");
+    if (result.code === "missingNumber" && !strictChecking) {
+      return { reasons: [], missingFields: [field] };
     }
 
-    return Promise.resolve(reasons);
+    const numberKey = `documentNumbers.${result.documentType}`;
+    const documentName = hasTranslation(locale, numberKey) ? translate(locale, numberKey) : `${result.documentType} ${result.field}`;
+    const messageKeys = {
+      missingNumber: "errors.missingDocumentNumber",
+      invalidFormat: "errors.invalidDocumentFormat",
+      invalidChecksum: "errors.invalidDocumentChecksum",
+    };
+    return {
+      reasons: [{
+        type: "userDocument",
+        field,
+        reason: translate(locale, messageKeys[result.code], {
+          document: documentName,
+          value: result.value,
+          expected: result.expected,
+        }),
+        description: criteria.description || "",
+        ...(result.value !== undefined && { userValue: result.value }),
+        ...(result.expected !== undefined && { requiredValue: result.expected }),
+        condition: result.code === "invalidChecksum" ? "documentChecksum" : "documentFormat",
+        code: result.code,
+      }],
+    };
+  }
+
+  /**
+   * Reason for a document the verification provider did not confirm
+   * @param {Object} verification - Result of documentVerification.verify
+   * @param {string} documentType - Document type
+   * @param {string} locale - Locale for the message
+   * @returns {string}
+   */
+  static getVerificationReason(verification, documentType, locale) {
+    const validity = verification.details?.validUntil ?? verification.details?.validFrom;
+    const values = {
+      documentType,
+      provider: verification.provider,
+      timeoutMs: verification.timeoutMs,
+      message: verification.message ?? "",
+      issuer: verification.details?.issuer ?? "",
+      date: validity ? formatDate(new Date(validity), locale) : "",
+    };
+    switch (verification.status) {
+      case "notFound":
+        return translate(locale, "errors.documentNotFoundByProvider", values);
+      case "revoked":
+        return translate(locale, "errors.documentRevoked", values);
+      case "timeout":
+        return translate(locale, "errors.verificationTimeout", values);
+      case "error":
+        return translate(locale, "errors.verificationProviderError", values);
+      case "malformed":
+        return translate(locale, "errors.credentialMalformed", values);
+      case "unsupportedProof":
+        return translate(locale, "errors.credentialUnsupportedProof", values);
+      case "untrustedIssuer":
+        return translate(locale, "errors.credentialUntrustedIssuer", values);
+      case "invalidSignature":
+        return translate(locale, "errors.credentialInvalidSignature", values);
+      case "expired":
+        return translate(locale, "errors.credentialExpired", values);
+      case "notYetValid":
+        return translate(locale, "errors.credentialNotYetValid", values);
+      default:
+        return translate(locale, "errors.invalidUnverifiedDocument");
+    }
   }
 
-  // Static method to validate the document
-  static validateDocument(document) {
-    return Promise.resolve(document.verified === true);
+  /**
+   * Check whether a document is verified by the provider configured for its type
+   * @param {Object} document - Document from userProfile.documents
+   * @param {string} [documentType] - Document type (default: document.type)
+   * @returns {Promise<boolean>}
+   */
+  static validateDocument(document, documentType = document?.type) {
+    return documentVerification.verify(documentType, document).then(verification => verification.status === "verified");
   }
 }
 
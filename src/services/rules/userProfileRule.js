@@ -1,6 +1,16 @@
-const { checkCriteria } = require("../../utils/eligibilityUtils");
+const {
+  checkCriteria,
+  buildCriteriaOptions,
+  getCriteriaFailureReason,
+  SUPPORTED_CONDITIONS,
+  getValueByPath,
+  isPresenceCondition,
+  resolveAsOfDate,
+  resolveProfileValue,
+} = require("../../utils/eligibilityUtils");
 const RuleInterface = require("../interfaces/RuleInterface");
 const { translate } = require("../../utils/i18n");
+const { normalizeCriteriaValues } = require("../../utils/valueNormalizer");
 
 /**
  * Rule class for checking user profile criteria
@@ -17,6 +27,7 @@ const { translate } = require("../../utils/i18n");
  *     "name": "income",
  *     "condition": "lte",
  *     "conditionValues": 270000,
+ *     "currency": "INR",
  *     "description": "The Total Annual income must not exceed ₹2.7 Lakh per Annum",
  *     "strictChecking": true
  * };
@@ -27,7 +38,7 @@ const { translate } = require("../../utils/i18n");
  * [{
  *     "type": "userProfile",
  *     "field": "income",
- *     "reason": "Does not meet criteria: lte",
+ *     "reason": "Annual income ₹4,00,000 is more than the limit of ₹2,70,000",
  *     "description": "The Total Annual income must not exceed ₹2.7 Lakh per Annum",
  *     "userValue": 400000,
  *     "requiredValue": 270000,
@@ -76,7 +87,7 @@ const { translate } = require("../../utils/i18n");
  * [{
  *     "type": "userProfile",
  *     "field": "class",
- *     "reason": "Does not meet criteria: between",
+ *     "reason": "Class 8 is not between 9 and 12",
  *     "description": "Student must be in class 9-12",
  *     "userValue": "8",
  *     "requiredValue": [9, 12],
@@ -100,9 +111,88 @@ const { translate } = require("../../utils/i18n");
  * const result = await rule.execute(userProfile, criteria, true);
  * // Returns:
  * [] // Empty array means all criteria passed
+ *
+ * // Example 5: Nested profile field
+ * const userProfile = {
+ *     "name": "Ravi Kumar",
+ *     "address": { "state": "bihar" }
+ * };
+ *
+ * const criteria = {
+ *     "name": "address.state",
+ *     "condition": "equals",
+ *     "conditionValues": "maharashtra",
+ *     "description": "Applicant must be domiciled in Maharashtra"
+ * };
+ *
+ * const result = await rule.execute(userProfile, criteria, true);
+ * // Returns:
+ * [{
+ *     "type": "userProfile",
+ *     "field": "address.state",
+ *     "reason": "State bihar is not maharashtra",
+ *     "description": "Applicant must be domiciled in Maharashtra",
+ *     "userValue": "bihar",
+ *     "requiredValue": "maharashtra",
+ *     "condition": "equals"
+ * }]
+ *
+ * // Example 6: Age as on 1st July, derived from dateOfBirth
+ * const userProfile = {
+ *     "name": "Asha Patil",
+ *     "dateOfBirth": "2008-07-02"
+ * };
+ *
+ * const criteria = {
+ *     "name": "age",
+ *     "condition": "between",
+ *     "conditionValues": [16, 18],
+ *     "asOf": "07-01",
+ *     "description": "Applicant must be 16 to 18 years old as on 1st July"
+ * };
+ *
+ * const result = await rule.execute(userProfile, criteria, true, "en", { asOf: "2024-08-15" });
+ * // Returns (age as on 2024-07-01 is 15):
+ * [{
+ *     "type": "userProfile",
+ *     "field": "age",
+ *     "reason": "Age 15 is not between 16 and 18",
+ *     "description": "Applicant must be 16 to 18 years old as on 1st July",
+ *     "userValue": 15,
+ *     "requiredValue": [16, 18],
+ *     "condition": "between"
+ * }]
  */
 class UserProfileRule extends RuleInterface {
-  execute(userProfile, criteria, strictCheckingFromQuery, locale = "en") {
+  /**
+   * Metadata used to validate benefit schemas against this rule type
+   * @returns {{conditions: Array<string>, requiredCriteriaFields: Array<string>}}
+   */
+  static get metadata() {
+    return {
+      description: "Compares a user profile field with the condition values",
+      conditions: SUPPORTED_CONDITIONS,
+      requiredCriteriaFields: ["name", "condition"],
+    };
+  }
+
+  execute(userProfile, criteria, strictCheckingFromQuery, locale = "en", options = {}) {
+    return this.evaluate(userProfile, criteria, strictCheckingFromQuery, locale, options)
+      .then(result => result.reasons);
+  }
+
+  /**
+   * Evaluate the criteria and report details alongside the reasons
+   * @param {Object} userProfile - The user profile to verify
+   * @param {Object} criteria - The criteria to verify against
+   * @param {boolean} strictCheckingFromQuery - Whether to apply strict checking rules
+   * @param {string} locale - Locale for reason messages (default: "en")
+   * @param {Object} [options] - Evaluation options (asOf, valueSynonyms)
+   * @returns {Promise<{reasons: Array, normalizedValue: *, missingFields: Array<string>}>} normalizedValue is
+   *   present when normalization changed the profile value, e.g. "MH" became "maharashtra"; missingFields is
+   *   present when, without strict checking, the field is missing and the criterion cannot be decided
+   */
+  evaluate(userProfile, criteria, strictCheckingFromQuery, locale = "en", options = {}) {
     const reasons = [];
 
     // Use strictChecking from query param if provided, else from criteria
@@ -110,46 +200,78 @@ class UserProfileRule extends RuleInterface {
       ? strictCheckingFromQuery
       : Boolean(criteria.strictChecking);
 
-    // Extract the value from userProfile based on criteria name
-    const value = userProfile[criteria.name];
-    if (value === undefined || value === null || value === '') {
+    // Criteria level as-of date (e.g. "07-01" for 1st July) is resolved against the evaluation date
+    let asOf;
+    try {
+      asOf = resolveAsOfDate(criteria.asOf, options.asOf, locale);
+    } catch (error) {
+      reasons.push({
+        type: "userProfile",
+        field: criteria.name,
+        reason: translate(locale, "errors.errorCheckingCriteria", { message: error.message }),
+        code: "evaluationError",
+        description: criteria.description || "",
+      });
+      return Promise.resolve({ reasons });
+    }
+
+    // Extract the value from userProfile based on criteria name (a field or a path such as "address.state"),
+    // deriving age from dateOfBirth if needed
+    const value = resolveProfileValue(userProfile, criteria.name, getValueByPath(userProfile, criteria.name), {
+      asOf,
+      // A stated age is only current as of today, so any explicit evaluation date recalculates it
+      preferDerived: Boolean(criteria.asOf || options.asOf),
+    });
+    // exists / notExists are decided by checkCriteria itself
+    const isMissing = value === undefined || value === null || value === '';
+    if (isMissing && !isPresenceCondition(criteria.condition)) {
       if (strictChecking) {
         reasons.push({
           type: "userProfile",
           field: criteria.name,
           reason: translate(locale, "errors.missingUserProfileField", { field: criteria.name }),
+          code: "missingValue",
           description: criteria.description || "",
         });
+        return Promise.resolve({ reasons });
       }
-      return Promise.resolve(reasons);
+      // Not strict: the criterion is undecided until the field is provided
+      return Promise.resolve({ reasons, missingFields: [criteria.name] });
     }
 
+    // Trim, Unicode-normalize and map aliases (e.g. "MH" to "maharashtra") on both sides
+    const normalized = normalizeCriteriaValues(value, criteria, options.valueSynonyms);
+    const details = normalized.normalized ? { normalizedValue: normalized.value } : {};
+
     return checkCriteria(
-      value,
+      normalized.value,
       criteria.condition,
-      criteria.conditionValues,
-      locale
+      normalized.conditionValues,
+      locale,
+      buildCriteriaOptions(criteria, { asOf })
     ).then(isEligible => {
       if (!isEligible) {
         reasons.push({
           type: "userProfile",
           field: criteria.name,
-          reason: translate(locale, "errors.doesNotMeetCriteria", { condition: criteria.condition }),
+          reason: getCriteriaFailureReason(locale, criteria.condition, normalized.value, criteria.conditionValues, criteria),
           description: criteria.description || "",
           userValue: value,
+          ...details,
           requiredValue: criteria.conditionValues,
           condition: criteria.condition,
         });
       }
-      return reasons;
+      return { reasons, ...details };
     }).catch(error => {
       reasons.push({
         type: "userProfile",
         field: criteria.name,
         reason: translate(locale, "errors.errorCheckingCriteria", { message: error.message }),
+        code: "evaluationError",
         description: criteria.description || "",
       });
-      return reasons;
+      return { reasons, ...details };
     });
   }
 }
@@ -0,0 +1,59 @@
+const fs = require("fs");
+const path = require("path");
+const VerificationProviderInterface = require("../interfaces/VerificationProviderInterface");
+
+// Document numbers are matched ignoring spaces, hyphens and case
+const toRecordKey = (value) => String(value ?? "").replace(/[\s-]+/g, "").toUpperCase();
+
+/**
+ * Stub provider for tests and local development: looks documents up in a JSON file instead of an issuer.
+ * The file lists records per document type, keyed by document number:
+ *   { "aadhaar": { "234567890124": { "status": "verified" }, "987654321098": { "status": "revoked" } } }
+ * Numbers that are not listed are "notFound". The file is read on first use.
+ * @example
+ * const provider = new FileStubProvider({ file: "./test/fixtures/documentRegistry.json", delayMs: 50 });
+ * await provider.verify({ number: "2345 6789 0124" }, { documentType: "aadhaar" });
+ * // { status: "verified", details: { source: "fileStub" } }
+ */
+class FileStubProvider extends VerificationProviderInterface {
+  /**
+   * @param {Object} config
+   * @param {string} config.file - JSON file with the records
+   * @param {string} [config.numberField] - Document field with the number (default: "number")
+   * @param {number} [config.delayMs] - Simulated response time, e.g. to exercise timeouts
+   */
+  constructor(config = {}) {
+    super(config);
+    this.records = null;
+  }
+
+  loadRecords() {
+    if (!this.records) {
+      this.records = fs.promises
+        .readFile(path.resolve(this.config.file), "utf8")
+        .then((content) => JSON.parse(content))
+        .catch((error) => {
+          // Retry on the next call rather than caching the failure
+          this.records = null;
+          throw error;
+        });
+    }
+    return this.records;
+  }
+
+  async verify(document, { documentType }) {
+    if (this.config.delayMs > 0) {
+      await new Promise((resolve) => setTimeout(resolve, this.config.delayMs));
+    }
+    const records = await this.loadRecords();
+    const typeRecords = records[documentType] ?? records[document?.type] ?? {};
+    const wanted = toRecordKey(document?.[this.config.numberField || "number"]);
+    const key = Object.keys(typeRecords).find((number) => toRecordKey(number) === wanted);
+
+    if (!wanted || key === undefined) return { status: "notFound", details: { source: "fileStub" } };
+    const { status = "verified", message, ...details } = typeRecords[key];
+    return { status, ...(message && { message }), details: { source: "fileStub", ...details } };
+  }
+}
+
+module.exports = FileStubProvider;
@@ -0,0 +1,118 @@
+const fs = require("fs");
+const path = require("path");
+const VerificationProviderInterface = require("../interfaces/VerificationProviderInterface");
+const {
+  decodeCredential,
+  toPublicKey,
+  verifySignature,
+  getSigningKeyId,
+  isSupportedProof,
+  getValidityPeriod,
+} = require("../../utils/verifiableCredentials");
+
+const readJsonFile = (file) =>
+  file ? fs.promises.readFile(path.resolve(file), "utf8").then((content) => JSON.parse(content)) : Promise.resolve({});
+
+// Key ids match in full or by fragment, e.g. "did:web:edistrict.up.gov.in#key-1" and "#key-1"
+const keyIdMatches = (keyId, signingKeyId) =>
+  keyId === signingKeyId || (keyId?.includes("#") && signingKeyId?.endsWith(keyId.slice(keyId.indexOf("#"))));
+
+/**
+ * Verifies W3C verifiable credentials offline: the Ed25519 signature (VC-JWT with EdDSA, or an embedded
+ * eddsa-jcs-2022 DataIntegrityProof) against locally trusted issuer keys, the validity period and local
+ * revocation lists. Used for every credential document unless another provider is configured for its type.
+ * @example
+ * // trustedIssuersFile (default: TRUSTED_ISSUERS_FILE)
+ * {
+ *     "issuers": [{
+ *         "id": "did:web:edistrict.up.gov.in",
+ *         "name": "e-District Uttar Pradesh",
+ *         "credentialTypes": ["IncomeCertificate", "CasteCertificate"],
+ *         "keys": [{ "id": "did:web:edistrict.up.gov.in#key-1", "publicKeyMultibase": "z6Mk..." }]
+ *     }]
+ * }
+ *
+ * // revocationListFile (default: VC_REVOCATION_FILE), credential ids and revoked status list indexes
+ * {
+ *     "revokedCredentials": ["urn:uuid:8f0e2a3c-6f5e-4f1a-9d3e-2b7c1d0a9e11"],
+ *     "statusLists": { "https://edistrict.up.gov.in/status/1": [94567] }
+ * }
+ *
+ * await new VerifiableCredentialProvider().verify(incomeCertificateVc, { documentType: "incomeCertificate" });
+ * // { status: "verified", details: { issuer: "did:web:edistrict.up.gov.in", credentialId: "urn:uuid:...",
+ * //     types: ["VerifiableCredential", "IncomeCertificate"] } }
+ */
+class VerifiableCredentialProvider extends VerificationProviderInterface {
+  /**
+   * @param {Object} config
+   * @param {string} [config.trustedIssuersFile] - Trusted issuers and their keys
+   * @param {string} [config.revocationListFile] - Revoked credential ids and status list entries
+   */
+  constructor(config = {}) {
+    super({
+      trustedIssuersFile: process.env.TRUSTED_ISSUERS_FILE,
+      revocationListFile: process.env.VC_REVOCATION_FILE,
+      ...config,
+    });
+    this.files = null;
+  }
+
+  loadFiles() {
+    if (!this.files) {
+      this.files = Promise.all([
+        readJsonFile(this.config.trustedIssuersFile),
+        readJsonFile(this.config.revocationListFile),
+      ])
+        .then(([trusted, revocations]) => ({ issuers: trusted.issuers || [], revocations }))
+        .catch((error) => {
+          // Retry on the next call rather than caching the failure
+          this.files = null;
+          throw error;
+        });
+    }
+    return this.files;
+  }
+
+  async verify(document, context = {}) {
+    let decoded;
+    try {
+      decoded = decodeCredential(document);
+    } catch (error) {
+      return { status: "malformed", message: error.message };
+    }
+    const { credential } = decoded;
+    if (!credential || typeof credential !== "object") return { status: "malformed", message: "" };
+
+    const issuerId = typeof credential.issuer === "object" ? credential.issuer?.id : credential.issuer;
+    const types = [].concat(credential.type ?? []);
+    const details = { issuer: issuerId, credentialId: credential.id, types };
+    if (!isSupportedProof(decoded)) return { status: "unsupportedProof", details };
+
+    const { issuers, revocations } = await this.loadFiles();
+    const issuer = issuers.find((entry) => entry.id === issuerId);
+    const typeAllowed = !issuer?.credentialTypes || types.some((type) => issuer.credentialTypes.includes(type));
+    if (!issuer || !typeAllowed) return { status: "untrustedIssuer", details };
+
+    const signingKeyId = getSigningKeyId(decoded);
+    const keys = issuer.keys || [];
+    const key = signingKeyId ? keys.find((entry) => keyIdMatches(entry.id, signingKeyId)) : keys.length === 1 ? keys[0] : undefined;
+    if (!key || !verifySignature(decoded, toPublicKey(key))) return { status: "invalidSignature", details };
+
+    const asOf = context.asOf ? new Date(context.asOf) : new Date();
+    const { validFrom, validUntil } = getValidityPeriod(decoded);
+    if (validFrom && validFrom > asOf) return { status: "notYetValid", details: { ...details, validFrom } };
+    if (validUntil && validUntil < asOf) return { status: "expired", details: { ...details, validUntil } };
+
+    const revokedIds = revocations.revokedCredentials || [];
+    const statusEntries = [].concat(credential.credentialStatus ?? []);
+    const revokedByStatusList = statusEntries.some((entry) =>
+      (revocations.statusLists?.[entry?.statusListCredential] || []).includes(Number(entry?.statusListIndex))
+    );
+    if ((credential.id && revokedIds.includes(credential.id)) || revokedByStatusList) {
+      return { status: "revoked", details };
+    }
+    return { status: "verified", details };
+  }
+}
+
+module.exports = VerifiableCredentialProvider;
@@ -0,0 +1,15 @@
+const VerificationProviderInterface = require("../interfaces/VerificationProviderInterface");
+
+/**
+ * Default provider: trusts the "verified" flag set on the document by the calling application
+ * @example
+ * await new VerifiedFlagProvider().verify({ type: "aadhaar", verified: true });
+ * // { status: "verified" }
+ */
+class VerifiedFlagProvider extends VerificationProviderInterface {
+  async verify(document) {
+    return { status: document?.verified === true ? "verified" : "unverified" };
+  }
+}
+
+module.exports = VerifiedFlagProvider;
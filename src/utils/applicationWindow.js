@@ -0,0 +1,69 @@
+const { translate } = require("./i18n");
+const { parseDate, resolveAsOfDate } = require("./eligibilityUtils");
+
+const toIsoDate = (date) => date.toISOString().slice(0, 10);
+const isLeapYear = (year) => new Date(Date.UTC(year, 1, 29)).getUTCMonth() === 1;
+
+/**
+ * Resolve a window date: a full date, or a month-day taken in the given year
+ * @param {string} value - applicationOpens or applicationCloses
+ * @param {number} year - Year of an annual window date
+ * @param {string} locale - Locale for error messages
+ * @returns {Date}
+ * @throws {Error} When the date is invalid
+ */
+function resolveWindowDate(value, year, locale) {
+  // An annual window ending on 29 February ends on the 28th outside leap years
+  const leapDay = typeof value === "string" && /^(?:--)?02-29$/.test(value.trim());
+  return resolveAsOfDate(leapDay && !isLeapYear(year) ? "02-28" : value, new Date(Date.UTC(year, 0, 1)), locale);
+}
+
+/**
+ * Work out whether a benefit takes applications on a date. Both ends of the window are inclusive. Annual
+ * windows are given as month-day ("06-01" to "08-31"), and may run over the new year ("11-01" to "01-31").
+ * @param {Object} benefit - Benefit schema with applicationOpens and/or applicationCloses
+ * @param {Date|string} asOf - Date of the check
+ * @param {string} locale - Locale for error messages (default: "en")
+ * @returns {Object|null} null when the benefit declares no window, otherwise
+ *   { status: "open" | "notYetOpen" | "closed", opens, closes, asOf } with dates as YYYY-MM-DD
+ * @throws {Error} When a window date is invalid
+ * @example
+ * getApplicationWindow({ applicationOpens: "2024-06-01", applicationCloses: "2024-08-31" }, "2024-09-15")
+ * // { status: "closed", opens: "2024-06-01", closes: "2024-08-31", asOf: "2024-09-15" }
+ */
+function getApplicationWindow(benefit, asOf, locale = "en") {
+  const { applicationOpens, applicationCloses } = benefit || {};
+  const declared = (value) => value !== undefined && value !== null && value !== "";
+  if (!declared(applicationOpens) && !declared(applicationCloses)) return null;
+
+  const onDate = resolveAsOfDate(undefined, asOf, locale);
+  const year = onDate.getUTCFullYear();
+  let opens = declared(applicationOpens) ? resolveWindowDate(applicationOpens, year, locale) : null;
+  let closes = declared(applicationCloses) ? resolveWindowDate(applicationCloses, year, locale) : null;
+
+  // An annual window running over the new year is the one that contains the date, or the next one
+  const annual = [applicationOpens, applicationCloses].every((value) => declared(value) && !parseDate(value));
+  if (annual && opens > closes) {
+    if (onDate <= closes) opens = resolveWindowDate(applicationOpens, year - 1, locale);
+    else closes = resolveWindowDate(applicationCloses, year + 1, locale);
+  } else if (opens && closes && opens > closes) {
+    throw new Error(translate(locale, "errors.invalidApplicationWindow", {
+      opens: String(applicationOpens),
+      closes: String(applicationCloses),
+    }));
+  }
+
+  let status = "open";
+  if (opens && onDate < opens) status = "notYetOpen";
+  else if (closes && onDate > closes) status = "closed";
+  return {
+    status,
+    ...(opens && { opens: toIsoDate(opens) }),
+    ...(closes && { closes: toIsoDate(closes) }),
+    asOf: toIsoDate(onDate),
+  };
+}
+
+module.exports = {
+  getApplicationWindow,
+};
@@ -0,0 +1,342 @@
+const { translate } = require("./i18n");
+const { calculateAge, parseDate, resolveAsOfDate } = require("./eligibilityUtils");
+
+const MS_PER_DAY = 24 * 60 * 60 * 1000;
+// Guards against pathological schema expressions
+const MAX_EXPRESSION_LENGTH = 500;
+const MAX_NESTING_DEPTH = 32;
+
+const OPERATORS = ["+", "-", "*", "/", "%"];
+
+// Profile references: identifiers with optional dot segments and array indexes, e.g. address.pincode or members[0].age
+const IDENTIFIER_PATTERN = /^[A-Za-z_][A-Za-z0-9_]*(?:\.[A-Za-z_][A-Za-z0-9_]*|\[\d+\])*/;
+const NUMBER_PATTERN = /^(?:\d+(?:\.\d+)?|\.\d+)/;
+
+/**
+ * Whitelisted functions. Each receives already evaluated arguments plus the evaluation
+ * context and returns a number, or undefined when the inputs are missing or invalid.
+ */
+const FUNCTIONS = {
+  min: { minArgs: 1, maxArgs: Infinity, fn: (args) => Math.min(...args) },
+  max: { minArgs: 1, maxArgs: Infinity, fn: (args) => Math.max(...args) },
+  abs: { minArgs: 1, maxArgs: 1, fn: ([value]) => Math.abs(value) },
+  floor: { minArgs: 1, maxArgs: 1, fn: ([value]) => Math.floor(value) },
+  ceil: { minArgs: 1, maxArgs: 1, fn: ([value]) => Math.ceil(value) },
+  round: {
+    minArgs: 1,
+    maxArgs: 2,
+    fn: ([value, digits = 0]) => Number(value.toFixed(Math.max(0, Math.min(10, digits)))),
+  },
+  // Number of entries in a profile list, e.g. count(familyMembers)
+  count: { minArgs: 1, maxArgs: 1, raw: true, fn: ([value]) => (Array.isArray(value) ? value.length : undefined) },
+  yearsSince: {
+    minArgs: 1,
+    maxArgs: 1,
+    raw: true,
+    fn: ([value], context) => calculateAge(value, context.asOf) ?? undefined,
+  },
+  monthsSince: {
+    minArgs: 1,
+    maxArgs: 1,
+    raw: true,
+    fn: ([value], context) => {
+      const from = parseDate(value);
+      if (!from) return undefined;
+      const to = context.asOf;
+      let months = (to.getUTCFullYear() - from.getUTCFullYear()) * 12 + (to.getUTCMonth() - from.getUTCMonth());
+      if (to.getUTCDate() < from.getUTCDate()) months -= 1;
+      return months;
+    },
+  },
+  daysSince: {
+    minArgs: 1,
+    maxArgs: 1,
+    raw: true,
+    fn: ([value], context) => {
+      const from = parseDate(value);
+      return from ? Math.floor((context.asOf.getTime() - from.getTime()) / MS_PER_DAY) : undefined;
+    },
+  },
+};
+
+/**
+ * Build a syntax error carrying the 1-based position of the offending character
+ * @param {string} locale - Locale for the message
+ * @param {number} index - 0-based index in the source
+ * @param {string} detailKey - Key under "expressionErrors"
+ * @param {Object} [variables] - Interpolation variables for the detail
+ * @returns {Error}
+ */
+function syntaxError(locale, index, detailKey, variables = {}) {
+  const error = new Error(
+    translate(locale, "errors.expressionSyntaxError", {
+      position: index + 1,
+      detail: translate(locale, `expressionErrors.${detailKey}`, variables),
+    })
+  );
+  error.position = index + 1;
+  return error;
+}
+
+/**
+ * Split an arithmetic expression into tokens
+ * @param {string} source - Expression source
+ * @param {string} locale - Locale for error messages
+ * @returns {Array<Object>} Tokens with type, value and index
+ */
+function tokenize(source, locale) {
+  const tokens = [];
+  let index = 0;
+  while (index < source.length) {
+    const rest = source.slice(index);
+    const char = source[index];
+
+    if (/\s/.test(char)) {
+      index += 1;
+      continue;
+    }
+
+    const number = NUMBER_PATTERN.exec(rest);
+    if (number) {
+      tokens.push({ type: "number", value: Number(number[0]), index });
+      index += number[0].length;
+      continue;
+    }
+
+    const identifier = IDENTIFIER_PATTERN.exec(rest);
+    if (identifier) {
+      tokens.push({ type: "identifier", value: identifier[0], index });
+      index += identifier[0].length;
+      continue;
+    }
+
+    if (OPERATORS.includes(char)) {
+      tokens.push({ type: "operator", value: char, index });
+    } else if (char === "(" || char === ")") {
+      tokens.push({ type: "paren", value: char, index });
+    } else if (char === ",") {
+      tokens.push({ type: "comma", value: char, index });
+    } else {
+      throw syntaxError(locale, index, "unexpectedCharacter", { character: char });
+    }
+    index += 1;
+  }
+  return tokens;
+}
+
+/**
+ * Parse an arithmetic expression into an AST.
+ * Grammar: expression := term (("+" | "-") term)*
+ *          term       := unary (("*" | "/" | "%") unary)*
+ *          unary      := "-" unary | primary
+ *          primary    := number | reference | function "(" arguments ")" | "(" expression ")"
+ * @param {string} source - Expression such as "income / familySize" or "yearsSince(marriageDate)"
+ * @param {string} locale - Locale for error messages (default: "en")
+ * @returns {Object} AST node
+ * @example
+ * parseArithmeticExpression("round(income / max(count(familyMembers), 1))")
+ */
+function parseArithmeticExpression(source, locale = "en") {
+  if (typeof source !== "string" || source.trim() === "")
+    throw syntaxError(locale, 0, "emptyExpression");
+  if (source.length > MAX_EXPRESSION_LENGTH)
+    throw syntaxError(locale, MAX_EXPRESSION_LENGTH, "expressionTooLong", { maxLength: MAX_EXPRESSION_LENGTH });
+
+  const tokens = tokenize(source, locale);
+  let position = 0;
+  let depth = 0;
+
+  const peek = () => tokens[position];
+  const endIndex = () => source.length;
+  const expect = (type, value) => {
+    const token = peek();
+    if (!token) throw syntaxError(locale, endIndex(), "unexpectedEnd");
+    if (token.type !== type || (value && token.value !== value))
+      throw syntaxError(locale, token.index, "unexpectedToken", { token: token.value });
+    position += 1;
+    return token;
+  };
+
+  // Parentheses, function arguments and chained negations all count towards the nesting depth
+  const enter = () => {
+    depth += 1;
+    if (depth > MAX_NESTING_DEPTH) throw syntaxError(locale, peek()?.index ?? endIndex(), "tooDeeplyNested");
+  };
+
+  const parseExpression = () => {
+    enter();
+    let node = parseTerm();
+    while (peek()?.type === "operator" && ["+", "-"].includes(peek().value)) {
+      const operator = tokens[position++].value;
+      node = { type: "binary", operator, left: node, right: parseTerm() };
+    }
+    depth -= 1;
+    return node;
+  };
+
+  const parseTerm = () => {
+    let node = parseUnary();
+    while (peek()?.type === "operator" && ["*", "/", "%"].includes(peek().value)) {
+      const operator = tokens[position++].value;
+      node = { type: "binary", operator, left: node, right: parseUnary() };
+    }
+    return node;
+  };
+
+  const parseUnary = () => {
+    if (peek()?.type === "operator" && peek().value === "-") {
+      position += 1;
+      enter();
+      const node = { type: "negate", operand: parseUnary() };
+      depth -= 1;
+      return node;
+    }
+    return parsePrimary();
+  };
+
+  const parsePrimary = () => {
+    const token = peek();
+    if (!token) throw syntaxError(locale, endIndex(), "unexpectedEnd");
+
+    if (token.type === "number") {
+      position += 1;
+      return { type: "number", value: token.value };
+    }
+
+    if (token.type === "paren" && token.value === "(") {
+      position += 1;
+      const node = parseExpression();
+      expect("paren", ")");
+      return node;
+    }
+
+    if (token.type === "identifier") {
+      position += 1;
+      if (peek()?.type === "paren" && peek().value === "(") {
+        const definition = Object.prototype.hasOwnProperty.call(FUNCTIONS, token.value)
+          ? FUNCTIONS[token.value]
+          : null;
+        if (!definition) throw syntaxError(locale, token.index, "unknownFunction", { name: token.value });
+
+        position += 1;
+        const args = [];
+        if (!(peek()?.type === "paren" && peek().value === ")")) {
+          args.push(parseExpression());
+          while (peek()?.type === "comma") {
+            position += 1;
+            args.push(parseExpression());
+          }
+        }
+        expect("paren", ")");
+        if (args.length < definition.minArgs || args.length > definition.maxArgs)
+          throw syntaxError(locale, token.index, "wrongArgumentCount", { name: token.value });
+
+        return { type: "call", name: token.value, args };
+      }
+      return { type: "reference", path: token.value };
+    }
+
+    throw syntaxError(locale, token.index, "unexpectedToken", { token: token.value });
+  };
+
+  const ast = parseExpression();
+  if (position < tokens.length)
+    throw syntaxError(locale, tokens[position].index, "unexpectedToken", { token: tokens[position].value });
+  return ast;
+}
+
+/**
+ * Collect the profile references used by an expression
+ * @param {Object} ast - AST from parseArithmeticExpression
+ * @returns {Array<string>} Referenced field paths
+ */
+function getExpressionReferences(ast) {
+  switch (ast.type) {
+    case "reference":
+      return [ast.path];
+    case "binary":
+      return [...getExpressionReferences(ast.left), ...getExpressionReferences(ast.right)];
+    case "negate":
+      return getExpressionReferences(ast.operand);
+    case "call":
+      return ast.args.flatMap(getExpressionReferences);
+    default:
+      return [];
+  }
+}
+
+/**
+ * Evaluate a parsed arithmetic expression.
+ * Missing or non-numeric inputs and non-finite results (e.g. division by zero) yield undefined
+ * rather than throwing, so that the derived attribute is simply treated as not provided.
+ * @param {Object} ast - AST from parseArithmeticExpression
+ * @param {Function} resolveReference - Returns the raw value for a field path
+ * @param {Object} [options]
+ * @param {Date|string} [options.asOf] - Date used by yearsSince / monthsSince / daysSince (default: today)
+ * @returns {number|undefined} Result
+ */
+function evaluateArithmeticExpression(ast, resolveReference, options = {}) {
+  const context = { asOf: resolveAsOfDate(options.asOf) };
+
+  const toNumber = (value) => {
+    if (typeof value === "number") return Number.isFinite(value) ? value : undefined;
+    if (typeof value === "string" && value.trim() !== "") {
+      const number = Number(value);
+      return Number.isFinite(number) ? number : undefined;
+    }
+    return undefined;
+  };
+
+  const evaluate = (node) => {
+    switch (node.type) {
+      case "number":
+        return node.value;
+      case "reference":
+        return toNumber(resolveReference(node.path));
+      case "negate": {
+        const operand = evaluate(node.operand);
+        return operand === undefined ? undefined : -operand;
+      }
+      case "binary": {
+        const left = evaluate(node.left);
+        const right = evaluate(node.right);
+        if (left === undefined || right === undefined) return undefined;
+        switch (node.operator) {
+          case "+":
+            return left + right;
+          case "-":
+            return left - right;
+          case "*":
+            return left * right;
+          case "/":
+            return right === 0 ? undefined : left / right;
+          case "%":
+            return right === 0 ? undefined : left % right;
+          default:
+            return undefined;
+        }
+      }
+      case "call": {
+        const definition = FUNCTIONS[node.name];
+        // Date and list functions need the raw profile value rather than a number
+        const args = definition.raw
+          ? node.args.map((arg) => (arg.type === "reference" ? resolveReference(arg.path) : evaluate(arg)))
+          : node.args.map(evaluate);
+        if (args.some((arg) => arg === undefined || arg === null)) return undefined;
+        if (!definition.raw && args.some((arg) => typeof arg !== "number")) return undefined;
+        return toNumber(definition.fn(args, context));
+      }
+      default:
+        return undefined;
+    }
+  };
+
+  const result = evaluate(ast);
+  return result === undefined || !Number.isFinite(result) ? undefined : result;
+}
+
+module.exports = {
+  parseArithmeticExpression,
+  evaluateArithmeticExpression,
+  getExpressionReferences,
+};
@@ -0,0 +1,277 @@
+const { translate } = require("./i18n");
+const { decideGroup } = require("./criteriaGroups");
+
+const RELATION_TYPES = ["excludes", "requires"];
+// Profile field listing the benefits the applicant already receives
+const EXISTING_BENEFITS_FIELD = "existingBenefits";
+// Upper bound on the combinations listed; the search stops once it is reached
+const MAX_COMBINATIONS = 100;
+
+/**
+ * Read the relations a benefit declares to other benefits
+ * @param {Object} benefit - Benefit schema, with "excludes" (cannot be combined with) and "requires"
+ *   (only for beneficiaries of) lists of benefit ids or { id, name }
+ * @param {string} locale - Locale for error messages (default: "en")
+ * @returns {{excludes: Array<{id: string, name: string}>, requires: Array<{id: string, name: string}>}}
+ * @throws {Error} When a list is malformed or names the benefit itself
+ */
+function getBenefitRelations(benefit, locale = "en") {
+  return RELATION_TYPES.reduce((relations, relation) => {
+    const declared = benefit?.[relation] ?? [];
+    if (!Array.isArray(declared)) {
+      throw new Error(translate(locale, "errors.invalidBenefitRelation", { relation, value: JSON.stringify(declared) }));
+    }
+    relations[relation] = declared.map((entry) => {
+      const id = typeof entry === "string" ? entry : entry?.id;
+      if (typeof id !== "string" || id.trim() === "") {
+        throw new Error(translate(locale, "errors.invalidBenefitRelation", { relation, value: JSON.stringify(entry) }));
+      }
+      if (id === benefit.id) {
+        throw new Error(translate(locale, "errors.selfBenefitRelation", { relation, id }));
+      }
+      return { id, ...(typeof entry?.name === "string" && { name: entry.name }) };
+    });
+    return relations;
+  }, {});
+}
+
+/**
+ * Read the benefits the applicant already receives
+ * @param {Object} userProfile - User profile with "existingBenefits": benefit ids or { id, name }
+ * @returns {Map<string, string>|null} Names by benefit id, or null when the profile does not say
+ */
+function getExistingBenefits(userProfile) {
+  const listed = userProfile?.[EXISTING_BENEFITS_FIELD];
+  if (listed === undefined || listed === null) return null;
+  return [].concat(listed).reduce((existing, entry) => {
+    const id = typeof entry === "string" ? entry : entry?.id ?? entry?.schemaId;
+    if (typeof id === "string" && id !== "") existing.set(id, entry?.name ?? id);
+    return existing;
+  }, new Map());
+}
+
+/**
+ * Find the largest sets of benefits that can be claimed together: no two of them exclude each other, and
+ * every benefit required in the same batch is part of the set
+ * @param {Array<string>} ids - Eligible benefit ids, in order
+ * @param {Set<string>} conflicts - Conflicting pairs, as "id\u0000id" in both orders
+ * @param {Map<string, Array<string>>} dependencies - Benefits each benefit must be claimed together with
+ * @returns {Array<Array<string>>} Maximal sets, in the order of ids
+ */
+function findCombinations(ids, conflicts, dependencies) {
+  const compatible = (a, b) => !conflicts.has(`${a}\u0000${b}`);
+  const cliques = [];
+
+  // Bron-Kerbosch over the "can be combined" graph lists every maximal set without conflicts
+  const expand = (current, candidates, excluded) => {
+    if (cliques.length >= MAX_COMBINATIONS) return;
+    if (candidates.length === 0 && excluded.length === 0) {
+      cliques.push(current);
+      return;
+    }
+    [...candidates].forEach((id) => {
+      expand(
+        [...current, id],
+        candidates.filter((other) => other !== id && compatible(id, other)),
+        excluded.filter((other) => compatible(id, other))
+      );
+      candidates = candidates.filter((other) => other !== id);
+      excluded = [...excluded, id];
+    });
+  };
+  expand([], ids, []);
+
+  // A benefit whose required benefit is not in the set cannot be claimed with it
+  const sets = cliques.map((clique) => {
+    let members = clique;
+    for (;;) {
+      const kept = members.filter((id) => (dependencies.get(id) || []).every((required) => members.includes(required)));
+      if (kept.length === members.length) return members;
+      members = kept;
+    }
+  });
+  return sets
+    .filter((set, index) => set.length > 0 && sets.findIndex((other) => other.join("\u0000") === set.join("\u0000")) === index)
+    .filter((set) => !sets.some((other) => other.length > set.length && set.every((id) => other.includes(id))))
+    .map((set) => ids.filter((id) => set.includes(id)));
+}
+
+/**
+ * Resolve the relations between benefits after each has been checked on its own. "excludes" fails when the
+ * applicant already receives the other benefit; "requires" passes when the applicant receives the other benefit
+ * or is eligible for it in the same batch (the two are then claimed together). Without "existingBenefits" in the
+ * profile these are undecided, or failures with strict checking.
+ * @param {Array<Object>} entries - { schemaId, benefit, details, open } of the benefits checked without error;
+ *   benefits outside their application window (open: false) cannot be claimed together with others
+ * @param {Object} context
+ * @param {Object} context.userProfile - The user profile
+ * @param {boolean} context.strictChecking - Whether missing information is a failure
+ * @param {string} context.locale - Locale for reasons (default: "en")
+ * @returns {{entries: Array<Object>, combinations: Array<Array<string>>, conflicts: Array<Object>}} entries with
+ *   their details updated ("relations" lists each relation's status), the largest sets of eligible benefits that
+ *   can be claimed together, and the pairs of eligible benefits that cannot
+ * @example
+ * // pm-kisan-topup requires pm-kisan; state-pension excludes old-age-pension
+ * resolveBenefitRelations(entries, { userProfile: { existingBenefits: ["pm-kisan"] }, strictChecking: false, locale: "en" });
+ * // {
+ * //     entries: [...],
+ * //     combinations: [["pm-kisan-topup", "state-pension"], ["pm-kisan-topup", "old-age-pension"]],
+ * //     conflicts: [{ schemaIds: ["state-pension", "old-age-pension"], reason: "State pension cannot be claimed together with Old age pension" }]
+ * // }
+ */
+function resolveBenefitRelations(entries, { userProfile, strictChecking, locale = "en" }) {
+  const existing = getExistingBenefits(userProfile);
+  const byId = new Map(entries.map((entry) => [entry.schemaId, entry]));
+  const nameOf = (relation) => relation.name ?? byId.get(relation.id)?.benefit.name ?? existing?.get(relation.id) ?? relation.id;
+  const baseOutcome = (entry) => (entry.details.isEligible ? true : entry.details.needsMoreInformation ? null : false);
+  const unknown = (relation, id) => (strictChecking
+    ? {
+      relation,
+      benefitId: id,
+      status: "unknown",
+      outcome: false,
+      reason: translate(locale, "errors.missingUserProfileField", { field: EXISTING_BENEFITS_FIELD }),
+    }
+    : { relation, benefitId: id, status: "unknown", outcome: null, missingFields: [EXISTING_BENEFITS_FIELD] });
+
+  const relationsById = new Map(entries.map((entry) => [entry.schemaId, getBenefitRelations(entry.benefit, locale)]));
+  const checkExclusions = (entry) => relationsById.get(entry.schemaId).excludes.map((relation) => {
+    if (existing === null) return unknown("excludes", relation.id);
+    if (!existing.has(relation.id)) return { relation: "excludes", benefitId: relation.id, status: "satisfied", outcome: true };
+    return {
+      relation: "excludes",
+      benefitId: relation.id,
+      status: "alreadyReceived",
+      outcome: false,
+      reason: translate(locale, "benefitRelations.excludedExisting", { benefit: nameOf(relation) }),
+    };
+  });
+  const checkPrerequisites = (entry, results) => relationsById.get(entry.schemaId).requires.map((relation) => {
+    if (existing?.has(relation.id)) {
+      return { relation: "requires", benefitId: relation.id, status: "alreadyReceived", outcome: true };
+    }
+    const required = byId.get(relation.id);
+    const requiredOutcome = required && required.open !== false ? results.get(relation.id) : null;
+    if (requiredOutcome?.outcome === true) {
+      return { relation: "requires", benefitId: relation.id, status: "claimTogether", outcome: true };
+    }
+    if (requiredOutcome?.outcome === null) {
+      return { relation: "requires", benefitId: relation.id, status: "undecided", outcome: null, missingFields: requiredOutcome.missingFields };
+    }
+    if (existing === null) return unknown("requires", relation.id);
+    return {
+      relation: "requires",
+      benefitId: relation.id,
+      status: "notReceived",
+      outcome: false,
+      reason: translate(locale, !required
+        ? "benefitRelations.requiredNotReceived"
+        : required.open === false ? "benefitRelations.requiredClosed" : "benefitRelations.requiredNotEligible", {
+        benefit: nameOf(relation),
+      }),
+    };
+  });
+  const decide = (entry, checks) => {
+    const base = baseOutcome(entry);
+    const missingFields = [...new Set([
+      ...(base === null ? entry.details.missingFields || [] : []),
+      ...checks.filter((check) => check.outcome === null).flatMap((check) => check.missingFields),
+    ])];
+    return { outcome: decideGroup({ all: [] }, [base, ...checks.map((check) => check.outcome)]), checks, missingFields };
+  };
+
+  // Each benefit starts out decided by its own criteria and exclusions, and prerequisites are checked again
+  // until no outcome changes. Outcomes only fall (eligible, undecided, ineligible), so the checks settle, and
+  // benefits requiring each other in a cycle are eligible together unless one of them fails on its own.
+  const resolved = new Map(entries.map((entry) => [entry.schemaId, decide(entry, checkExclusions(entry))]));
+  const stateOf = ({ outcome, missingFields }) => `${outcome}\u0000${missingFields.join("\u0000")}`;
+  for (let changed = true; changed;) {
+    changed = false;
+    entries.forEach((entry) => {
+      const result = decide(entry, [...checkExclusions(entry), ...checkPrerequisites(entry, resolved)]);
+      if (stateOf(result) !== stateOf(resolved.get(entry.schemaId))) changed = true;
+      resolved.set(entry.schemaId, result);
+    });
+  }
+
+  const updated = entries.map((entry) => {
+    const { outcome, checks, missingFields } = resolved.get(entry.schemaId);
+    if (checks.length === 0) return entry;
+
+    const relations = checks.map(({ outcome: omitted, missingFields: fields, ...check }) => check);
+    const { needsMoreInformation, missingFields: previousFields, ...details } = entry.details;
+    if (outcome === true) return { ...entry, details: { ...entry.details, relations } };
+    if (outcome === null) {
+      return {
+        ...entry,
+        details: {
+          ...details,
+          isEligible: false,
+          reasons: [{
+            type: "missingInformation",
+            reason: translate(locale, "errors.needsMoreInformation", { fields: missingFields.join(", ") }),
+            missingFields,
+          }],
+          needsMoreInformation: true,
+          missingFields,
+          relations,
+        },
+      };
+    }
+    const relationReasons = checks
+      .filter((check) => check.outcome === false)
+      .map((check) => ({ type: "benefitRelation", relation: check.relation, benefitId: check.benefitId, reason: check.reason }));
+    // Reasons of a benefit that was already ineligible are kept, those of an undecided one no longer apply
+    return {
+      ...entry,
+      details: {
+        ...details,
+        isEligible: false,
+        reasons: baseOutcome(entry) === false ? [...entry.details.reasons, ...relationReasons] : relationReasons,
+        relations,
+      },
+    };
+  });
+
+  // Pairs of eligible benefits where either excludes the other, and benefits claimed together with another
+  const claimable = updated.filter((entry) => entry.details.isEligible && entry.open !== false);
+  const eligibleIds = claimable.map((entry) => entry.schemaId);
+  const conflictKeys = new Set();
+  const conflicts = [];
+  const dependencies = new Map();
+  claimable.forEach((entry) => {
+    const relations = getBenefitRelations(entry.benefit, locale);
+    relations.excludes
+      .filter((relation) => eligibleIds.includes(relation.id) && !conflictKeys.has(`${entry.schemaId}\u0000${relation.id}`))
+      .forEach((relation) => {
+        conflictKeys.add(`${entry.schemaId}\u0000${relation.id}`);
+        conflictKeys.add(`${relation.id}\u0000${entry.schemaId}`);
+        conflicts.push({
+          schemaIds: [entry.schemaId, relation.id],
+          reason: translate(locale, "benefitRelations.cannotCombine", {
+            benefit: entry.benefit.name ?? entry.schemaId,
+            otherBenefit: nameOf(relation),
+          }),
+        });
+      });
+    dependencies.set(
+      entry.schemaId,
+      (entry.details.relations || [])
+        .filter((check) => check.relation === "requires" && check.status === "claimTogether")
+        .map((check) => check.benefitId)
+    );
+  });
+
+  return {
+    entries: updated,
+    combinations: findCombinations(eligibleIds, conflictKeys, dependencies),
+    conflicts,
+  };
+}
+
+module.exports = {
+  EXISTING_BENEFITS_FIELD,
+  getBenefitRelations,
+  getExistingBenefits,
+  resolveBenefitRelations,
+};
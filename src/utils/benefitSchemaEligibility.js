@@ -1,14 +1,88 @@
-const vm = require("vm");
 const logger = require("../utils/logger");
 const { translate } = require("../utils/i18n");
+const { computeDerivedAttributes } = require("./derivedAttributes");
+const { parseLogicExpression, evaluateLogicExpression } = require("./logicExpression");
+const { getCriterionKey, validateBenefitSchema, createSchemaError } = require("./benefitSchemaValidator");
+const { getGroupType, getGroupChildren, decideGroup } = require("./criteriaGroups");
+const { getCriterionPoints, calculateScore } = require("./scoring");
+const { analyzeGaps } = require("./gapAnalysis");
+const { calculateEntitlement } = require("./entitlement");
+const ruleRegistry = require("../services/ruleRegistry");
+
+/**
+ * Build the reasons reported for a failed group. An "all" group reports the reasons of its failed
+ * entries directly; other groups report one reason with the failed entries' reasons nested under it.
+ * @param {Object} group - Group entry from the benefit schema
+ * @param {string} groupType - "all", "any", "none" or "atLeast"
+ * @param {Array<Object>} children - Results of the group's entries
+ * @param {string} locale - Locale for reason messages
+ * @returns {Array} Reasons
+ */
+function getGroupReasons(group, groupType, children, locale) {
+  const failedReasons = children.filter((child) => child.passed === false).flatMap((child) => child.reasons);
+  switch (groupType) {
+    case "all":
+      return failedReasons;
+    case "none": {
+      const matched = children
+        .filter((child) => child.passed === true)
+        .map((child) => child.ruleKey ?? child.description ?? child.group);
+      return [
+        {
+          type: "group",
+          reason: translate(locale, "errors.groupNoneFailed", { matched: matched.join(", ") }),
+          description: group.description,
+        },
+      ];
+    }
+    default:
+      return [
+        {
+          type: "group",
+          reason:
+            groupType === "atLeast"
+              ? translate(locale, "errors.groupAtLeastFailed", {
+                required: group.atLeast,
+                passed: children.filter((child) => child.passed === true).length,
+              })
+              : translate(locale, "errors.groupAnyFailed"),
+          description: group.description,
+          reasons: failedReasons,
+        },
+      ];
+  }
+}
 
 /**
  * Check eligibility for a single benefit schema
  * @param {Object} userProfile - User profile data
- * @param {Array} benefit - Array of eligibility conditions
- * @param {string} eligibilityEvaluationLogic - Optional custom evaluation logic
+ * @param {Array} benefit - Array of eligibility conditions. Entries may also be groups of conditions:
+ *   { "all": [...] }, { "any": [...] }, { "none": [...] } or { "atLeast": 2, "of": [...] }, nested to any depth
+ * @param {string} eligibilityEvaluationLogic - Optional custom evaluation logic over criterion ids
  * @param {boolean} strictChecking - Whether to perform strict checking
- * @returns {Promise<Object>} Eligibility result with reasons and evaluation details
+ * @param {string} locale - Locale for reason messages (default: "en")
+ * @param {Object} [options] - Evaluation options
+ * @param {Date|string} [options.asOf] - Date against which date-relative conditions (age, expiry) are evaluated (default: today)
+ * @param {Array<{name: string, expression: string}>} [options.derivedAttributes] - Computed attributes
+ *   (e.g. { "name": "perCapitaIncome", "expression": "income / familySize" }) added to the profile before
+ *   any criteria is checked; criteria reference them like any other profile field
+ * @param {Object} [options.valueSynonyms] - Benefit specific alias dictionaries, { field: { canonical: [aliases] } },
+ *   used in addition to the bundled state, caste and gender dictionaries
+ * @param {Object} [options.scoring] - Points based eligibility, { threshold, tieBreakers }. Entries declaring
+ *   "points" (or "weight") add them to the score when they pass; entries without points remain mandatory.
+ *   The result then also carries "score", "threshold" and per entry "contributions".
+ * @param {Object} [options.entitlement] - Amount the benefit pays, { currency, period, cap, components } (see
+ *   calculateEntitlement). Eligible results then carry "entitlement": the amount and its breakdown by component.
+ * @returns {Promise<Object>} Eligibility result with reasons and evaluation details. Without strict checking a
+ *   criterion whose profile field or document is missing is undecided ("passed": null, with its "missingFields"),
+ *   and groups and eligibilityEvaluationLogic are evaluated with three-valued logic. When the outcome depends on
+ *   undecided criteria, isEligible is false and the result carries "needsMoreInformation": true and
+ *   "missingFields". Ineligible results also carry
+ *   "gapAnalysis": the smallest set of failed criteria that would make the benefit eligible, with the distance to
+ *   the boundary for numeric and date conditions.
+ *   Results are keyed by criterion id (the eligibility entry id, falling back to criteria.id, then criteria.name)
+ * @throws {Error} (rejects) When the schema is invalid: duplicate criterion ids, or logic that does not
+ *   parse or references an unknown criterion
  * @example
  * // Example user profile
  * const userProfile = {
@@ -89,7 +163,7 @@ const { translate } = require("../utils/i18n");
  *     "reasons": [
  *         {
  *             "type": "userProfile",
- *             "reason": "Income 300000 exceeds the maximum limit of 270000",
+ *             "reason": "Annual income 3,00,000 is more than the limit of 2,70,000",
  *             "description": "The Total Annual income of parents/guardians of the applicant must not exceed ₹22500/month (i.e. ₹2.7 Lakh per Annum)"
  *         },
  *         {
@@ -107,7 +181,7 @@ const { translate } = require("../utils/i18n");
  *             "ruleKey": "212",
  *             "passed": false,
  *             "description": "The Total Annual income of parents/guardians of the applicant must not exceed ₹22500/month (i.e. ₹2.7 Lakh per Annum)",
- *             "reasons": ["Income 300000 exceeds the maximum limit of 270000"]
+ *             "reasons": ["Annual income 3,00,000 is more than the limit of 2,70,000"]
  *         },
  *         {
  *             "ruleKey": "213",
@@ -118,44 +192,87 @@ const { translate } = require("../utils/i18n");
  *     ]
  * }
  * 
- * // Example with invalid eligibility logic
- * const invalidLogicResult = await checkBenefitEligibility(userProfile, benefit, "212 && B1");
- * // Returns:
+ * // Example with groups: income limit, plus any two of three conditions
+ * const groupedBenefit = [
+ *     { "id": "B1", "type": "userProfile", "criteria": { "name": "income", "condition": "lte", "conditionValues": 270000 } },
+ *     {
+ *         "id": "G1",
+ *         "description": "Any two of: female, SC/ST, resident of Maharashtra",
+ *         "atLeast": 2,
+ *         "of": [
+ *             { "id": "B2", "type": "userProfile", "criteria": { "name": "gender", "condition": "equals", "conditionValues": "female" } },
+ *             { "id": "B3", "type": "userProfile", "criteria": { "name": "caste", "condition": "in", "conditionValues": ["sc", "st"] } },
+ *             { "id": "B4", "type": "userProfile", "criteria": { "name": "state", "condition": "equals", "conditionValues": "maharashtra" } }
+ *         ]
+ *     }
+ * ];
+ *
+ * const groupedResult = await checkBenefitEligibility(userProfile, groupedBenefit);
+ * // Returns (group results nest the results of their entries):
  * {
  *     "isEligible": false,
  *     "reasons": [
  *         {
- *             "type": "eligibilityEvaluationLogic",
- *             "reason": "Error evaluating eligibilityEvaluationLogic: B1 is not defined",
- *             "description": "212 && B1"
+ *             "type": "group",
+ *             "reason": "At least 2 of the following conditions must be met, but only 1 were met",
+ *             "description": "Any two of: female, SC/ST, resident of Maharashtra",
+ *             "reasons": [...]
  *         }
  *     ],
- *     "evaluationResults": {
- *         "212": true,
- *         "213": true
- *     },
+ *     "evaluationResults": { "B1": true, "B2": false, "B3": false, "B4": true, "G1": false },
  *     "criteriaResults": [
+ *         { "ruleKey": "B1", "passed": true, "reasons": [] },
  *         {
- *             "ruleKey": "212",
- *             "passed": true,
- *             "description": "The Total Annual income of parents/guardians of the applicant must not exceed ₹22500/month (i.e. ₹2.7 Lakh per Annum)",
- *             "reasons": []
- *         },
- *         {
- *             "ruleKey": "213",
- *             "passed": true,
- *             "description": "The applicant must be studying in Class 9th to 12th",
- *             "reasons": []
+ *             "ruleKey": "G1",
+ *             "group": "atLeast",
+ *             "atLeast": 2,
+ *             "passed": false,
+ *             "description": "Any two of: female, SC/ST, resident of Maharashtra",
+ *             "reasons": [...],
+ *             "children": [
+ *                 { "ruleKey": "B2", "passed": false, "reasons": [...] },
+ *                 { "ruleKey": "B3", "passed": false, "reasons": [...] },
+ *                 { "ruleKey": "B4", "passed": true, "reasons": [] }
+ *             ]
  *         }
  *     ]
  * }
+ *
+ * // Example with scoring: 10 points for BPL, 5 for a single parent, eligible at 15 or more
+ * const scoredBenefit = [
+ *     { "id": "S1", "type": "userProfile", "points": 10, "criteria": { "name": "bplCardHolder", "condition": "equals", "conditionValues": true } },
+ *     { "id": "S2", "type": "userProfile", "points": 5, "criteria": { "name": "singleParent", "condition": "equals", "conditionValues": true } }
+ * ];
+ *
+ * const scoredResult = await checkBenefitEligibility(
+ *     { "bplCardHolder": true, "singleParent": false }, scoredBenefit, null, false, "en", { scoring: { threshold: 15 } }
+ * );
+ * // Returns:
+ * {
+ *     "isEligible": false,
+ *     "reasons": [{ "type": "scoring", "reason": "Score 10 is below the required threshold of 15" }],
+ *     "score": 10,
+ *     "threshold": 15,
+ *     "contributions": [
+ *         { "ruleKey": "S1", "points": 10, "passed": true, "awarded": 10 },
+ *         { "ruleKey": "S2", "points": 5, "passed": false, "awarded": 0 }
+ *     ],
+ *     "evaluationResults": { "S1": true, "S2": false },
+ *     "criteriaResults": [...]
+ * }
+ *
+ * // Example with invalid eligibility logic (rejected before any criteria is evaluated)
+ * await checkBenefitEligibility(userProfile, benefit, "212 && B1");
+ * // Rejects with:
+ * // Error: Invalid benefit schema: eligibilityEvaluationLogic references unknown criterion B1 at position 8
  */
 function checkBenefitEligibility(
   userProfile,
   benefit,
   eligibilityEvaluationLogic,
   strictChecking,
-  locale = "en"
+  locale = "en",
+  options = {}
 ) {
   // Ensure strictChecking is a boolean
   const isStrictChecking = Boolean(strictChecking);
@@ -167,74 +284,139 @@ function checkBenefitEligibility(
     });
   }
 
-  const reasons = [];
+  // Reject malformed schemas before anything is evaluated
+  const schemaErrors = validateBenefitSchema(benefit, eligibilityEvaluationLogic, locale, options);
+  if (schemaErrors.length > 0) {
+    return Promise.reject(createSchemaError(schemaErrors, locale));
+  }
+
+  // Computed attributes declared by the benefit schema are evaluated before any criteria
+  let evaluationProfile;
+  let derivedValues;
+  try {
+    ({ profile: evaluationProfile, values: derivedValues } = computeDerivedAttributes(
+      userProfile,
+      options.derivedAttributes,
+      options,
+      locale
+    ));
+  } catch (error) {
+    return Promise.reject(error);
+  }
+  // Only reported when the schema declares derived attributes
+  const derivedDetails = options.derivedAttributes?.length
+    ? { derivedAttributes: derivedValues }
+    : {};
+
   const evaluationResults = {};
-  const criteriaResults = [];
+  // Eligibility entries by criterion key, for the gap analysis of ineligible results
+  const conditionsByKey = {};
 
-  // Process all conditions sequentially
-  return benefit.reduce((promiseChain, condition) => {
-    return promiseChain.then(async () => {
-      const { type, description, criteria } = condition;
+  // Evaluate a single criterion with the rule class for its type
+  const evaluateCriterion = async (condition) => {
+    const { type, description, criteria } = condition;
+    // Results are keyed by criterion id, which is what eligibilityEvaluationLogic references
+    const ruleKey = getCriterionKey(condition);
+    conditionsByKey[ruleKey] = condition;
 
-      // Convert type to RuleClassName (e.g., "age" to "AgeRule")
-      const RuleClassName = type  + "Rule"; 
+    // Look up the rule class registered for the type (e.g. "userProfile")
+    const RuleClass = ruleRegistry.get(type);
 
-      // Dynamically require the rule class based on type
-      const RuleClass = require(`../services/rules/${RuleClassName}`); 
+    // If no rule class is found, the criterion fails with that reason
+    if (!RuleClass) {
+      const reason = { type, reason: translate(locale, "errors.noRuleClassFound", { type }), code: "evaluationError", description };
+      evaluationResults[ruleKey] = false;
+      return { ruleKey, passed: false, description, reasons: [reason] };
+    }
 
-      // If no rule class is found, log the reason and continue
-      if (!RuleClass) {
-        reasons.push({
-          type,
-          reason: translate(locale, "errors.noRuleClassFound", { type }),
-          description,
-        });
-        return;
-      }
+    const ruleInstance = new RuleClass();
 
-      let passed = true;
-      let ruleReasons = [];
-      const ruleInstance = new RuleClass();
+    // Evaluate the rule criteria; evaluate() also reports details such as the normalized value
+    const { reasons: ruleReasons = [], ...ruleDetails } = typeof ruleInstance.evaluate === "function"
+      ? await ruleInstance.evaluate(evaluationProfile, criteria, isStrictChecking, locale, options)
+      : { reasons: await ruleInstance.execute(evaluationProfile, criteria, isStrictChecking, locale, options) };
 
-      // Execute the rule criteria
-      ruleReasons = await ruleInstance.execute( 
-        userProfile,
-        criteria,
-        isStrictChecking,
-        locale
-      );
+    // If ruleReasons are present, it means the rule did not pass; a rule that reports missing fields
+    // instead could not decide the criterion (null)
+    const undecided = ruleReasons.length === 0 && ruleDetails.missingFields?.length > 0;
+    const passed = undecided ? null : ruleReasons.length === 0;
+    evaluationResults[ruleKey] = passed;
+    return {
+      ruleKey,
+      passed,
+      description,
+      reasons: ruleReasons,
+      ...ruleDetails,
+    };
+  };
 
-      // If ruleReasons are present, it means the rule did not pass
-      if (ruleReasons.length > 0) { 
-        passed = false;
-        reasons.push(...ruleReasons);
-      }
+  // Evaluate an eligibility entry; groups evaluate their entries in order and nest their results
+  const evaluateEntry = (condition) => {
+    const points = getCriterionPoints(condition);
+    const groupType = getGroupType(condition);
+    if (!groupType) {
+      return evaluateCriterion(condition).then((result) =>
+        points === undefined ? result : { ...result, points }
+      );
+    }
 
-      // Use criteria.id as the key for evaluation results
-      const ruleKey = criteria.name;
-      evaluationResults[ruleKey] = passed;
-      criteriaResults.push({
-        ruleKey,
-        passed,
-        description,
-        reasons: ruleReasons,
+    return getGroupChildren(condition)
+      .reduce(
+        (promiseChain, child) =>
+          promiseChain.then(async (children) => [...children, await evaluateEntry(child)]),
+        Promise.resolve([])
+      )
+      .then((children) => {
+        const passed = decideGroup(condition, children.map((child) => child.passed));
+        const ruleKey = getCriterionKey(condition);
+        if (ruleKey !== undefined) evaluationResults[ruleKey] = passed;
+        return {
+          ...(ruleKey !== undefined && { ruleKey }),
+          group: groupType,
+          ...(groupType === "atLeast" && { atLeast: condition.atLeast }),
+          ...(points !== undefined && { points }),
+          passed,
+          description: condition.description,
+          reasons: passed === false ? getGroupReasons(condition, groupType, children, locale) : [],
+          children,
+        };
       });
-    });
-  }, Promise.resolve())
-  .then(() => {
-    // If eligibilityEvaluationLogic is present, evaluate it
+  };
+
+  // The eligibility array itself is an "all" group; its entries are the top level criteriaResults
+  return evaluateEntry({ all: benefit })
+  .then(({ passed, reasons: entryReasons, children: criteriaResults }) => {
+    // With a scoring block, entries that carry points only add to the score; the others stay mandatory
+    const scoreDetails = options.scoring ? calculateScore(criteriaResults, options.scoring) : null;
+    const mandatoryResults = scoreDetails
+      ? criteriaResults.filter((result) => result.points === undefined)
+      : criteriaResults;
+    const reasons = scoreDetails
+      ? mandatoryResults.filter((result) => result.passed === false).flatMap((result) => result.reasons)
+      : [...entryReasons];
+    // true, false, or null when the outcome depends on information that is missing
+    let outcome = scoreDetails
+      ? decideGroup({ all: mandatoryResults }, mandatoryResults.map((result) => result.passed))
+      : passed;
+    let successMessage = scoreDetails
+      ? translate(locale, "success.eligibleScoreThreshold", {
+        score: scoreDetails.score,
+        threshold: scoreDetails.threshold,
+      })
+      : translate(locale, "success.eligibleAllCriteriaPassed");
+
+    // If eligibilityEvaluationLogic is present, it decides instead of the mandatory entries
+    let logicAst = null;
+    let logicFailed = false;
     if (eligibilityEvaluationLogic) {
-      let isEligible = false;
-      let customRuleMessage = "";
+      outcome = false;
       try {
-        // Use vm to safely evaluate the eligibility logic
-        isEligible = vm.runInNewContext( 
-          eligibilityEvaluationLogic,
-          evaluationResults
-        );
+        // Parse the logic (only criterion references and boolean operators are accepted), then evaluate it
+        logicAst = parseLogicExpression(eligibilityEvaluationLogic, locale);
+        outcome = evaluateLogicExpression(logicAst, evaluationResults, locale);
 
-        if (isEligible) {
-          customRuleMessage = translate(locale, "success.eligibleCustomRule", {
+        if (outcome === true) {
+          successMessage = translate(locale, "success.eligibleCustomRule", {
             rule: eligibilityEvaluationLogic,
             results: JSON.stringify(evaluationResults)
           });
@@ -246,21 +428,72 @@ function checkBenefitEligibility(
           description: eligibilityEvaluationLogic,
         });
         logger.error("Error evaluating eligibilityEvaluationLogic:", err);
+        logicFailed = true;
       }
-      return {
-        isEligible,
-        reasons: isEligible ? [customRuleMessage] : reasons,
-        evaluationResults,
-        criteriaResults,
+    }
+
+    if (scoreDetails && scoreDetails.thresholdMet === false) {
+      outcome = false;
+      reasons.push({
+        type: "scoring",
+        reason: translate(locale, "errors.scoreBelowThreshold", {
+          score: scoreDetails.score,
+          threshold: scoreDetails.threshold,
+        }),
+        description: options.scoring.description,
+      });
+    } else if (scoreDetails && scoreDetails.thresholdMet === null && outcome === true) {
+      outcome = null;
+    }
+
+    const isEligible = outcome === true;
+    // Undecided: report the fields whose values would settle it instead of the reasons
+    let informationDetails = {};
+    if (outcome === null) {
+      const missingFields = new Set();
+      const collectMissing = (result) => {
+        if (result.group) result.children.forEach(collectMissing);
+        else if (result.passed === null) (result.missingFields || []).forEach((field) => missingFields.add(field));
       };
+      criteriaResults.forEach(collectMissing);
+      informationDetails = { needsMoreInformation: true, missingFields: [...missingFields] };
+      reasons.splice(0, reasons.length, {
+        type: "missingInformation",
+        reason: translate(locale, "errors.needsMoreInformation", { fields: [...missingFields].join(", ") }),
+        missingFields: [...missingFields],
+      });
     }
 
-    // Default: eligible if no reasons
+    // What would make an ineligible result eligible; not attempted when the logic itself failed
+    const gapDetails = outcome === false && !logicFailed
+      ? {
+        gapAnalysis: analyzeGaps(criteriaResults, conditionsByKey, {
+          logicAst,
+          scoring: options.scoring,
+          locale,
+        }),
+      }
+      : {};
+
+    // The amount is only worked out for eligible profiles, on the profile including derived attributes
+    const entitlementDetails = isEligible && options.entitlement
+      ? { entitlement: calculateEntitlement(evaluationProfile, options.entitlement, locale) }
+      : {};
+
     return {
-      isEligible: reasons.length === 0,
-      reasons: reasons.length > 0 ? reasons : [translate(locale, "success.eligibleAllCriteriaPassed")],
+      isEligible,
+      reasons: isEligible ? [successMessage] : reasons,
+      ...entitlementDetails,
+      ...(scoreDetails && {
+        score: scoreDetails.score,
+        threshold: scoreDetails.threshold,
+        contributions: scoreDetails.contributions,
+      }),
+      ...informationDetails,
       evaluationResults,
       criteriaResults,
+      ...gapDetails,
+      ...derivedDetails,
     };
   });
 }
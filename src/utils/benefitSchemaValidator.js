@@ -0,0 +1,162 @@
+const { translate } = require("./i18n");
+const { parseLogicExpression, getLogicReferences, isLogicOperatorWord } = require("./logicExpression");
+const { getGroupType, getGroupChildren, validateGroup } = require("./criteriaGroups");
+const { getCriterionPoints, validateScoring } = require("./scoring");
+const { validateEntitlement } = require("./entitlement");
+const { normalizeCondition } = require("./eligibilityUtils");
+const ruleRegistry = require("../services/ruleRegistry");
+
+/**
+ * Key under which a criterion's result is reported and referenced from eligibilityEvaluationLogic.
+ * The eligibility entry id is used, falling back to criteria.id and then the field name for
+ * older schemas that do not declare ids.
+ * @param {Object} condition - Entry of the benefit's eligibility array
+ * @returns {string|undefined} Criterion key
+ */
+function getCriterionKey(condition) {
+  // Groups are only keyed when they declare an id
+  const key = getGroupType(condition)
+    ? condition.id
+    : condition?.id ?? condition?.criteria?.id ?? condition?.criteria?.name;
+  return key === undefined || key === null ? undefined : String(key);
+}
+
+/**
+ * Check a criterion against the metadata of its registered rule type. Unknown types are not reported
+ * here; the criterion fails with a "no rule class found" reason when it is evaluated.
+ * @param {Object} condition - Eligibility entry of a criterion
+ * @param {string} key - Criterion key, for messages
+ * @param {string} locale - Locale for error messages
+ * @returns {Array<string>} Localized errors
+ */
+function validateCriterionRule(condition, key, locale) {
+  const metadata = ruleRegistry.getMetadata(condition.type);
+  if (!metadata) return [];
+
+  const criteria = condition.criteria || {};
+  const errors = metadata.requiredCriteriaFields
+    .filter((field) => criteria[field] === undefined || criteria[field] === null || criteria[field] === "")
+    .map((field) => translate(locale, "errors.missingCriteriaField", { id: key, type: condition.type, field }));
+
+  if (Array.isArray(metadata.conditions) && criteria.condition !== undefined) {
+    const canonical = normalizeCondition(criteria.condition) ?? criteria.condition;
+    if (!metadata.conditions.includes(canonical)) {
+      errors.push(
+        translate(locale, "errors.unsupportedConditionForRule", {
+          id: key,
+          type: condition.type,
+          condition: String(criteria.condition),
+        })
+      );
+    }
+  }
+  // Rule types can check criteria shapes the field list cannot express
+  if (typeof metadata.validateCriteria === "function") {
+    metadata.validateCriteria(criteria, locale).forEach((detail) => {
+      errors.push(translate(locale, "errors.invalidCriteriaForRule", { id: key, type: condition.type, detail }));
+    });
+  }
+  return errors;
+}
+
+/**
+ * Validate a benefit's eligibility criteria, groups and logic before anything is evaluated.
+ * Criteria are also checked against the metadata of their rule type (required criteria fields, supported conditions,
+ * and the rule's own validateCriteria check when it declares one).
+ * Groups that declare an id can be referenced from the logic like any criterion; ids that read as logic
+ * operators (and, or, not) are rejected, since the logic could not reference them.
+ * @param {Array} eligibility - Eligibility entries of the benefit schema
+ * @param {string} [eligibilityEvaluationLogic] - Optional logic over criterion ids
+ * @param {string} locale - Locale for error messages (default: "en")
+ * @param {Object} [options] - Benefit level declarations
+ * @param {Object} [options.scoring] - Scoring block, validated together with the points declared on entries
+ * @param {Object} [options.entitlement] - Entitlement block, with its components and slabs
+ * @returns {Array<string>} Localized schema errors, empty when the schema is valid
+ * @example
+ * validateBenefitSchema(
+ *     [{ id: "B1", type: "userProfile", criteria: {...} }, { id: "B1", type: "userProfile", criteria: {...} }],
+ *     "B1 && B2"
+ * );
+ * // ["Duplicate criterion id: B1", "eligibilityEvaluationLogic references unknown criterion B2 at position 7"]
+ */
+function validateBenefitSchema(eligibility, eligibilityEvaluationLogic, locale = "en", options = {}) {
+  const errors = [];
+  const keys = new Set();
+
+  const visit = (condition, depth) => {
+    const isGroup = Boolean(getGroupType(condition));
+    const key = getCriterionKey(condition);
+    if (key === undefined && !isGroup) {
+      errors.push(translate(locale, "errors.missingCriterionId"));
+    } else if (key !== undefined && keys.has(key)) {
+      errors.push(translate(locale, "errors.duplicateCriterionId", { id: key }));
+    } else if (isLogicOperatorWord(key)) {
+      // "and", "or" and "not" would be read as operators in eligibilityEvaluationLogic
+      errors.push(translate(locale, "errors.criterionIdIsLogicOperator", { id: key }));
+    } else if (key !== undefined) {
+      keys.add(key);
+    }
+
+    const points = getCriterionPoints(condition);
+    if (points !== undefined && !Number.isFinite(points)) {
+      errors.push(translate(locale, "errors.invalidCriterionPoints", { id: key ?? "", value: String(points) }));
+    }
+
+    if (!isGroup && condition && typeof condition === "object") {
+      errors.push(...validateCriterionRule(condition, key ?? "", locale));
+    }
+
+    if (isGroup) {
+      const groupErrors = validateGroup(condition, depth, locale);
+      errors.push(...groupErrors);
+      // Entries of a malformed group are not inspected further
+      if (groupErrors.length === 0) {
+        getGroupChildren(condition).forEach((child) => visit(child, depth + 1));
+      }
+    }
+  };
+  (eligibility || []).forEach((condition) => visit(condition, 1));
+
+  if (options.scoring !== undefined) {
+    errors.push(...validateScoring(options.scoring, locale));
+  }
+
+  if (options.entitlement !== undefined) {
+    errors.push(...validateEntitlement(options.entitlement, locale));
+  }
+
+  if (eligibilityEvaluationLogic) {
+    try {
+      const ast = parseLogicExpression(eligibilityEvaluationLogic, locale);
+      getLogicReferences(ast)
+        .filter(({ id }) => !keys.has(id))
+        .forEach(({ id, index }) => {
+          errors.push(translate(locale, "errors.logicReferencesUnknownCriterion", { id, position: index + 1 }));
+        });
+    } catch (error) {
+      errors.push(translate(locale, "errors.errorEvaluatingLogic", { message: error.message }));
+    }
+  }
+
+  return errors;
+}
+
+/**
+ * Build the error thrown for an invalid benefit schema
+ * @param {Array<string>} errors - Errors from validateBenefitSchema
+ * @param {string} locale - Locale for the message (default: "en")
+ * @returns {Error} Error with the individual messages in "validationErrors" and statusCode 400
+ */
+function createSchemaError(errors, locale = "en") {
+  const error = new Error(translate(locale, "errors.invalidBenefitSchema", { errors: errors.join("; ") }));
+  error.validationErrors = errors;
+  // The schema comes with the request, so an invalid one is a bad request
+  error.statusCode = 400;
+  return error;
+}
+
+module.exports = {
+  getCriterionKey,
+  validateBenefitSchema,
+  createSchemaError,
+};
@@ -0,0 +1,21 @@
+/**
+ * JSON Canonicalization Scheme (RFC 8785): keys sorted by UTF-16 code units, no whitespace,
+ * numbers and strings serialized as JSON.stringify does
+ * @param {*} value - JSON value
+ * @returns {string}
+ * @example
+ * canonicalize({ b: 1, a: [true, "x"] })  // '{"a":[true,"x"],"b":1}'
+ */
+function canonicalize(value) {
+  if (value === null || typeof value !== "object") return JSON.stringify(value);
+  if (Array.isArray(value)) return `[${value.map((entry) => canonicalize(entry ?? null)).join(",")}]`;
+  return `{${Object.keys(value)
+    .filter((key) => value[key] !== undefined)
+    .sort()
+    .map((key) => `${JSON.stringify(key)}:${canonicalize(value[key])}`)
+    .join(",")}}`;
+}
+
+module.exports = {
+  canonicalize,
+};
@@ -0,0 +1,106 @@
+const { translate } = require("./i18n");
+
+// Group keys accepted in a benefit's eligibility array; "atLeast" lists its entries under "of"
+const GROUP_TYPES = ["all", "any", "none", "atLeast"];
+const MAX_GROUP_DEPTH = 16;
+
+/**
+ * Get the group type of an eligibility entry
+ * @param {Object} node - Eligibility entry
+ * @returns {string|null} "all", "any", "none" or "atLeast", or null for a plain criterion
+ */
+function getGroupType(node) {
+  if (!node || typeof node !== "object") return null;
+  return GROUP_TYPES.find((type) => Object.prototype.hasOwnProperty.call(node, type)) || null;
+}
+
+/**
+ * Get the entries of a group
+ * @param {Object} node - Group entry
+ * @returns {Array|undefined} Child entries
+ */
+function getGroupChildren(node) {
+  const groupType = getGroupType(node);
+  if (!groupType) return undefined;
+  return groupType === "atLeast" ? node.of : node[groupType];
+}
+
+/**
+ * Decide whether a group passes from the outcomes of its entries, with three-valued semantics:
+ * an entry that could not be decided (null) makes the group undecided only when it could change the outcome
+ * @param {Object} node - Group entry
+ * @param {Array<boolean|null>} outcomes - Whether each entry passed, in order; null when undecided
+ * @returns {boolean|null} null when the group cannot be decided
+ * @example
+ * decideGroup({ atLeast: 2, of: [...] }, [true, false, true])  // true
+ * decideGroup({ none: [...] }, [false, true])  // false
+ * decideGroup({ any: [...] }, [false, null])  // null
+ */
+function decideGroup(node, outcomes) {
+  const passedCount = outcomes.filter((outcome) => outcome === true).length;
+  const unknownCount = outcomes.filter((outcome) => outcome !== true && outcome !== false).length;
+  // Passes for sure with "required" passed entries, fails for sure if even the undecided ones cannot get there
+  const atLeast = (required) => {
+    if (passedCount >= required) return true;
+    return passedCount + unknownCount < required ? false : null;
+  };
+  switch (getGroupType(node)) {
+    case "all":
+      return atLeast(outcomes.length);
+    case "any":
+      return atLeast(1);
+    case "none": {
+      const anyPassed = atLeast(1);
+      return anyPassed === null ? null : !anyPassed;
+    }
+    case "atLeast":
+      return atLeast(node.atLeast);
+    default:
+      return false;
+  }
+}
+
+/**
+ * Check the shape of a group entry (its entries are validated by the caller)
+ * @param {Object} node - Group entry
+ * @param {number} depth - Nesting depth of the group, 1 for top level groups
+ * @param {string} locale - Locale for error messages (default: "en")
+ * @returns {Array<string>} Localized errors
+ */
+function validateGroup(node, depth, locale = "en") {
+  const groupType = getGroupType(node);
+  const children = getGroupChildren(node);
+  const label = node.id ?? groupType;
+  const errors = [];
+
+  const groupKeys = GROUP_TYPES.filter((type) => Object.prototype.hasOwnProperty.call(node, type));
+  if (groupKeys.length > 1 || node.criteria !== undefined) {
+    errors.push(translate(locale, "errors.ambiguousCriteriaGroup", { group: label }));
+  }
+  if (depth > MAX_GROUP_DEPTH) {
+    errors.push(translate(locale, "errors.criteriaGroupTooDeep", { maxDepth: MAX_GROUP_DEPTH }));
+  }
+  if (!Array.isArray(children) || children.length === 0) {
+    errors.push(translate(locale, "errors.emptyCriteriaGroup", { group: label }));
+  } else if (
+    groupType === "atLeast" &&
+    (!Number.isInteger(node.atLeast) || node.atLeast < 1 || node.atLeast > children.length)
+  ) {
+    errors.push(
+      translate(locale, "errors.invalidAtLeastCount", {
+        group: label,
+        value: String(node.atLeast),
+        max: children.length,
+      })
+    );
+  }
+  return errors;
+}
+
+module.exports = {
+  GROUP_TYPES,
+  getGroupType,
+  getGroupChildren,
+  decideGroup,
+  validateGroup,
+};
@@ -0,0 +1,88 @@
+const { translate } = require("./i18n");
+const { getValueByPath } = require("./eligibilityUtils");
+const {
+  parseArithmeticExpression,
+  evaluateArithmeticExpression,
+} = require("./arithmeticExpression");
+
+// Derived attributes become top-level profile fields, so names must be plain identifiers
+const ATTRIBUTE_NAME_PATTERN = /^[A-Za-z_][A-Za-z0-9_]*$/;
+// Identifiers that would reach Object.prototype rather than a profile field
+const RESERVED_ATTRIBUTE_NAMES = ["__proto__", "constructor", "prototype"];
+
+/**
+ * Evaluate the derived attributes declared by a benefit schema and add them to a copy of the profile.
+ * Attributes are evaluated in declaration order, so later expressions can use earlier results.
+ * An attribute whose inputs are missing (or that divides by zero) is left unset, so criteria on it
+ * behave exactly like criteria on a missing profile field.
+ * @param {Object} userProfile - User profile data
+ * @param {Array<{name: string, expression: string}>} derivedAttributes - Declarations from the benefit schema
+ * @param {Object} [options]
+ * @param {Date|string} [options.asOf] - Date used by date functions such as yearsSince (default: today)
+ * @param {string} locale - Locale for error messages (default: "en")
+ * @returns {{profile: Object, values: Object}} Profile including the attributes, and the computed values
+ * @throws {Error} When a declaration is malformed or its expression cannot be parsed
+ * @example
+ * const { profile, values } = computeDerivedAttributes(
+ *     { income: 240000, familySize: 4, marriageDate: "2015-05-10" },
+ *     [
+ *         { name: "perCapitaIncome", expression: "income / familySize" },
+ *         { name: "yearsSinceMarriage", expression: "yearsSince(marriageDate)" }
+ *     ],
+ *     { asOf: "2024-07-01" }
+ * );
+ * // values: { perCapitaIncome: 60000, yearsSinceMarriage: 9 }
+ */
+function computeDerivedAttributes(userProfile, derivedAttributes, options = {}, locale = "en") {
+  const profile = { ...userProfile };
+  const values = {};
+  if (!Array.isArray(derivedAttributes) || derivedAttributes.length === 0) {
+    return { profile, values };
+  }
+
+  derivedAttributes.forEach((attribute) => {
+    const name = attribute?.name;
+    if (typeof name !== "string" || !ATTRIBUTE_NAME_PATTERN.test(name)) {
+      throw new Error(
+        translate(locale, "errors.invalidDerivedAttribute", {
+          name: String(name),
+          message: translate(locale, "errors.invalidDerivedAttributeName"),
+        })
+      );
+    }
+    if (RESERVED_ATTRIBUTE_NAMES.includes(name)) {
+      throw new Error(
+        translate(locale, "errors.invalidDerivedAttribute", {
+          name,
+          message: translate(locale, "errors.reservedDerivedAttributeName"),
+        })
+      );
+    }
+
+    let ast;
+    try {
+      ast = parseArithmeticExpression(attribute.expression, locale);
+    } catch (error) {
+      throw new Error(translate(locale, "errors.invalidDerivedAttribute", { name, message: error.message }));
+    }
+
+    const value = evaluateArithmeticExpression(
+      ast,
+      (path) => getValueByPath(profile, path),
+      options
+    );
+    // Declared attributes take precedence over caller supplied values of the same name
+    if (value === undefined) {
+      delete profile[name];
+    } else {
+      profile[name] = value;
+    }
+    values[name] = value ?? null;
+  });
+
+  return { profile, values };
+}
+
+module.exports = {
+  computeDerivedAttributes,
+};
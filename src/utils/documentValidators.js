@@ -0,0 +1,149 @@
+const fs = require("fs");
+const path = require("path");
+const logger = require("./logger");
+const { translate, hasTranslation } = require("./i18n");
+const { normalizeValue } = require("./valueNormalizer");
+const defaultFormats = require("../config/documentFormats.json");
+
+// Verhoeff tables: multiplication in the dihedral group D5 and the position permutation
+const VERHOEFF_MULTIPLICATION = [
+  [0, 1, 2, 3, 4, 5, 6, 7, 8, 9],
+  [1, 2, 3, 4, 0, 6, 7, 8, 9, 5],
+  [2, 3, 4, 0, 1, 7, 8, 9, 5, 6],
+  [3, 4, 0, 1, 2, 8, 9, 5, 6, 7],
+  [4, 0, 1, 2, 3, 9, 5, 6, 7, 8],
+  [5, 9, 8, 7, 6, 0, 4, 3, 2, 1],
+  [6, 5, 9, 8, 7, 1, 0, 4, 3, 2],
+  [7, 6, 5, 9, 8, 2, 1, 0, 4, 3],
+  [8, 7, 6, 5, 9, 3, 2, 1, 0, 4],
+  [9, 8, 7, 6, 5, 4, 3, 2, 1, 0],
+];
+const VERHOEFF_PERMUTATION = [
+  [0, 1, 2, 3, 4, 5, 6, 7, 8, 9],
+  [1, 5, 7, 6, 2, 8, 3, 0, 9, 4],
+  [5, 8, 0, 3, 7, 9, 6, 1, 4, 2],
+  [8, 9, 1, 6, 0, 4, 3, 5, 2, 7],
+  [9, 4, 5, 3, 1, 2, 6, 8, 7, 0],
+  [4, 2, 8, 6, 5, 7, 3, 9, 0, 1],
+  [2, 7, 9, 3, 8, 0, 6, 4, 1, 5],
+  [7, 0, 4, 6, 9, 1, 3, 2, 5, 8],
+];
+
+/**
+ * Check a number ending in its Verhoeff check digit (as Aadhaar numbers do)
+ * @param {string} digits - Digits including the check digit
+ * @returns {boolean}
+ * @example
+ * verhoeffCheck("2363")  // true
+ * verhoeffCheck("2364")  // false
+ */
+function verhoeffCheck(digits) {
+  if (!/^[0-9]+$/.test(digits)) return false;
+  const checksum = [...digits].reverse().reduce(
+    (check, digit, index) => VERHOEFF_MULTIPLICATION[check][VERHOEFF_PERMUTATION[index % 8][Number(digit)]],
+    0
+  );
+  return checksum === 0;
+}
+
+const CHECKSUMS = {
+  verhoeff: verhoeffCheck,
+};
+
+// Document types are looked up ignoring case and separators, so "voter_id" finds "voterId"
+const toFormatKey = (value) => String(value ?? "").toLowerCase().replace(/[^a-z0-9]/g, "");
+
+/**
+ * Load the bundled document formats, merged with an optional deployment file (DOCUMENT_FORMATS_FILE)
+ * @returns {Object} Formats keyed by normalized document type and alias
+ */
+function loadDocumentFormats() {
+  const formats = JSON.parse(JSON.stringify(defaultFormats));
+  const extraFile = process.env.DOCUMENT_FORMATS_FILE;
+  if (extraFile) {
+    try {
+      const extra = JSON.parse(fs.readFileSync(path.resolve(extraFile), "utf8"));
+      Object.entries(extra).forEach(([documentType, format]) => {
+        const states = { ...(formats[documentType]?.states || {}), ...(format.states || {}) };
+        formats[documentType] = { ...(formats[documentType] || {}), ...format, states };
+      });
+    } catch (error) {
+      logger.error(`Error loading document formats from ${extraFile}:`, error);
+    }
+  }
+
+  return Object.entries(formats).reduce((lookup, [documentType, format]) => {
+    const entry = { ...format, documentType };
+    [documentType, ...(format.aliases || [])].forEach((name) => {
+      lookup[toFormatKey(name)] = entry;
+    });
+    return lookup;
+  }, {});
+}
+
+const documentFormats = loadDocumentFormats();
+
+/**
+ * Get the offline format of a document type
+ * @param {string} documentType - Document type or alias, e.g. "aadhaar", "voter_id", "epic"
+ * @returns {Object|null} { documentType, field, pattern, checksum, mask, states }, or null when no format is known
+ */
+function getDocumentFormat(documentType) {
+  const key = toFormatKey(documentType);
+  return key && Object.prototype.hasOwnProperty.call(documentFormats, key) ? documentFormats[key] : null;
+}
+
+// Aadhaar numbers are shown with only the last four digits
+const maskNumber = (value) => `${"X".repeat(Math.max(value.length - 4, 0))}${value.slice(-4)}`;
+
+/**
+ * Validate the number of a document offline: its pattern (per state where the format has state patterns)
+ * and its check digit. Spaces and hyphens are ignored and letters compared in upper case.
+ * @param {string} documentType - Document type, e.g. "aadhaar", "pan", "ifsc", "voterId", "rationCard"
+ * @param {Object} document - Document from userProfile.documents
+ * @param {Object} [options]
+ * @param {string} [options.state] - State of the applicant, for state specific patterns
+ * @param {string} [options.locale] - Locale for the expected format description (default: "en")
+ * @returns {Object|null} null when no format is known for the type, otherwise
+ *   { valid, documentType, field, value, code, expected }: value is masked for Aadhaar, code is
+ *   "missingNumber", "invalidFormat" or "invalidChecksum" when not valid
+ * @example
+ * validateDocumentNumber("aadhaar", { number: "2345 6789 0125" })
+ * // { valid: false, documentType: "aadhaar", field: "number", value: "XXXXXXXX0125", code: "invalidChecksum", ... }
+ * validateDocumentNumber("pan", { number: "abcpe1234f" })
+ * // { valid: true, documentType: "pan", field: "number", value: "ABCPE1234F" }
+ */
+function validateDocumentNumber(documentType, document, options = {}) {
+  const format = getDocumentFormat(documentType);
+  if (!format) return null;
+
+  const locale = options.locale || "en";
+  const rawValue = document?.[format.field];
+  const result = { documentType: format.documentType, field: format.field };
+  if (rawValue === undefined || rawValue === null || String(rawValue).trim() === "") {
+    return { ...result, valid: false, code: "missingNumber" };
+  }
+
+  const value = String(rawValue).replace(/[\s-]+/g, "").toUpperCase();
+  const shown = format.mask ? maskNumber(value) : value;
+  const state = document.state ?? options.state;
+  const stateKey = state ? normalizeValue(state, "state") : undefined;
+  const statePattern = stateKey && format.states ? format.states[stateKey] : undefined;
+  const pattern = statePattern || format.pattern;
+
+  if (pattern && !new RegExp(pattern).test(value)) {
+    const key = statePattern ? "documentFormats.stateFormat" : `documentFormats.${format.documentType}`;
+    const expected = hasTranslation(locale, key) ? translate(locale, key, { state: String(state) }) : pattern;
+    return { ...result, valid: false, value: shown, code: "invalidFormat", expected };
+  }
+  if (format.checksum && CHECKSUMS[format.checksum] && !CHECKSUMS[format.checksum](value)) {
+    return { ...result, valid: false, value: shown, code: "invalidChecksum" };
+  }
+  return { ...result, valid: true, value: shown };
+}
+
+module.exports = {
+  verhoeffCheck,
+  getDocumentFormat,
+  validateDocumentNumber,
+};
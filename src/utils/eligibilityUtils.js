@@ -1,4 +1,379 @@
-const { translate } = require("./i18n");
+const { RE2JS } = require("re2js");
+const { translate, hasTranslation } = require("./i18n");
+const { formatValue, getFieldLabel } = require("./formatters");
+const { convertUnit, unwrapUnitValue } = require("./units");
+
+const MS_PER_DAY = 24 * 60 * 60 * 1000;
+
+// ISO dates (YYYY-MM-DD, optionally with a time part) and Indian style DD-MM-YYYY / DD/MM/YYYY
+const ISO_DATE_PATTERN = /^(\d{4})-(\d{2})-(\d{2})(?:[T ][\d:.]+(?:Z|[+-]\d{2}:?\d{2})?)?$/;
+const DMY_DATE_PATTERN = /^(\d{2})[-/](\d{2})[-/](\d{4})$/;
+// Annual cut-off such as "07-01" or "--07-01" (1st July of the as-of year)
+const MONTH_DAY_PATTERN = /^(?:--)?(\d{2})-(\d{2})$/;
+
+// Condition values that refer to the evaluation ("as of") date itself
+const AS_OF_KEYWORDS = ["asof", "today"];
+
+// Limits for the "matches" condition; patterns run on RE2, whose matching time is linear in the input,
+// so schema supplied patterns cannot stall the event loop
+const MAX_REGEX_PATTERN_LENGTH = 200;
+const MAX_REGEX_INPUT_LENGTH = 1000;
+// JavaScript regex flags and their RE2 equivalents; "u" is accepted as RE2 always matches Unicode
+const REGEX_FLAGS = {
+  i: RE2JS.CASE_INSENSITIVE,
+  m: RE2JS.MULTILINE,
+  s: RE2JS.DOTALL,
+  u: 0,
+};
+
+// Canonical condition names and the spellings accepted for each (lowercase, without spaces)
+const CONDITION_ALIASES = {
+  equals: ["equals", "equal", "=", "=="],
+  notEquals: ["notequals", "notequal", "!=", "<>"],
+  in: ["in", "includes"],
+  notIn: ["notin", "excludes"],
+  gte: ["greaterthanequals", "greaterthanequal", "gte", ">="],
+  lte: ["lessthanequals", "lessthanequal", "lte", "<="],
+  gt: ["greaterthan", "gt", ">"],
+  lt: ["lessthan", "lt", "<"],
+  between: ["between"],
+  notBetween: ["notbetween"],
+  contains: ["contains"],
+  startsWith: ["startswith"],
+  endsWith: ["endswith"],
+  matches: ["matches", "regex"],
+  anyOf: ["anyof"],
+  allOf: ["allof"],
+  noneOf: ["noneof"],
+  countGte: ["countgte"],
+  exists: ["exists"],
+  notExists: ["notexists"],
+  before: ["before"],
+  onOrBefore: ["onorbefore"],
+  after: ["after"],
+  onOrAfter: ["onorafter"],
+  withinLastDays: ["withinlastdays"],
+  ageBetween: ["agebetween"],
+};
+
+const CONDITION_LOOKUP = Object.entries(CONDITION_ALIASES).reduce(
+  (lookup, [canonical, aliases]) => {
+    aliases.forEach((alias) => {
+      lookup[alias] = canonical;
+    });
+    return lookup;
+  },
+  {}
+);
+
+// Path segments that would reach into object prototypes rather than profile data
+const FORBIDDEN_PATH_SEGMENTS = ["__proto__", "prototype", "constructor"];
+
+// Data types a criteria may declare instead of relying on detection from conditionValues
+const DATA_TYPES = ["number", "integer", "string", "boolean", "date", "enum"];
+
+const TRUE_STRINGS = ["true", "yes", "y", "1"];
+const FALSE_STRINGS = ["false", "no", "n", "0"];
+
+// Conditions evaluated on presence alone, so rules must not short-circuit on missing values
+const PRESENCE_CONDITIONS = ["exists", "notExists"];
+
+/**
+ * Map a condition spelling (e.g. "less than equals", "<=", "LTE") to its canonical name
+ * @param {string|object} condition - Condition string or object with a condition property
+ * @returns {string|null} Canonical condition name, or null if unsupported
+ * @example
+ * normalizeCondition("less than equals")  // "lte"
+ * normalizeCondition("not in")  // "notIn"
+ */
+function normalizeCondition(condition) {
+  const conditionStr =
+    typeof condition === "object" && condition !== null
+      ? condition.condition || condition?.criteria?.condition
+      : condition;
+  if (typeof conditionStr !== "string") return null;
+  const key = conditionStr.toLowerCase().trim().replace(/\s+/g, "");
+  return Object.prototype.hasOwnProperty.call(CONDITION_LOOKUP, key)
+    ? CONDITION_LOOKUP[key]
+    : null;
+}
+
+/**
+ * Check whether a condition only tests for the presence of a value
+ * @param {string|object} condition - Condition to check
+ * @returns {boolean}
+ */
+function isPresenceCondition(condition) {
+  return PRESENCE_CONDITIONS.includes(normalizeCondition(condition));
+}
+
+/**
+ * Parse a boolean from common representations
+ * @param {*} value - true/false, "yes"/"no", 1/0 and similar
+ * @returns {boolean|null} Parsed boolean, or null if the value is not recognised
+ */
+function parseBoolean(value) {
+  if (typeof value === "boolean") return value;
+  if (typeof value === "number") return value === 1 ? true : value === 0 ? false : null;
+  if (typeof value !== "string") return null;
+  const normalized = value.toLowerCase().trim();
+  if (TRUE_STRINGS.includes(normalized)) return true;
+  if (FALSE_STRINGS.includes(normalized)) return false;
+  return null;
+}
+
+/**
+ * Check whether a value counts as provided
+ * @param {*} value - Value to inspect
+ * @returns {boolean} False for undefined, null, empty strings and empty arrays
+ */
+function hasValue(value) {
+  if (value === undefined || value === null) return false;
+  if (typeof value === "string") return value.trim() !== "";
+  if (Array.isArray(value)) return value.length > 0;
+  return true;
+}
+
+/**
+ * Compile a schema supplied regular expression with RE2, which matches in linear time. RE2 syntax has no
+ * backreferences or lookarounds; patterns using them are rejected as invalid.
+ * Accepts a plain pattern or the "/pattern/flags" form, with the flags i, m, s and u.
+ * @param {string} source - Pattern to compile
+ * @param {string} locale - Locale for error messages
+ * @returns {{test: function(string): boolean}} Compiled pattern; test() reports whether it matches anywhere in the input
+ * @example
+ * compileSafeRegex("^4[0-4]\\d{4}$").test("411001")  // true
+ * compileSafeRegex("/^mh/i").test("MH-12-AB")  // true
+ */
+function compileSafeRegex(source, locale = "en") {
+  if (typeof source !== "string" || source === "")
+    throw new Error(translate(locale, "errors.invalidRegexPattern", { pattern: String(source) }));
+
+  let pattern = source;
+  let flags = "";
+  const literal = /^\/(.*)\/([a-z]*)$/s.exec(source);
+  if (literal) {
+    pattern = literal[1];
+    flags = literal[2];
+  }
+
+  const flagList = [...flags];
+  if (
+    pattern.length > MAX_REGEX_PATTERN_LENGTH ||
+    flagList.some((flag) => !Object.prototype.hasOwnProperty.call(REGEX_FLAGS, flag))
+  ) {
+    throw new Error(translate(locale, "errors.unsafeRegexPattern", { pattern: source }));
+  }
+
+  let compiled;
+  try {
+    compiled = RE2JS.compile(pattern, flagList.reduce((mask, flag) => mask | REGEX_FLAGS[flag], 0));
+  } catch {
+    throw new Error(translate(locale, "errors.invalidRegexPattern", { pattern: source }));
+  }
+  return { test: (input) => compiled.matcher(input).find() };
+}
+
+/**
+ * Build a UTC midnight date, returning null for impossible dates (e.g. 2023-02-30)
+ * @param {number} year
+ * @param {number} month - 1 based month
+ * @param {number} day
+ * @returns {Date|null}
+ */
+function buildUtcDate(year, month, day) {
+  const date = new Date(Date.UTC(year, month - 1, day));
+  if (
+    date.getUTCFullYear() !== year ||
+    date.getUTCMonth() !== month - 1 ||
+    date.getUTCDate() !== day
+  ) {
+    return null;
+  }
+  return date;
+}
+
+/**
+ * Check whether a value looks like a date
+ * @param {*} value - Value to inspect
+ * @returns {boolean} True for Date instances and recognised date strings
+ */
+function isDateValue(value) {
+  if (value instanceof Date) return !isNaN(value.getTime());
+  if (typeof value !== "string") return false;
+  const trimmed = value.trim();
+  return ISO_DATE_PATTERN.test(trimmed) || DMY_DATE_PATTERN.test(trimmed);
+}
+
+/**
+ * Parse a date value into a Date at UTC midnight
+ * @param {*} value - Date instance, "YYYY-MM-DD", ISO date-time, "DD-MM-YYYY" or "DD/MM/YYYY"
+ * @returns {Date|null} Parsed date or null when the value is not a valid date
+ * @example
+ * parseDate("2008-01-15")  // 2008-01-15T00:00:00.000Z
+ * parseDate("15/01/2008")  // 2008-01-15T00:00:00.000Z
+ * parseDate("2008-02-30")  // null
+ */
+function parseDate(value) {
+  if (value instanceof Date) {
+    if (isNaN(value.getTime())) return null;
+    return buildUtcDate(
+      value.getUTCFullYear(),
+      value.getUTCMonth() + 1,
+      value.getUTCDate()
+    );
+  }
+  if (typeof value !== "string") return null;
+
+  const trimmed = value.trim();
+  let match = ISO_DATE_PATTERN.exec(trimmed);
+  if (match) {
+    return buildUtcDate(Number(match[1]), Number(match[2]), Number(match[3]));
+  }
+  match = DMY_DATE_PATTERN.exec(trimmed);
+  if (match) {
+    return buildUtcDate(Number(match[3]), Number(match[2]), Number(match[1]));
+  }
+  return null;
+}
+
+/**
+ * Resolve the date against which date-relative conditions are evaluated
+ * @param {Date|string} [asOf] - Explicit date, or an annual cut-off like "07-01" / "--07-01"
+ * @param {Date|string} [reference] - Date used for annual cut-offs and as the default (default: today)
+ * @param {string} locale - Locale for error messages (default: "en")
+ * @returns {Date} As-of date at UTC midnight
+ * @example
+ * // Age as on 1st July of the current year
+ * resolveAsOfDate("07-01")
+ * // Fixed cut-off
+ * resolveAsOfDate("2024-07-01")  // 2024-07-01T00:00:00.000Z
+ */
+function resolveAsOfDate(asOf, reference, locale = "en") {
+  const referenceDate = reference ? parseDate(reference) : parseDate(new Date());
+  if (!referenceDate)
+    throw new Error(translate(locale, "errors.invalidDateValue", { value: String(reference) }));
+
+  if (asOf === undefined || asOf === null || asOf === "") return referenceDate;
+
+  if (typeof asOf === "string") {
+    const match = MONTH_DAY_PATTERN.exec(asOf.trim());
+    if (match) {
+      const cutOff = buildUtcDate(
+        referenceDate.getUTCFullYear(),
+        Number(match[1]),
+        Number(match[2])
+      );
+      if (cutOff) return cutOff;
+    }
+  }
+
+  const date = parseDate(asOf);
+  if (!date)
+    throw new Error(translate(locale, "errors.invalidDateValue", { value: String(asOf) }));
+  return date;
+}
+
+/**
+ * Calculate completed years of age on a given date
+ * @param {Date|string} dateOfBirth - Date of birth
+ * @param {Date|string} [asOf] - Date on which age is calculated (default: today)
+ * @returns {number|null} Age in completed years, or null when dateOfBirth is invalid
+ * @example
+ * calculateAge("2008-07-02", "2024-07-01")  // 15
+ * calculateAge("2008-07-01", "2024-07-01")  // 16
+ */
+function calculateAge(dateOfBirth, asOf) {
+  const dob = parseDate(dateOfBirth);
+  const onDate = asOf ? parseDate(asOf) : parseDate(new Date());
+  if (!dob || !onDate) return null;
+
+  let age = onDate.getUTCFullYear() - dob.getUTCFullYear();
+  const birthdayPassed =
+    onDate.getUTCMonth() > dob.getUTCMonth() ||
+    (onDate.getUTCMonth() === dob.getUTCMonth() &&
+      onDate.getUTCDate() >= dob.getUTCDate());
+  if (!birthdayPassed) age -= 1;
+  return age;
+}
+
+/**
+ * Split a field path into its segments
+ * @param {string|Array<string|number>} path - Dot path with optional array indexes, e.g. "education.history[0].class"
+ * @returns {Array<string>} Path segments
+ * @example
+ * parseFieldPath("familyMembers[1].age")  // ["familyMembers", "1", "age"]
+ */
+function parseFieldPath(path) {
+  if (Array.isArray(path)) return path.map(String);
+  if (typeof path !== "string") return [];
+  return path
+    .replace(/\[(\d+)\]/g, ".$1")
+    .split(".")
+    .map(segment => segment.trim())
+    .filter(segment => segment !== "");
+}
+
+/**
+ * Read a value from a nested object using a field path.
+ * A top-level key that literally contains dots takes precedence over nested lookup.
+ * @param {Object} source - Object to read from (e.g. the user profile)
+ * @param {string|Array<string|number>} path - Field path such as "address.state" or "bankAccounts[0].isAadhaarSeeded"
+ * @returns {*} The value, or undefined when any segment is missing
+ * @example
+ * getValueByPath({ address: { state: "maharashtra" } }, "address.state")  // "maharashtra"
+ * getValueByPath({ education: [{ class: 9 }] }, "education[0].class")  // 9
+ */
+function getValueByPath(source, path) {
+  if (source === null || typeof source !== "object") return undefined;
+  if (typeof path === "string" && Object.prototype.hasOwnProperty.call(source, path)) {
+    return source[path];
+  }
+
+  const segments = parseFieldPath(path);
+  if (segments.length === 0) return undefined;
+
+  let current = source;
+  for (const segment of segments) {
+    if (
+      FORBIDDEN_PATH_SEGMENTS.includes(segment) ||
+      current === null ||
+      typeof current !== "object" ||
+      !Object.prototype.hasOwnProperty.call(current, segment)
+    ) {
+      return undefined;
+    }
+    current = current[segment];
+  }
+  return current;
+}
+
+/**
+ * Resolve a profile value, deriving "age" from "dateOfBirth" where needed.
+ * A supplied age is only current as of today, so when the criteria declares its own
+ * as-of date (e.g. "age as on 1st July"), or the check runs as of another day, the age is recalculated from dateOfBirth.
+ * The date of birth is read next to the age field, so "applicant.age" uses "applicant.dateOfBirth".
+ * @param {Object} userProfile - User profile data
+ * @param {string} field - Profile field path
+ * @param {*} value - Value read from the profile
+ * @param {Object} [options]
+ * @param {Date|string} [options.asOf] - As-of date for the calculation
+ * @param {boolean} [options.preferDerived] - Recalculate even if age is present
+ * @returns {*} The original value or the derived age
+ */
+function resolveProfileValue(userProfile, field, value, options = {}) {
+  const segments = parseFieldPath(field);
+  if (segments[segments.length - 1] !== "age") return value;
+
+  const dateOfBirth = getValueByPath(userProfile, [...segments.slice(0, -1), "dateOfBirth"]);
+  if (!dateOfBirth) return value;
+
+  const missing = value === undefined || value === null || value === "";
+  if (!missing && !options.preferDerived) return value;
+
+  const age = calculateAge(dateOfBirth, options.asOf);
+  return age === null ? value : age;
+}
 
 /**
  * Check a single criteria against user value
@@ -6,6 +381,12 @@ const { translate } = require("./i18n");
  * @param {string|object} condition - Condition to check
  * @param {*} conditionValues - Values to compare against
  * @param {string} locale - Locale for error messages (default: "en")
+ * @param {Object} [options] - Evaluation options
+ * @param {Date|string} [options.asOf] - Date against which date-relative conditions are evaluated (default: today)
+ * @param {string} [options.dataType] - Declared type (number, integer, string, boolean, date, enum); detected from conditionValues when omitted
+ * @param {Array} [options.enumValues] - Allowed values when dataType is "enum"
+ * @param {string} [options.unit] - Unit of conditionValues (e.g. "perMonth"); the user value is converted into it
+ * @param {string} [options.valueUnit] - Unit of the user value when it does not carry one as { value, unit }
  * @returns {Promise<boolean>} Whether criteria is met
  * @example
  * // Number comparison
@@ -28,8 +409,41 @@ const { translate } = require("./i18n");
  * 
  * // Object condition
  * checkCriteria(5, { condition: "gte" }, 3)  // returns true
+ *
+ * // Date comparison (ISO or DD-MM-YYYY dates are compared as dates)
+ * checkCriteria("2025-12-31", "after", "today")  // true while the document has not expired
+ * checkCriteria("2024-03-01", "withinLastDays", 365, "en", { asOf: "2024-07-01" })  // returns true
+ *
+ * // Age as on 1st July derived from date of birth
+ * checkCriteria("2008-07-02", "ageBetween", [16, 18], "en", { asOf: "2024-07-01" })  // returns false (15)
+ *
+ * // Negation
+ * checkCriteria("general", "notIn", ["general", "ews"])  // returns false
+ * checkCriteria(15, "notBetween", [10, 20])  // returns false
+ *
+ * // String matching (case insensitive) and regular expressions
+ * checkCriteria("MH-12-AB", "startsWith", "mh")  // returns true
+ * checkCriteria("411001", "matches", "^4[0-4]\\d{4}$")  // returns true
+ *
+ * // Presence
+ * checkCriteria(undefined, "notExists")  // returns true
+ *
+ * // Multi-valued profile fields
+ * checkCriteria(["visual", "locomotor"], "anyOf", ["locomotor", "hearing"])  // returns true
+ * checkCriteria(["visual", "locomotor"], "allOf", ["visual", "hearing"])  // returns false
+ * checkCriteria(["farmer"], "noneOf", ["government"])  // returns true
+ * checkCriteria(["farmer", "labourer"], "countGte", 2)  // returns true
+ * checkCriteria(["farmer", "labourer"], "equals", "farmer")  // rejects: use a set condition
+ *
+ * // Declared data type instead of detection
+ * checkCriteria("09", "equals", "9", "en", { dataType: "string" })  // returns false
+ * checkCriteria("09", "equals", "9", "en", { dataType: "integer" })  // returns true
+ *
+ * // Unit normalization: ₹2.7 Lakh per annum against a ₹22500 per month limit
+ * checkCriteria(270000, "lte", 22500, "en", { unit: "perMonth", valueUnit: "perAnnum" })  // returns true
+ * checkCriteria({ value: 25000, unit: "perMonth" }, "lte", 270000, "en", { unit: "perAnnum" })  // returns false
  */
-function checkCriteria(userValue, condition, conditionValues, locale = "en") {
+function checkCriteria(userValue, condition, conditionValues, locale = "en", options = {}) {
   return new Promise((resolve, reject) => {
     try {
       // check condition value array or single value
@@ -45,21 +459,63 @@ function checkCriteria(userValue, condition, conditionValues, locale = "en") {
         conditionStr = condition;
       }
 
-      conditionStr = conditionStr.toLowerCase().trim().replace(/\s+/g, '');
+      const canonicalCondition = normalizeCondition(conditionStr);
+      if (!canonicalCondition)
+        throw new Error(translate(locale, "errors.unsupportedCondition", { condition: conditionStr }));
 
-      // Helper function to convert value to appropriate type
+      // A single value may arrive wrapped in a one element array; longer lists are never
+      // truncated to their first entry, set conditions (anyOf, allOf, ...) must be used instead
+      const toScalar = (value, errorKey = "errors.multiValuedFieldNotSupported") => {
+        if (!Array.isArray(value)) return value;
+        if (value.length === 1) return value[0];
+        throw new Error(translate(locale, errorKey, { condition: conditionStr }));
+      };
+
+      const declaredType = options.dataType ? String(options.dataType).toLowerCase() : null;
+      if (declaredType && !DATA_TYPES.includes(declaredType))
+        throw new Error(translate(locale, "errors.unsupportedDataType", { dataType: options.dataType }));
+
+      const invalidValue = (value, type) =>
+        new Error(translate(locale, "errors.invalidValueForType", { value: String(value), dataType: type }));
+
+      // Helper function to convert value to appropriate type.
+      // Declared types are converted strictly; detected types keep the lenient behaviour.
       const convertToType = (value, type) => {
-        if (Array.isArray(value)) {
-          value = value[0];
-        }
+        value = toScalar(value);
         switch (type) {
           case 'number':
-            return Number(value);
+          case 'integer': {
+            const number = typeof value === 'string' ? Number(value.trim() || NaN) : Number(value);
+            if (declaredType && (!Number.isFinite(number) || (type === 'integer' && !Number.isInteger(number))))
+              throw invalidValue(value, type);
+            return number;
+          }
           case 'string':
             // Convert strings to lowercase for case-insensitive comparison
-            return String(value).toLowerCase();
-          case 'boolean':
-            return Boolean(value);
+            return declaredType ? String(value).trim().toLowerCase() : String(value).toLowerCase();
+          case 'enum': {
+            const member = String(value).trim().toLowerCase();
+            const allowed = Array.isArray(options.enumValues)
+              ? options.enumValues.map(v => String(v).trim().toLowerCase())
+              : null;
+            if (allowed && !allowed.includes(member))
+              throw new Error(translate(locale, "errors.invalidEnumValue", {
+                value: String(value),
+                allowed: allowed.join(", "),
+              }));
+            return member;
+          }
+          case 'boolean': {
+            const parsed = parseBoolean(value);
+            if (parsed === null && declaredType) throw invalidValue(value, type);
+            return parsed === null ? Boolean(value) : parsed;
+          }
+          case 'date': {
+            const date = parseDate(value);
+            if (!date)
+              throw new Error(translate(locale, "errors.invalidDateValue", { value: String(value) }));
+            return date.getTime();
+          }
           default:
             return value;
         }
@@ -70,68 +526,232 @@ function checkCriteria(userValue, condition, conditionValues, locale = "en") {
         if (Array.isArray(value)) {
           value = value[0];
         }
-        if (!isNaN(value) && value !== '') {
-          return 'number';
+        if (isDateValue(value)) {
+          return 'date';
         }
-        if (value === 'true' || value === 'false') {
+        if (typeof value === 'boolean' || value === 'true' || value === 'false') {
           return 'boolean';
         }
+        if (typeof value === 'number' || (typeof value === 'string' && value.trim() !== '' && !isNaN(value))) {
+          return 'number';
+        }
         return 'string';
       };
 
-      const valueType = detectType(conditionValues);
-      const convertedUserValue = convertToType(userValue, valueType);
-      const convertedConditionValue = convertToType(conditionValues, valueType);
+      // Lazily resolved so that plain comparisons never depend on the clock
+      const getAsOfDate = () => resolveAsOfDate(options.asOf, undefined, locale);
+
+      // Parse a user supplied date, failing loudly rather than comparing strings
+      const toUserDate = (value) => {
+        const date = parseDate(toScalar(value));
+        if (!date)
+          throw new Error(translate(locale, "errors.invalidDateValue", { value: String(value) }));
+        return date.getTime();
+      };
+
+      // Condition date may be a date or a keyword for the as-of date ("today", "asOf")
+      const toConditionDate = (value) => {
+        const candidate = toScalar(value, "errors.conditionRequiresSingleValue");
+        if (
+          typeof candidate === "string" &&
+          AS_OF_KEYWORDS.includes(candidate.toLowerCase().trim())
+        ) {
+          return getAsOfDate().getTime();
+        }
+        const date = parseDate(candidate);
+        if (!date)
+          throw new Error(translate(locale, "errors.invalidDateValue", { value: String(candidate) }));
+        return date.getTime();
+      };
+
+      // Condition values as a list, for conditions that accept one or many values
+      const toList = (value) => (Array.isArray(value) ? value : [value]);
+
+      // Express the user value in the criteria's unit, e.g. annual income against a monthly limit
+      const normalizeUnit = (value) => {
+        const { value: rawValue, unit: valueUnit } = unwrapUnitValue(value, options.valueUnit);
+        if (!options.unit || !valueUnit || !hasValue(rawValue)) return rawValue;
+        return Array.isArray(rawValue)
+          ? rawValue.map(v => convertUnit(v, valueUnit, options.unit, locale))
+          : convertUnit(rawValue, valueUnit, options.unit, locale);
+      };
+      userValue = normalizeUnit(userValue);
+
+      const checkRange = (range) => {
+        if (!Array.isArray(range) || range.length !== 2)
+          throw new Error(translate(locale, "errors.betweenConditionRequiresArray"));
+
+        const [min, max] = range.map(v => convertToType(v, valueType));
+        const value = userScalar();
+        return value >= min && value <= max;
+      };
+
+      // Case-insensitive string test against any of the condition values
+      const matchesAnyString = (test) => {
+        const userString = String(toScalar(userValue)).toLowerCase();
+        return toList(conditionValues).some(v => test(userString, String(v).toLowerCase()));
+      };
+
+      // De-duplicated, converted entries for set conditions; a single profile value is a one item set
+      const toSet = (value) => [
+        ...new Set(toList(value).filter(hasValue).map(v => convertToType(v, valueType))),
+      ];
+
+      const valueType = declaredType || detectType(conditionValues);
+      // Converted lazily: scalar conditions reject multi-valued input, set conditions accept it
+      const userScalar = () => convertToType(userValue, valueType);
+      const conditionScalar = () =>
+        convertToType(toScalar(conditionValues, "errors.conditionRequiresSingleValue"), valueType);
 
       let result;
-      switch (conditionStr) {
+      switch (canonicalCondition) {
         case "equals":
-        case "equal":
-        case "=":
-        case "==":
-          result = convertedUserValue === convertedConditionValue;
+          result = userScalar() === conditionScalar();
           break;
 
+        case "notEquals":
+          result = userScalar() !== conditionScalar();
+          break;
+
+        // A single condition value is a one item list, so "in" and "notIn" are always complements
         case "in":
-        case "includes":
-          result = (
-            Array.isArray(conditionValues) &&
-            conditionValues.map(v => convertToType(v, valueType)).includes(convertedUserValue)
-          );
+          result = toList(conditionValues)
+            .map(v => convertToType(v, valueType))
+            .includes(userScalar());
+          break;
+
+        case "notIn":
+          result = !toList(conditionValues)
+            .map(v => convertToType(v, valueType))
+            .includes(userScalar());
           break;
 
-        case "greaterthanequals":
-        case "greaterthanequal":
         case "gte":
-        case ">=":
-          result = convertedUserValue >= convertedConditionValue;
+          result = userScalar() >= conditionScalar();
           break;
 
-        case "lessthanequals":
-        case "lessthanequal":
         case "lte":
-        case "<=":
-          result = convertedUserValue <= convertedConditionValue;
+          result = userScalar() <= conditionScalar();
           break;
 
-        case "greaterthan":
         case "gt":
-        case ">":
-          result = convertedUserValue > convertedConditionValue;
+          result = userScalar() > conditionScalar();
           break;
 
-        case "lessthan":
         case "lt":
-        case "<":
-          result = convertedUserValue < convertedConditionValue;
+          result = userScalar() < conditionScalar();
+          break;
+
+        case "between":
+          result = checkRange(conditionValues);
+          break;
+
+        case "notBetween":
+          result = !checkRange(conditionValues);
+          break;
+
+        case "contains":
+          // Profile lists contain a value when any entry equals it; strings when they include it
+          result = Array.isArray(userValue)
+            ? toList(conditionValues).some(v =>
+                userValue.map(u => String(u).toLowerCase()).includes(String(v).toLowerCase())
+              )
+            : matchesAnyString((user, expected) => user.includes(expected));
+          break;
+
+        case "startsWith":
+          result = matchesAnyString((user, expected) => user.startsWith(expected));
+          break;
+
+        case "endsWith":
+          result = matchesAnyString((user, expected) => user.endsWith(expected));
+          break;
+
+        case "matches": {
+          const input = String(toScalar(userValue));
+          if (input.length > MAX_REGEX_INPUT_LENGTH)
+            throw new Error(translate(locale, "errors.regexInputTooLong", { maxLength: MAX_REGEX_INPUT_LENGTH }));
+
+          result = toList(conditionValues).some(pattern => compileSafeRegex(pattern, locale).test(input));
+          break;
+        }
+
+        case "anyOf": {
+          const userSet = toSet(userValue);
+          result = toSet(conditionValues).some(v => userSet.includes(v));
+          break;
+        }
+
+        case "allOf": {
+          const userSet = toSet(userValue);
+          result = toSet(conditionValues).every(v => userSet.includes(v));
+          break;
+        }
+
+        case "noneOf": {
+          const userSet = toSet(userValue);
+          result = !toSet(conditionValues).some(v => userSet.includes(v));
+          break;
+        }
+
+        case "countGte": {
+          const minCount = Number(toScalar(conditionValues, "errors.conditionRequiresSingleValue"));
+          if (!Number.isInteger(minCount) || minCount < 0)
+            throw new Error(translate(locale, "errors.countConditionRequiresNumber"));
+
+          result = toList(userValue).filter(hasValue).length >= minCount;
+          break;
+        }
+
+        case "exists":
+          result = hasValue(userValue);
+          break;
+
+        case "notExists":
+          result = !hasValue(userValue);
+          break;
+
+        case "before":
+          result = toUserDate(userValue) < toConditionDate(conditionValues);
+          break;
+
+        case "onOrBefore":
+          result = toUserDate(userValue) <= toConditionDate(conditionValues);
+          break;
+
+        case "after":
+          result = toUserDate(userValue) > toConditionDate(conditionValues);
           break;
 
-        case "between": {
+        case "onOrAfter":
+          result = toUserDate(userValue) >= toConditionDate(conditionValues);
+          break;
+
+        case "withinLastDays": {
+          const days = Number(toScalar(conditionValues, "errors.conditionRequiresSingleValue"));
+          if (!Number.isFinite(days) || days < 0)
+            throw new Error(translate(locale, "errors.withinLastDaysRequiresNumber"));
+
+          const asOfTime = getAsOfDate().getTime();
+          const userTime = toUserDate(userValue);
+          result = userTime <= asOfTime && userTime >= asOfTime - days * MS_PER_DAY;
+          break;
+        }
+
+        case "ageBetween": {
           if (!Array.isArray(conditionValues) || conditionValues.length !== 2)
             throw new Error(translate(locale, "errors.betweenConditionRequiresArray"));
 
-          const [min, max] = conditionValues.map(v => convertToType(v, valueType));
-          result = convertedUserValue >= min && convertedUserValue <= max;
+          // Accept either a date of birth or an already computed age
+          const rawValue = toScalar(userValue);
+          const age = isDateValue(rawValue)
+            ? calculateAge(rawValue, getAsOfDate())
+            : Number(rawValue);
+          if (age === null || isNaN(age))
+            throw new Error(translate(locale, "errors.invalidDateValue", { value: String(rawValue) }));
+
+          const [minAge, maxAge] = conditionValues.map(Number);
+          result = age >= minAge && age <= maxAge;
           break;
         }
 
@@ -146,6 +766,90 @@ function checkCriteria(userValue, condition, conditionValues, locale = "en") {
   });
 }
 
+/**
+ * Collect the checkCriteria options declared on a criteria object
+ * @param {Object} criteria - Criteria from the benefit schema
+ * @param {Object} [overrides] - Evaluation options such as the resolved asOf date
+ * @returns {Object} Options for checkCriteria
+ * @example
+ * buildCriteriaOptions({ name: "income", dataType: "number", unit: "perMonth", profileUnit: "perAnnum" })
+ * // { dataType: "number", enumValues: undefined, unit: "perMonth", valueUnit: "perAnnum" }
+ */
+function buildCriteriaOptions(criteria = {}, overrides = {}) {
+  return {
+    dataType: criteria.dataType,
+    enumValues: criteria.enumValues,
+    unit: criteria.unit,
+    valueUnit: criteria.profileUnit,
+    ...overrides,
+  };
+}
+
+// Conditions whose values are dates, and those whose condition values are a [min, max] range
+const DATE_CONDITIONS = ["before", "onOrBefore", "after", "onOrAfter", "withinLastDays", "ageBetween"];
+const RANGE_CONDITIONS = ["between", "notBetween", "ageBetween"];
+
+/**
+ * Build the localized reason for a failed condition from its "conditionFailures" template, with the
+ * field label and the values formatted for the locale (numbers, currency amounts with units, dates).
+ * Conditions without a template fall back to the generic "Does not meet criteria" text.
+ * @param {string} locale - Locale for the message
+ * @param {string|object} condition - Condition that failed
+ * @param {*} userValue - Value that was checked
+ * @param {*} conditionValues - Values it was checked against
+ * @param {Object} [criteria] - Criteria from the benefit schema: name and label for the field label,
+ *   currency, unit and profileUnit for formatting amounts, dataType "date" for formatting dates
+ * @returns {string} Localized failure reason
+ * @example
+ * getCriteriaFailureReason("en", "lte", 300000, 270000, { name: "income", currency: "INR" })
+ * // "Annual income ₹3,00,000 is more than the limit of ₹2,70,000"
+ */
+function getCriteriaFailureReason(locale, condition, userValue, conditionValues, criteria = {}) {
+  const canonicalCondition = normalizeCondition(condition);
+  const key = `conditionFailures.${canonicalCondition}`;
+  if (!canonicalCondition || !hasTranslation(locale, key)) {
+    return translate(locale, "errors.doesNotMeetCriteria", {
+      condition: typeof condition === "object" ? condition?.condition : condition,
+    });
+  }
+
+  const isDate = criteria.dataType === "date" || DATE_CONDITIONS.includes(canonicalCondition);
+  // Dates are shown as calendar dates; withinLastDays and ageBetween compare a date with numbers
+  const toDisplayDate = (value) => (Array.isArray(value) ? value.map(toDisplayDate) : parseDate(value) ?? value);
+  const numericConditionValues = ["withinLastDays", "ageBetween"].includes(canonicalCondition);
+  const format = (value, unit) => formatValue(value, locale, { currency: criteria.currency, unit });
+
+  const displayUserValue = isDate ? toDisplayDate(userValue) : userValue;
+  const requiredValue = isDate && !numericConditionValues ? toDisplayDate(conditionValues) : conditionValues;
+  const [min, max] = Array.isArray(requiredValue) ? requiredValue : [];
+  return translate(locale, key, {
+    field: getFieldLabel(criteria.name, locale, criteria.label),
+    userValue: format(displayUserValue, criteria.profileUnit ?? criteria.unit),
+    requiredValue: format(requiredValue, criteria.unit),
+    ...(RANGE_CONDITIONS.includes(canonicalCondition) && {
+      min: format(min, criteria.unit),
+      max: format(max, criteria.unit),
+    }),
+  });
+}
+
+// Canonical names of the conditions checkCriteria supports
+const SUPPORTED_CONDITIONS = Object.keys(CONDITION_ALIASES);
+
 module.exports = {
+  SUPPORTED_CONDITIONS,
   checkCriteria,
+  buildCriteriaOptions,
+  normalizeCondition,
+  isPresenceCondition,
+  hasValue,
+  parseBoolean,
+  getCriteriaFailureReason,
+  isDateValue,
+  parseDate,
+  resolveAsOfDate,
+  calculateAge,
+  resolveProfileValue,
+  parseFieldPath,
+  getValueByPath,
 };
@@ -0,0 +1,245 @@
+const { translate } = require("./i18n");
+const { getValueByPath, hasValue } = require("./eligibilityUtils");
+const { formatNumber, getFieldLabel } = require("./formatters");
+const { convertUnit, resolveUnit, unwrapUnitValue } = require("./units");
+const { normalizeValue } = require("./valueNormalizer");
+
+const COMPONENT_TYPES = ["fixed", "slab", "perUnit"];
+const DEFAULT_CURRENCY = "INR";
+
+const isAmount = (value) => Number.isFinite(value) && value >= 0;
+// Round away floating point noise, keeping paise
+const roundAmount = (value) => Number(value.toFixed(2));
+const isPlainObject = (value) => typeof value === "object" && value !== null && !Array.isArray(value);
+
+/**
+ * Validate a benefit's entitlement block
+ * @param {Object} entitlement - { currency, period, cap, components: [...] }
+ * @param {string} locale - Locale for error messages (default: "en")
+ * @returns {Array<string>} Localized errors
+ */
+function validateEntitlement(entitlement, locale = "en") {
+  if (!isPlainObject(entitlement) || !Array.isArray(entitlement.components) || entitlement.components.length === 0) {
+    return [translate(locale, "errors.invalidEntitlement")];
+  }
+  const errors = [];
+  const checkAmount = (value, field) => {
+    if (!isAmount(value)) errors.push(translate(locale, "errors.invalidEntitlementAmount", { field, value: String(value) }));
+  };
+  const checkUnit = (unit, family) => {
+    if (unit !== undefined && resolveUnit(unit)?.family !== family) {
+      errors.push(translate(locale, "errors.unsupportedUnit", { unit: String(unit) }));
+    }
+  };
+
+  if (entitlement.cap !== undefined) checkAmount(entitlement.cap, "cap");
+  checkUnit(entitlement.period, "period");
+
+  entitlement.components.forEach((component, index) => {
+    const name = component?.id ?? `components[${index}]`;
+    if (!COMPONENT_TYPES.includes(component?.type)) {
+      errors.push(translate(locale, "errors.unsupportedEntitlementComponent", { value: String(component?.type) }));
+      return;
+    }
+    if (component.cap !== undefined) checkAmount(component.cap, `${name}.cap`);
+    if (component.type !== "fixed" && (typeof component.field !== "string" || component.field === "")) {
+      errors.push(translate(locale, "errors.entitlementFieldRequired", { component: name, type: component.type }));
+    }
+
+    if (component.type === "fixed" || component.type === "perUnit") {
+      checkAmount(component.amount, `${name}.amount`);
+    }
+    if (component.type === "perUnit") {
+      if (component.maxUnits !== undefined && !(Number.isInteger(component.maxUnits) && component.maxUnits >= 0)) {
+        errors.push(translate(locale, "errors.invalidEntitlementAmount", { field: `${name}.maxUnits`, value: String(component.maxUnits) }));
+      }
+      if (component.where !== undefined && !isPlainObject(component.where)) {
+        errors.push(translate(locale, "errors.invalidEntitlementWhere", { component: name, value: JSON.stringify(component.where) }));
+      }
+    }
+    if (component.type === "slab") {
+      const slabs = Array.isArray(component.slabs) ? component.slabs : [];
+      // Limits must rise from slab to slab; only the last slab may leave "upTo" open
+      const valid =
+        slabs.length > 0 &&
+        slabs.every((slab, slabIndex) =>
+          isAmount(slab?.amount) &&
+          (slab.upTo === undefined
+            ? slabIndex === slabs.length - 1
+            : Number.isFinite(slab.upTo) && (slabIndex === 0 || slab.upTo > slabs[slabIndex - 1].upTo))
+        );
+      if (!valid) errors.push(translate(locale, "errors.invalidEntitlementSlabs", { component: name }));
+      [component.unit, component.valueUnit]
+        .filter((unit) => unit !== undefined && !resolveUnit(unit))
+        .forEach((unit) => errors.push(translate(locale, "errors.unsupportedUnit", { unit: String(unit) })));
+    }
+  });
+  return errors;
+}
+
+/**
+ * Work out the amount of one component for a profile
+ * @param {Object} userProfile - User profile, including derived attributes
+ * @param {Object} component - Entitlement component
+ * @param {Object} context - { currency, locale }
+ * @returns {Object} Breakdown entry; amount is null when the profile lacks the component's field
+ */
+function calculateComponent(userProfile, component, { currency, locale }) {
+  const format = (amount) => formatNumber(amount, locale, currency);
+  const fieldLabel = getFieldLabel(component.field, locale);
+  const entry = {
+    ...(component.id !== undefined && { id: component.id }),
+    type: component.type,
+    ...(component.field && { field: component.field }),
+  };
+  const describe = (fallback) => (component.label ? getFieldLabel(component.field, locale, component.label) : fallback);
+
+  if (component.type === "fixed") {
+    entry.amount = component.amount;
+    entry.description = describe(translate(locale, "entitlement.fixed"));
+  } else {
+    const raw = getValueByPath(userProfile, component.field);
+    // An empty list is no units rather than a missing value
+    if (!hasValue(raw) && !(component.type === "perUnit" && Array.isArray(raw))) {
+      return { ...entry, amount: null, description: describe(fieldLabel), missingFields: [component.field] };
+    }
+
+    if (component.type === "slab") {
+      const { value, unit } = unwrapUnitValue(raw, component.valueUnit ?? component.unit);
+      // The profile value is compared in the unit of the slab limits
+      const number = component.unit ? convertUnit(value, unit, component.unit, locale) : Number(value);
+      if (!Number.isFinite(number)) {
+        throw new Error(translate(locale, "errors.invalidValueForType", { value: String(value), dataType: "number" }));
+      }
+      const slabIndex = component.slabs.findIndex((slab) => slab.upTo === undefined || number <= slab.upTo);
+      const slab = component.slabs[slabIndex];
+      entry.value = number;
+      entry.amount = slab ? slab.amount : 0;
+      if (slab) entry.slab = { ...(slab.upTo !== undefined && { upTo: slab.upTo }), amount: slab.amount };
+      entry.description = describe(
+        slab && slab.upTo === undefined
+          ? translate(locale, "entitlement.slabAbove", { field: fieldLabel, from: formatNumber(component.slabs[slabIndex - 1]?.upTo ?? 0, locale) })
+          : slab
+            ? translate(locale, "entitlement.slabUpTo", { field: fieldLabel, upTo: formatNumber(slab.upTo, locale) })
+            : translate(locale, "entitlement.noSlab", { field: fieldLabel, value: formatNumber(number, locale) })
+      );
+    } else {
+      // A list counts its entries (those matching "where"), anything else is read as the number of units
+      const matches = (item) =>
+        Object.entries(component.where || {}).every(([key, expected]) => {
+          const normalize = (value) => {
+            const normalized = normalizeValue(value, key);
+            return typeof normalized === "string" ? normalized.toLowerCase() : normalized;
+          };
+          return [].concat(expected).map(normalize).includes(normalize(getValueByPath(item, key)));
+        });
+      const units = Array.isArray(raw) ? raw.filter(matches).length : Number(raw);
+      if (!Number.isFinite(units) || units < 0) {
+        throw new Error(translate(locale, "errors.invalidValueForType", { value: String(raw), dataType: "number" }));
+      }
+      const countedUnits = component.maxUnits !== undefined ? Math.min(units, component.maxUnits) : units;
+      entry.units = units;
+      entry.countedUnits = countedUnits;
+      entry.amount = roundAmount(countedUnits * component.amount);
+      entry.description = describe(
+        translate(locale, "entitlement.perUnit", { amount: format(component.amount), units: countedUnits, field: fieldLabel })
+      );
+    }
+  }
+
+  if (component.cap !== undefined && entry.amount > component.cap) {
+    entry.amount = component.cap;
+    entry.capped = true;
+  }
+  return entry;
+}
+
+/**
+ * Calculate the amount a profile is entitled to. The amount is the sum of the components, each limited by its own
+ * "cap", and the total by the block's "cap":
+ *   - fixed: "amount"
+ *   - slab: the "amount" of the first slab whose "upTo" (inclusive) is not below the profile's "field"; the last
+ *     slab may leave "upTo" open. With "unit", the profile value is converted into it first (e.g. monthly income
+ *     against annual slabs). No matching slab contributes 0
+ *   - perUnit: "amount" for each unit of "field", e.g. per child, up to "maxUnits". A list field counts the
+ *     entries matching "where" ({ field: value or [values] }), e.g. family members that are children
+ * @param {Object} userProfile - User profile, including derived attributes
+ * @param {Object} entitlement - Entitlement block, validated with validateEntitlement
+ * @param {string} locale - Locale for descriptions (default: "en")
+ * @returns {Object} { amount, currency, period, breakdown, capped }; amount is null, with "missingFields", when
+ *   a component needs a field the profile lacks
+ * @throws {Error} When a profile value cannot be read as a number
+ * @example
+ * calculateEntitlement(
+ *     { income: 90000, familyMembers: [{ relation: "son" }, { relation: "daughter" }, { relation: "spouse" }] },
+ *     {
+ *         period: "perAnnum",
+ *         cap: 30000,
+ *         components: [
+ *             { type: "fixed", amount: 6000 },
+ *             { type: "slab", field: "income", slabs: [{ upTo: 100000, amount: 12000 }, { upTo: 250000, amount: 6000 }] },
+ *             { type: "perUnit", field: "familyMembers", where: { relation: ["son", "daughter"] }, amount: 2500, maxUnits: 2 }
+ *         ]
+ *     }
+ * );
+ * // { amount: 23000, currency: "INR", period: "perAnnum", capped: false, breakdown: [
+ * //     { type: "fixed", amount: 6000, description: "Fixed amount" },
+ * //     { type: "slab", field: "income", value: 90000, slab: { upTo: 100000, amount: 12000 }, amount: 12000, description: "Annual income up to 1,00,000" },
+ * //     { type: "perUnit", field: "familyMembers", units: 2, countedUnits: 2, amount: 5000, description: "₹2,500 for each of 2 Family members" }
+ * // ] }
+ */
+function calculateEntitlement(userProfile, entitlement, locale = "en") {
+  const currency = entitlement.currency ?? DEFAULT_CURRENCY;
+  const breakdown = entitlement.components.map((component) => calculateComponent(userProfile, component, { currency, locale }));
+  const missingFields = [...new Set(breakdown.flatMap((entry) => entry.missingFields || []))];
+
+  let amount = null;
+  let capped = false;
+  if (missingFields.length === 0) {
+    amount = roundAmount(breakdown.reduce((total, entry) => total + entry.amount, 0));
+    if (entitlement.cap !== undefined && amount > entitlement.cap) {
+      amount = entitlement.cap;
+      capped = true;
+    }
+  }
+  return {
+    amount,
+    currency,
+    ...(entitlement.period && { period: resolveUnit(entitlement.period).unit }),
+    capped,
+    breakdown,
+    ...(missingFields.length > 0 && { missingFields }),
+  };
+}
+
+/**
+ * Total the entitlements of eligible benefits. Amounts are only added up within the same currency and period,
+ * so a one-time grant is not added to a yearly stipend.
+ * @param {Array<{schemaId: string, details: Object}>} entries - Eligible benefits; those without an entitlement are skipped
+ * @returns {Array<{currency: string, period: (string|undefined), amount: number, schemaIds: Array<string>, incomplete: Array<string>}>}
+ *   One total per currency and period; "incomplete" lists the benefits whose amount could not be worked out
+ */
+function totalEntitlements(entries) {
+  return entries
+    .filter((entry) => entry.details.entitlement)
+    .reduce((totals, { schemaId, details: { entitlement } }) => {
+      let total = totals.find((entry) => entry.currency === entitlement.currency && entry.period === entitlement.period);
+      if (!total) {
+        total = { currency: entitlement.currency, period: entitlement.period, amount: 0, schemaIds: [], incomplete: [] };
+        totals.push(total);
+      }
+      if (entitlement.amount === null) {
+        total.incomplete.push(schemaId);
+      } else {
+        total.amount = roundAmount(total.amount + entitlement.amount);
+        total.schemaIds.push(schemaId);
+      }
+      return totals;
+    }, []);
+}
+
+module.exports = {
+  validateEntitlement,
+  calculateEntitlement,
+  totalEntitlements,
+};
@@ -0,0 +1,133 @@
+const { translate, hasTranslation } = require("./i18n");
+const { resolveUnit, unwrapUnitValue } = require("./units");
+
+// Intl locales used for the supported message locales
+const INTL_LOCALES = {
+  en: "en-IN",
+  hi: "hi-IN",
+};
+
+const getIntlLocale = (locale) => INTL_LOCALES[locale] || "en-IN";
+
+/**
+ * Format a number for the locale, optionally as a currency amount
+ * @param {number} value - Number to format
+ * @param {string} locale - Message locale ("en", "hi")
+ * @param {string} [currency] - ISO 4217 currency code, e.g. "INR"
+ * @returns {string}
+ * @example
+ * formatNumber(300000, "en", "INR")  // "₹3,00,000"
+ * formatNumber(1234567.5, "hi")  // "12,34,567.5"
+ */
+function formatNumber(value, locale, currency) {
+  const options = { maximumFractionDigits: 2 };
+  if (currency) {
+    try {
+      return new Intl.NumberFormat(getIntlLocale(locale), {
+        ...options,
+        style: "currency",
+        currency,
+        minimumFractionDigits: 0,
+      }).format(value);
+    } catch (error) {
+      // Unknown currency code: fall back to a plain number
+    }
+  }
+  return new Intl.NumberFormat(getIntlLocale(locale), options).format(value);
+}
+
+/**
+ * Format a date (UTC calendar date) for the locale
+ * @param {Date} date - Date to format
+ * @param {string} locale - Message locale
+ * @returns {string}
+ * @example
+ * formatDate(new Date("2024-07-01"), "hi")  // "1 जुलाई 2024"
+ */
+function formatDate(date, locale) {
+  return new Intl.DateTimeFormat(getIntlLocale(locale), {
+    day: "numeric",
+    month: "long",
+    year: "numeric",
+    timeZone: "UTC",
+  }).format(date);
+}
+
+/**
+ * Localized name of a unit, e.g. "perMonth" as "per month"; unknown units are returned as given
+ * @param {string} unit - Unit name or alias
+ * @param {string} locale - Message locale
+ * @returns {string}
+ */
+function formatUnit(unit, locale) {
+  const definition = resolveUnit(unit);
+  const key = definition ? `units.${definition.unit}` : null;
+  return key && hasTranslation(locale, key) ? translate(locale, key) : String(unit);
+}
+
+/**
+ * Format a profile or condition value for a message
+ * @param {*} value - Value to format; arrays are listed, { value, unit } profile values keep their unit
+ * @param {string} locale - Message locale
+ * @param {Object} [options]
+ * @param {string} [options.currency] - Currency code for numeric amounts, e.g. "INR"
+ * @param {string} [options.unit] - Unit the value is expressed in, e.g. "perMonth"
+ * @returns {string}
+ * @example
+ * formatValue(22500, "en", { currency: "INR", unit: "perMonth" })  // "₹22,500 per month"
+ * formatValue(["sc", "st"], "en")  // "sc, st"
+ */
+function formatValue(value, locale, options = {}) {
+  if (Array.isArray(value)) return value.map((entry) => formatValue(entry, locale, options)).join(", ");
+
+  const { value: rawValue, unit } = unwrapUnitValue(value, options.unit);
+  if (rawValue instanceof Date) return Number.isNaN(rawValue.getTime()) ? "" : formatDate(rawValue, locale);
+  if (typeof rawValue === "boolean") return translate(locale, rawValue ? "values.yes" : "values.no");
+
+  // Plain numbers are always formatted; numeric strings only when declared as an amount or measurement
+  const isAmount = Boolean(options.currency || unit);
+  const number =
+    typeof rawValue === "number" || (isAmount && typeof rawValue === "string" && rawValue.trim() !== "")
+      ? Number(rawValue)
+      : NaN;
+  if (!Number.isFinite(number)) return String(rawValue ?? "");
+
+  const formatted = formatNumber(number, locale, options.currency);
+  return unit ? `${formatted} ${formatUnit(unit, locale)}` : formatted;
+}
+
+/**
+ * Human readable label of a profile field: the criteria's own label, a translation under
+ * "fieldLabels" for the last segment of the field path, or the field name itself
+ * @param {string} field - Field name or path, e.g. "income" or "address.state"
+ * @param {string} locale - Message locale
+ * @param {string|Object} [label] - Label from the criteria, either text or { "en": "...", "hi": "..." }
+ * @returns {string}
+ * @example
+ * getFieldLabel("income", "en")  // "Annual income"
+ * getFieldLabel("landArea", "hi", { en: "Land holding", hi: "भूमि जोत" })  // "भूमि जोत"
+ */
+function getFieldLabel(field, locale, label) {
+  if (typeof label === "string" && label.trim() !== "") return label;
+  if (label && typeof label === "object") {
+    const localized = label[locale] ?? label.en;
+    if (typeof localized === "string") return localized;
+  }
+
+  const name = String(field ?? "");
+  const lastSegment = name.split(/[.[\]]/).filter(Boolean).pop();
+  // Only plain identifiers are looked up, so that field names never address other translations
+  if (lastSegment && /^[A-Za-z_][A-Za-z0-9_]*$/.test(lastSegment)) {
+    const key = `fieldLabels.${lastSegment}`;
+    if (hasTranslation(locale, key)) return translate(locale, key);
+  }
+  return name;
+}
+
+module.exports = {
+  formatNumber,
+  formatDate,
+  formatUnit,
+  formatValue,
+  getFieldLabel,
+};
@@ -0,0 +1,294 @@
+const { translate } = require("./i18n");
+const { normalizeCondition, parseDate } = require("./eligibilityUtils");
+const { evaluateLogicExpression } = require("./logicExpression");
+const { decideGroup } = require("./criteriaGroups");
+const { convertUnit, unwrapUnitValue } = require("./units");
+const { formatValue, getFieldLabel } = require("./formatters");
+
+const MS_PER_DAY = 24 * 60 * 60 * 1000;
+// Upper bound on the subsets tried in the exhaustive search before falling back to a greedy reduction
+const MAX_GAP_COMBINATIONS = 20000;
+
+const NUMERIC_BOUNDS = {
+  lte: "max",
+  lt: "max",
+  gte: "min",
+  gt: "min",
+  between: "range",
+};
+const DATE_BOUNDS = {
+  before: "max",
+  onOrBefore: "max",
+  after: "min",
+  onOrAfter: "min",
+};
+
+/**
+ * Re-decide eligibility from the criteriaResults tree with some criteria forced to pass.
+ * Only a definite pass counts; undecided criteria (passed is null) stay undecided unless forced.
+ * @param {Array<Object>} criteriaResults - Results from checkBenefitEligibility
+ * @param {Set<string>} forcedKeys - Criterion keys treated as passed
+ * @param {Object} context - { logicAst, scoring, locale }
+ * @returns {boolean} Whether the benefit would be eligible
+ */
+function decideWith(criteriaResults, forcedKeys, { logicAst, scoring, locale }) {
+  const evaluationResults = {};
+  let score = 0;
+
+  const visit = (result) => {
+    const passed = result.group
+      ? decideGroup(
+        { [result.group]: result.group === "atLeast" ? result.atLeast : [] },
+        result.children.map(visit)
+      )
+      : forcedKeys.has(result.ruleKey) || result.passed;
+    if (result.ruleKey !== undefined) evaluationResults[result.ruleKey] = passed;
+    if (passed === true && result.points !== undefined) score += result.points;
+    return passed;
+  };
+  const topLevel = criteriaResults.map((result) => ({ result, passed: visit(result) }));
+
+  // Same rules as checkBenefitEligibility: the logic decides when present, otherwise the (mandatory) entries
+  let isEligible;
+  if (logicAst) {
+    isEligible = evaluateLogicExpression(logicAst, evaluationResults, locale) === true;
+  } else {
+    isEligible = topLevel
+      .filter(({ result }) => !scoring || result.points === undefined)
+      .every(({ passed }) => passed === true);
+  }
+  return scoring ? isEligible && score >= scoring.threshold : isEligible;
+}
+
+/**
+ * Find the smallest set of failing criteria whose passing makes the benefit eligible.
+ * Subsets are tried by increasing size; very large searches fall back to removing criteria one by one.
+ * @param {Array<string>} failingKeys - Keys of failed criteria
+ * @param {Function} wouldBeEligible - Returns whether forcing the given keys to pass is enough
+ * @returns {Array<string>|null} Keys of the set, or null when no set of failing criteria is enough
+ */
+function findSmallestFlippingSet(failingKeys, wouldBeEligible) {
+  if (!wouldBeEligible(new Set(failingKeys))) return null;
+
+  let budget = MAX_GAP_COMBINATIONS;
+  for (let size = 1; size < failingKeys.length; size += 1) {
+    const indexes = Array.from({ length: size }, (_, index) => index);
+    for (;;) {
+      if (budget-- <= 0) {
+        // Greedy reduction: drop every criterion that is not needed
+        return failingKeys.reduce(
+          (set, key) => {
+            const without = set.filter((candidate) => candidate !== key);
+            return wouldBeEligible(new Set(without)) ? without : set;
+          },
+          [...failingKeys]
+        );
+      }
+      const candidate = indexes.map((index) => failingKeys[index]);
+      if (wouldBeEligible(new Set(candidate))) return candidate;
+
+      // Next combination in lexicographic order
+      let position = size - 1;
+      while (position >= 0 && indexes[position] === failingKeys.length - size + position) position -= 1;
+      if (position < 0) break;
+      indexes[position] += 1;
+      for (let next = position + 1; next < size; next += 1) indexes[next] = indexes[next - 1] + 1;
+    }
+  }
+  return [...failingKeys];
+}
+
+const toNumber = (value) => {
+  if (typeof value === "number") return Number.isFinite(value) ? value : undefined;
+  if (typeof value === "string" && value.trim() !== "") {
+    const number = Number(value);
+    return Number.isFinite(number) ? number : undefined;
+  }
+  return undefined;
+};
+
+/**
+ * Distance between a failed value and the boundary of its condition
+ * @param {Object} criteria - Criteria from the benefit schema
+ * @param {Object} reason - Failure reason reported by the rule (carries userValue)
+ * @returns {{direction: string, amount: number, unit: (string|undefined), limit: (number|undefined)}|null}
+ *   direction is "exceedsBy" / "shortBy" for inclusive numeric bounds and "daysLate" / "daysEarly" for dates.
+ *   Strict numeric bounds (lt / gt) are not passed by any fixed step, so they give "mustBeBelow" / "mustBeAbove"
+ *   with the limit; their amount is measured to the limit itself and is 0 for a value on it. Null for dates on
+ *   the limit of a strict condition
+ */
+function getBoundaryDistance(criteria, reason) {
+  const condition = normalizeCondition(criteria.condition);
+  const bounds = [].concat(criteria.conditionValues);
+
+  if (DATE_BOUNDS[condition]) {
+    const userDate = parseDate(reason.userValue);
+    const limitDate = parseDate(bounds[0]);
+    if (!userDate || !limitDate) return null;
+    const days = Math.abs(Math.round((userDate.getTime() - limitDate.getTime()) / MS_PER_DAY));
+    // A date on the limit of a strict condition (before / after) has no distance worth reporting
+    if (days === 0) return null;
+    return { direction: DATE_BOUNDS[condition] === "max" ? "daysLate" : "daysEarly", amount: days, unit: "days" };
+  }
+
+  if (!NUMERIC_BOUNDS[condition]) return null;
+  // Compare in the unit of conditionValues, as checkCriteria does
+  const { value: rawValue, unit: valueUnit } = unwrapUnitValue(reason.userValue, criteria.profileUnit);
+  let userNumber = toNumber(rawValue);
+  if (userNumber === undefined) return null;
+  if (criteria.unit && valueUnit) {
+    try {
+      userNumber = convertUnit(userNumber, valueUnit, criteria.unit);
+    } catch (error) {
+      return null;
+    }
+  }
+
+  const [min, max] =
+    NUMERIC_BOUNDS[condition] === "range"
+      ? bounds.map(toNumber)
+      : NUMERIC_BOUNDS[condition] === "min"
+        ? [toNumber(bounds[0]), undefined]
+        : [undefined, toNumber(bounds[0])];
+  const round = (amount) => Number(amount.toFixed(6));
+
+  if (condition === "lt" && userNumber >= max) {
+    return { direction: "mustBeBelow", amount: round(userNumber - max), limit: max, unit: criteria.unit };
+  }
+  if (condition === "gt" && userNumber <= min) {
+    return { direction: "mustBeAbove", amount: round(min - userNumber), limit: min, unit: criteria.unit };
+  }
+  if (max !== undefined && userNumber > max) {
+    return { direction: "exceedsBy", amount: round(userNumber - max), unit: criteria.unit };
+  }
+  if (min !== undefined && userNumber < min) {
+    return { direction: "shortBy", amount: round(min - userNumber), unit: criteria.unit };
+  }
+  return null;
+}
+
+/**
+ * Whether a criterion failed because it could not be evaluated rather than on the profile's values
+ * @param {Object} result - criteriaResults entry of the criterion
+ * @returns {boolean}
+ */
+function isEvaluationError(result) {
+  return (result.reasons || []).some((reason) => reason?.code === "evaluationError");
+}
+
+/**
+ * Describe what a citizen has to change for one failed criterion
+ * @param {Object} result - criteriaResults entry of the criterion
+ * @param {Object} condition - Eligibility entry of the criterion
+ * @param {string} locale - Locale for messages
+ * @returns {Object} Gap entry
+ */
+function describeGap(result, condition, locale) {
+  const criteria = condition?.criteria || {};
+  if (result.passed === null) {
+    const field = result.missingFields?.[0] ?? criteria.name ?? result.ruleKey;
+    return {
+      ruleKey: result.ruleKey,
+      description: result.description,
+      field,
+      kind: "missingInformation",
+      message: translate(locale, "gapAnalysis.provideField", { field: getFieldLabel(field, locale, criteria.label) }),
+    };
+  }
+  const reason = result.reasons.find((entry) => typeof entry === "object" && entry !== null) || {};
+  const field = reason.field ?? criteria.name ?? criteria.documentType ?? result.ruleKey;
+
+  // Documents can be supplied or verified and missing profile values filled in; evaluation errors
+  // (e.g. a broken condition or an unknown rule type) are nothing the citizen can act on
+  let kind = "value";
+  if (isEvaluationError(result)) kind = "error";
+  else if (reason.type === "userDocument" || condition?.type === "userDocument") kind = "document";
+  else if (reason.code === "missingValue") kind = "missingInformation";
+
+  const gap = kind === "value" ? getBoundaryDistance(criteria, reason) : null;
+  let message;
+  // Rules can label the value they compared, e.g. a household total
+  const label = getFieldLabel(field, locale, criteria.label ?? reason.label);
+  if (gap) {
+    const format = (amount) =>
+      gap.unit === "days"
+        ? formatValue(amount, locale)
+        : formatValue(amount, locale, { currency: criteria.currency, unit: gap.unit });
+    message = translate(locale, `gapAnalysis.${gap.direction}`, {
+      field: label,
+      amount: format(gap.amount),
+      ...(gap.limit !== undefined && { limit: format(gap.limit) }),
+    });
+  } else {
+    message = translate(locale, `gapAnalysis.${kind}`, { field: label, reason: reason.reason ?? "" });
+  }
+
+  return {
+    ruleKey: result.ruleKey,
+    description: result.description,
+    field,
+    kind,
+    ...(reason.condition !== undefined && { condition: reason.condition }),
+    ...(Object.prototype.hasOwnProperty.call(reason, "userValue") && { userValue: reason.userValue }),
+    ...(reason.requiredValue !== undefined && { requiredValue: reason.requiredValue }),
+    ...(gap && { gap }),
+    message,
+  };
+}
+
+/**
+ * Work out what would make an ineligible result eligible: the smallest set of failed criteria whose
+ * passing flips isEligible (taking eligibilityEvaluationLogic, groups and scoring into account), and
+ * for numeric and date conditions how far the value is from the boundary. Criteria that could not be
+ * evaluated are never part of that set; when no set works without them, the result is not achievable and
+ * lists them with kind "error"
+ * @param {Array<Object>} criteriaResults - Results from checkBenefitEligibility
+ * @param {Object} conditionsByKey - Eligibility entries keyed by criterion key
+ * @param {Object} context - { logicAst, scoring, locale }
+ * @returns {{achievable: boolean, criteria: Array<Object>}}
+ * @example
+ * analyzeGaps(criteriaResults, conditionsByKey, { locale: "en" });
+ * // {
+ * //     "achievable": true,
+ * //     "criteria": [{
+ * //         "ruleKey": "212", "field": "income", "kind": "value", "condition": "lte",
+ * //         "userValue": 282000, "requiredValue": 270000,
+ * //         "gap": { "direction": "exceedsBy", "amount": 12000 },
+ * //         "message": "Annual income exceeds the limit by 12,000"
+ * //     }]
+ * // }
+ */
+function analyzeGaps(criteriaResults, conditionsByKey, context) {
+  const failedLeaves = [];
+  const erroredLeaves = [];
+  const collect = (result) => {
+    if (result.group) result.children.forEach(collect);
+    else if (result.passed !== true && isEvaluationError(result)) erroredLeaves.push(result);
+    // Undecided criteria are candidates too: providing the missing information may be what is needed
+    else if (result.passed !== true) failedLeaves.push(result);
+  };
+  criteriaResults.forEach(collect);
+
+  const keys = findSmallestFlippingSet(
+    failedLeaves.map((result) => result.ruleKey),
+    (forcedKeys) => decideWith(criteriaResults, forcedKeys, context)
+  );
+  if (!keys) {
+    return {
+      achievable: false,
+      criteria: erroredLeaves.map((result) => describeGap(result, conditionsByKey[result.ruleKey], context.locale)),
+    };
+  }
+
+  return {
+    achievable: true,
+    criteria: failedLeaves
+      .filter((result) => keys.includes(result.ruleKey))
+      .map((result) => describeGap(result, conditionsByKey[result.ruleKey], context.locale)),
+  };
+}
+
+module.exports = {
+  analyzeGaps,
+  getBoundaryDistance,
+};
@@ -0,0 +1,207 @@
+const fs = require("fs");
+const path = require("path");
+const logger = require("./logger");
+const { normalizeText, normalizeValue } = require("./valueNormalizer");
+const defaultDataset = require("../config/geography.json");
+
+const LEVELS = ["state", "district", "block"];
+const PINCODE_PATTERN = /^[1-9][0-9]{5}$/;
+
+// Place names are compared ignoring case, spacing and separators, e.g. "Bengaluru-Urban"
+const toNameKey = (value) => normalizeText(value).toLowerCase().replace(/[\s\-_.]+/g, " ").trim();
+const toPincode = (value) => String(value ?? "").replace(/\s+/g, "");
+
+/**
+ * Build the lookups of a dataset: places by id and by name per level, and pincodes and pincode prefixes
+ * @param {Object} dataset - { version, states: { key: { name, aliases, pincodes, pincodePrefixes, districts: { ... blocks } } } }
+ * @returns {Object} Index of the dataset
+ */
+function buildIndex(dataset) {
+  const index = {
+    version: dataset.version,
+    places: new Map(),
+    names: { state: new Map(), district: new Map(), block: new Map() },
+    pincodes: new Map(),
+    prefixes: new Map(),
+  };
+
+  const addPlace = (key, entry, level, parent) => {
+    const place = {
+      id: parent ? `${parent.id}/${key}` : key,
+      level,
+      name: entry.name || key,
+      parent: parent || null,
+    };
+    index.places.set(place.id, place);
+    [key, entry.name, ...(entry.aliases || [])]
+      .filter(Boolean)
+      .map(toNameKey)
+      .forEach((name) => {
+        const places = index.names[level].get(name) || [];
+        if (!places.includes(place)) index.names[level].set(name, [...places, place]);
+      });
+    // The most specific place listing a pincode or prefix wins, so children are added after their parent
+    (entry.pincodes || []).forEach((pincode) => index.pincodes.set(toPincode(pincode), place));
+    (entry.pincodePrefixes || []).forEach((prefix) => index.prefixes.set(toPincode(prefix), place));
+
+    const childLevel = LEVELS[LEVELS.indexOf(level) + 1];
+    const children = childLevel ? entry[`${childLevel}s`] || {} : {};
+    Object.entries(children).forEach(([childKey, child]) => addPlace(toNameKey(childKey), child || {}, childLevel, place));
+    return place;
+  };
+
+  Object.entries(dataset.states || {}).forEach(([key, entry]) => addPlace(toNameKey(normalizeValue(key, "state")), entry || {}, "state"));
+  return index;
+}
+
+/**
+ * Load the bundled hierarchy, or the dataset named by GEOGRAPHY_DATASET_FILE. A deployment dataset replaces the
+ * bundled one rather than being merged into it, so that results always name a single dataset version.
+ * @returns {Object} Index of the dataset
+ */
+function loadGeography() {
+  const datasetFile = process.env.GEOGRAPHY_DATASET_FILE;
+  if (datasetFile) {
+    try {
+      return buildIndex(JSON.parse(fs.readFileSync(path.resolve(datasetFile), "utf8")));
+    } catch (error) {
+      logger.error(`Error loading the geography dataset from ${datasetFile}:`, error);
+    }
+  }
+  return buildIndex(defaultDataset);
+}
+
+const geography = loadGeography();
+
+/**
+ * Version of the geography dataset in use
+ * @returns {string}
+ */
+function getGeographyVersion() {
+  return geography.version;
+}
+
+/**
+ * Whether a place is the given area or lies within it
+ * @param {Object} place - Place from the dataset
+ * @param {Object} area - Place from the dataset
+ * @returns {boolean}
+ */
+function isWithin(place, area) {
+  return place.id === area.id || place.id.startsWith(`${area.id}/`);
+}
+
+/**
+ * Find the place a pincode belongs to: a place listing the pincode, otherwise the longest matching prefix
+ * @param {string|number} pincode - Six digit pincode
+ * @returns {Object|null} Place, or null when the pincode is not covered by the dataset
+ */
+function findPincode(pincode) {
+  const value = toPincode(pincode);
+  if (!PINCODE_PATTERN.test(value)) return null;
+  if (geography.pincodes.has(value)) return geography.pincodes.get(value);
+  for (let length = value.length - 1; length > 0; length -= 1) {
+    const place = geography.prefixes.get(value.slice(0, length));
+    if (place) return place;
+  }
+  return null;
+}
+
+/**
+ * Find the places matching an area given by name
+ * @param {string|Object} area - Name of a state, district or block ("Maharashtra", "Pune"), or
+ *   { state, district, block } with the levels needed to tell places with the same name apart
+ * @returns {Array<Object>} Matching places: none when unknown, several when the name is ambiguous
+ * @example
+ * findPlaces("MH")  // [{ id: "maharashtra", level: "state", name: "Maharashtra", ... }]
+ * findPlaces({ state: "Maharashtra", district: "Poona" })  // [{ id: "maharashtra/pune", level: "district", name: "Pune", ... }]
+ */
+function findPlaces(area) {
+  if (typeof area === "string") {
+    const state = findPlaces({ state: area });
+    if (state.length > 0) return state;
+    const district = geography.names.district.get(toNameKey(area)) || [];
+    return district.length > 0 ? district : geography.names.block.get(toNameKey(area)) || [];
+  }
+  if (!area || typeof area !== "object") return [];
+
+  // The most specific level given is looked up, within the less specific levels given with it
+  const level = [...LEVELS].reverse().find((entry) => area[entry] !== undefined && area[entry] !== null && area[entry] !== "");
+  if (!level) return [];
+  const key = level === "state" ? toNameKey(normalizeValue(String(area.state), "state")) : toNameKey(area[level]);
+  const candidates = geography.names[level].get(key) || [];
+  return candidates.filter((place) =>
+    LEVELS.slice(0, LEVELS.indexOf(level)).every((parentLevel) => {
+      if (area[parentLevel] === undefined || area[parentLevel] === null || area[parentLevel] === "") return true;
+      return findPlaces({ [parentLevel]: area[parentLevel], ...(parentLevel === "district" && { state: area.state }) })
+        .some((parent) => isWithin(place, parent));
+    })
+  );
+}
+
+/**
+ * Resolve the location of a profile to the most specific place its fields identify. Fields that name a place
+ * are combined with those above them, so a district is looked up within the given state, and a pincode can
+ * place the applicant in a district or block the profile does not state.
+ * @param {Object} values - { state, district, block, pincode } as given in the profile
+ * @returns {{place: (Object|null), resolvedFrom: string, unresolved: Array<string>, conflicting: Array<string>}}
+ *   place is null when no field could be resolved; resolvedFrom is the field that gave the place; unresolved
+ *   lists given fields not found in the dataset; conflicting lists fields resolving to a place outside the others
+ * @example
+ * resolveLocation({ pincode: "413102" })
+ * // { place: { id: "maharashtra/pune/baramati", level: "block", name: "Baramati", ... },
+ * //   resolvedFrom: "pincode", unresolved: [], conflicting: [] }
+ */
+function resolveLocation(values = {}) {
+  const given = (field) => values[field] !== undefined && values[field] !== null && String(values[field]).trim() !== "";
+  const unresolved = [];
+  const resolved = [];
+
+  LEVELS.filter(given).forEach((level) => {
+    const area = LEVELS.slice(0, LEVELS.indexOf(level) + 1).reduce(
+      (entry, field) => (given(field) ? { ...entry, [field]: values[field] } : entry),
+      {}
+    );
+    const places = findPlaces(area);
+    // An ambiguous name without the levels above it cannot place the applicant
+    if (places.length === 1) resolved.push({ field: level, place: places[0] });
+    else unresolved.push(level);
+  });
+  if (given("pincode")) {
+    const place = findPincode(values.pincode);
+    if (place) resolved.push({ field: "pincode", place });
+    else unresolved.push("pincode");
+  }
+
+  if (resolved.length === 0) return { place: null, resolvedFrom: null, unresolved, conflicting: [] };
+
+  // The deepest place wins; every other resolved field must contain it
+  const deepest = resolved.reduce((best, entry) =>
+    LEVELS.indexOf(entry.place.level) > LEVELS.indexOf(best.place.level) ? entry : best
+  );
+  const conflicting = resolved
+    .filter((entry) => !isWithin(deepest.place, entry.place))
+    .map((entry) => entry.field);
+  return { place: deepest.place, resolvedFrom: deepest.field, unresolved, conflicting };
+}
+
+/**
+ * Name a place with the places above it, e.g. "Baramati, Pune, Maharashtra"
+ * @param {Object} place - Place from the dataset
+ * @returns {string}
+ */
+function formatPlace(place) {
+  const names = [];
+  for (let current = place; current; current = current.parent) names.push(current.name);
+  return names.join(", ");
+}
+
+module.exports = {
+  PINCODE_PATTERN,
+  getGeographyVersion,
+  findPlaces,
+  findPincode,
+  resolveLocation,
+  isWithin,
+  formatPlace,
+};
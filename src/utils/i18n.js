@@ -38,6 +38,23 @@ function translate(locale, key, variables = {}) {
   return translated;
 }
 
+/**
+ * Check whether a translation key exists for a locale
+ * @param {string} locale - Locale code (en, hi)
+ * @param {string} key - Translation key (e.g., "conditionFailures.notIn")
+ * @returns {boolean} True if the key is a message in the locale catalog
+ */
+function hasTranslation(locale, key) {
+  const catalog = i18n.getCatalog(locale || "en") || {};
+  const value = key
+    .split(".")
+    .reduce(
+      (node, part) =>
+        node && typeof node === "object" && Object.prototype.hasOwnProperty.call(node, part) ? node[part] : undefined,
+      catalog
+    );
+  return typeof value === "string";
+}
 
 /**
  * Get translation helper that uses current locale
@@ -52,6 +69,7 @@ function getTranslator(locale) {
 
 module.exports = {
   translate,
+  hasTranslation,
   getTranslator,
   i18n,
 };
@@ -0,0 +1,246 @@
+const { translate } = require("./i18n");
+
+// Guards against pathological schema expressions
+const MAX_EXPRESSION_LENGTH = 2000;
+const MAX_NESTING_DEPTH = 64;
+
+// Criterion references: IDs such as "B5", "212" or "income-limit"
+const REFERENCE_PATTERN = /^[A-Za-z0-9_][A-Za-z0-9_.-]*/;
+
+const WORD_OPERATORS = { AND: "and", OR: "or", NOT: "not" };
+const SYMBOL_OPERATORS = [
+  { symbol: "&&", operator: "and" },
+  { symbol: "||", operator: "or" },
+  { symbol: "!", operator: "not" },
+];
+
+/**
+ * Build a syntax error carrying the 1-based position of the offending character
+ * @param {string} locale - Locale for the message
+ * @param {number} index - 0-based index in the source
+ * @param {string} detailKey - Key under "expressionErrors"
+ * @param {Object} [variables] - Interpolation variables for the detail
+ * @returns {Error}
+ */
+function syntaxError(locale, index, detailKey, variables = {}) {
+  const error = new Error(
+    translate(locale, "errors.expressionSyntaxError", {
+      position: index + 1,
+      detail: translate(locale, `expressionErrors.${detailKey}`, variables),
+    })
+  );
+  error.position = index + 1;
+  return error;
+}
+
+/**
+ * Split eligibility logic into tokens
+ * @param {string} source - Logic such as "(B5 && B2) || NOT B7"
+ * @param {string} locale - Locale for error messages
+ * @returns {Array<Object>} Tokens with type, value and index
+ */
+function tokenize(source, locale) {
+  const tokens = [];
+  let index = 0;
+  while (index < source.length) {
+    const char = source[index];
+    if (/\s/.test(char)) {
+      index += 1;
+      continue;
+    }
+
+    const symbol = SYMBOL_OPERATORS.find(({ symbol }) => source.startsWith(symbol, index));
+    if (symbol) {
+      tokens.push({ type: "operator", value: symbol.operator, text: symbol.symbol, index });
+      index += symbol.symbol.length;
+      continue;
+    }
+
+    if (char === "(" || char === ")") {
+      tokens.push({ type: "paren", value: char, text: char, index });
+      index += 1;
+      continue;
+    }
+
+    const reference = REFERENCE_PATTERN.exec(source.slice(index));
+    if (reference) {
+      const text = reference[0];
+      const word = WORD_OPERATORS[text.toUpperCase()];
+      tokens.push(
+        word
+          ? { type: "operator", value: word, text, index }
+          : { type: "reference", value: text, text, index }
+      );
+      index += text.length;
+      continue;
+    }
+
+    throw syntaxError(locale, index, "unexpectedCharacter", { character: char });
+  }
+  return tokens;
+}
+
+/**
+ * Parse eligibility logic into an AST. Only criterion references, &&, ||, !, AND, OR, NOT
+ * and parentheses are accepted; anything else is rejected before evaluation.
+ * Grammar: or  := and (("||" | "OR") and)*
+ *          and := not (("&&" | "AND") not)*
+ *          not := ("!" | "NOT") not | reference | "(" or ")"
+ * @param {string} source - Logic such as "(B5 && B2) || NOT B7"
+ * @param {string} locale - Locale for error messages (default: "en")
+ * @returns {Object} AST node
+ * @throws {Error} Syntax error with a "position" property (1-based)
+ * @example
+ * parseLogicExpression("B1 && (B2 OR !B3)")
+ * parseLogicExpression("B1 && ")  // throws "Invalid expression at position 7: unexpected end of expression"
+ */
+function parseLogicExpression(source, locale = "en") {
+  if (typeof source !== "string" || source.trim() === "")
+    throw syntaxError(locale, 0, "emptyExpression");
+  if (source.length > MAX_EXPRESSION_LENGTH)
+    throw syntaxError(locale, MAX_EXPRESSION_LENGTH, "expressionTooLong", { maxLength: MAX_EXPRESSION_LENGTH });
+
+  const tokens = tokenize(source, locale);
+  let position = 0;
+  let depth = 0;
+
+  const peek = () => tokens[position];
+  const isOperator = (operator) => peek()?.type === "operator" && peek().value === operator;
+
+  const parseOr = () => {
+    depth += 1;
+    if (depth > MAX_NESTING_DEPTH)
+      throw syntaxError(locale, peek()?.index ?? source.length, "tooDeeplyNested");
+
+    let node = parseAnd();
+    while (isOperator("or")) {
+      position += 1;
+      node = { type: "or", left: node, right: parseAnd() };
+    }
+    depth -= 1;
+    return node;
+  };
+
+  const parseAnd = () => {
+    let node = parseNot();
+    while (isOperator("and")) {
+      position += 1;
+      node = { type: "and", left: node, right: parseNot() };
+    }
+    return node;
+  };
+
+  const parseNot = () => {
+    if (isOperator("not")) {
+      position += 1;
+      // A chain of negations nests as deeply as parentheses do
+      depth += 1;
+      if (depth > MAX_NESTING_DEPTH)
+        throw syntaxError(locale, peek()?.index ?? source.length, "tooDeeplyNested");
+      const node = { type: "not", operand: parseNot() };
+      depth -= 1;
+      return node;
+    }
+
+    const token = peek();
+    if (!token) throw syntaxError(locale, source.length, "unexpectedEnd");
+
+    if (token.type === "reference") {
+      position += 1;
+      return { type: "reference", id: token.value, index: token.index };
+    }
+
+    if (token.type === "paren" && token.value === "(") {
+      position += 1;
+      const node = parseOr();
+      const closing = peek();
+      if (!closing) throw syntaxError(locale, source.length, "unexpectedEnd");
+      if (closing.type !== "paren" || closing.value !== ")")
+        throw syntaxError(locale, closing.index, "unexpectedToken", { token: closing.text });
+      position += 1;
+      return node;
+    }
+
+    throw syntaxError(locale, token.index, "unexpectedToken", { token: token.text });
+  };
+
+  const ast = parseOr();
+  if (position < tokens.length)
+    throw syntaxError(locale, tokens[position].index, "unexpectedToken", { token: tokens[position].text });
+  return ast;
+}
+
+/**
+ * Whether a criterion id reads as a logic operator (AND, OR, NOT in any case) and so cannot be referenced
+ * @param {string} id - Criterion id
+ * @returns {boolean}
+ */
+function isLogicOperatorWord(id) {
+  return typeof id === "string" && Object.prototype.hasOwnProperty.call(WORD_OPERATORS, id.toUpperCase());
+}
+
+/**
+ * Collect the criterion references used by parsed logic, in order of appearance
+ * @param {Object} ast - AST from parseLogicExpression
+ * @returns {Array<{id: string, index: number}>} References with their 0-based position
+ */
+function getLogicReferences(ast) {
+  switch (ast.type) {
+    case "reference":
+      return [{ id: ast.id, index: ast.index }];
+    case "not":
+      return getLogicReferences(ast.operand);
+    default:
+      return [...getLogicReferences(ast.left), ...getLogicReferences(ast.right)];
+  }
+}
+
+/**
+ * Evaluate parsed logic against criterion results, with three-valued (Kleene) semantics: a criterion that
+ * could not be decided (null) makes the result null unless the other operand settles it
+ * (false && null is false, true || null is true)
+ * @param {Object} ast - AST from parseLogicExpression
+ * @param {Object} results - Criterion results keyed by reference, e.g. { B5: true, B2: false, B7: null }
+ * @param {string} locale - Locale for error messages (default: "en")
+ * @returns {boolean|null} Result of the logic; null when it cannot be decided
+ * @throws {Error} When a reference has no result
+ */
+function evaluateLogicExpression(ast, results, locale = "en") {
+  const evaluate = (node) => {
+    switch (node.type) {
+      case "reference": {
+        if (!Object.prototype.hasOwnProperty.call(results, node.id))
+          throw new Error(translate(locale, "errors.unknownCriterionReference", { id: node.id }));
+        const value = results[node.id];
+        return value === true || value === false ? value : null;
+      }
+      case "not": {
+        const operand = evaluate(node.operand);
+        return operand === null ? null : !operand;
+      }
+      // Both sides are always evaluated so that an unknown reference is never skipped
+      case "and": {
+        const left = evaluate(node.left);
+        const right = evaluate(node.right);
+        if (left === false || right === false) return false;
+        return left === null || right === null ? null : true;
+      }
+      case "or": {
+        const left = evaluate(node.left);
+        const right = evaluate(node.right);
+        if (left === true || right === true) return true;
+        return left === null || right === null ? null : false;
+      }
+      default:
+        return false;
+    }
+  };
+  return evaluate(ast);
+}
+
+module.exports = {
+  parseLogicExpression,
+  evaluateLogicExpression,
+  getLogicReferences,
+  isLogicOperatorWord,
+};
@@ -0,0 +1,101 @@
+// Titles and honorifics that documents add or leave out, e.g. "Smt. Sunita Devi" on a ration card
+const NAME_TITLES = ["mr", "mrs", "ms", "miss", "dr", "shri", "shree", "sri", "smt", "shrimati", "kumari", "kum", "km", "late"];
+
+/**
+ * Normalize a person's name for comparison: accents and punctuation removed, lowercase, titles dropped
+ * @param {string} name - Name as written in the profile or on a document
+ * @returns {Array<string>} Name tokens
+ * @example
+ * normalizeName("Smt. SUNITA  Devi")  // ["sunita", "devi"]
+ * normalizeName("R.K. Sharma")  // ["r", "k", "sharma"]
+ */
+function normalizeName(name) {
+  return String(name ?? "")
+    .normalize("NFKD")
+    .replace(/[\u0300-\u036f]/g, "")
+    .toLowerCase()
+    .replace(/[^\p{L}\p{M}\p{N}]+/gu, " ")
+    .split(" ")
+    .filter((token) => token !== "" && !NAME_TITLES.includes(token));
+}
+
+/**
+ * Similarity of two strings from their Levenshtein distance, between 0 and 1
+ * @param {string} left
+ * @param {string} right
+ * @returns {number}
+ */
+function stringSimilarity(left, right) {
+  if (left === right) return 1;
+  const longest = Math.max(left.length, right.length);
+  if (longest === 0) return 1;
+
+  let previous = Array.from({ length: right.length + 1 }, (_, index) => index);
+  for (let i = 1; i <= left.length; i += 1) {
+    const current = [i];
+    for (let j = 1; j <= right.length; j += 1) {
+      const cost = left[i - 1] === right[j - 1] ? 0 : 1;
+      current[j] = Math.min(previous[j] + 1, current[j - 1] + 1, previous[j - 1] + cost);
+    }
+    previous = current;
+  }
+  return 1 - previous[right.length] / longest;
+}
+
+// An initial matches any token starting with the same letter
+const tokenSimilarity = (left, right) => {
+  if (left.length === 1 || right.length === 1) return left[0] === right[0] ? 1 : 0;
+  return stringSimilarity(left, right);
+};
+
+/**
+ * Similarity of two names between 0 and 1. Token order, titles, punctuation and initials
+ * ("R. Kumar" for "Ramesh Kumar") do not lower the score; spelling differences do.
+ * Every token of the shorter name is matched to its best token in the longer name;
+ * the score is the better of that and the similarity of the whole names.
+ * @param {string} left - First name
+ * @param {string} right - Second name
+ * @returns {number} Similarity, 1 for names that match exactly after normalization
+ * @example
+ * nameSimilarity("Sunita Devi", "Smt. Sunita Devi")  // 1
+ * nameSimilarity("Devi Sunita", "sunita devi")  // 1
+ * nameSimilarity("Ramesh Kumar", "R. Kumar")  // 1
+ * nameSimilarity("Mohammad Rafiq", "Mohd Rafique")  // 0.61
+ * nameSimilarity("Sunita Devi", "Anil Kumar")  // 0.18
+ */
+function nameSimilarity(left, right) {
+  const leftTokens = normalizeName(left);
+  const rightTokens = normalizeName(right);
+  if (leftTokens.length === 0 || rightTokens.length === 0) {
+    return leftTokens.length === rightTokens.length ? 1 : 0;
+  }
+
+  const wholeNames = stringSimilarity(leftTokens.join(" "), rightTokens.join(" "));
+  const [shorter, longer] =
+    leftTokens.length <= rightTokens.length ? [leftTokens, rightTokens] : [rightTokens, leftTokens];
+
+  // Greedy best match per token; each token of the longer name is used once
+  const available = [...longer];
+  const matched = shorter.reduce((total, token) => {
+    let bestIndex = -1;
+    let best = 0;
+    available.forEach((candidate, index) => {
+      const similarity = tokenSimilarity(token, candidate);
+      if (similarity > best) {
+        best = similarity;
+        bestIndex = index;
+      }
+    });
+    if (bestIndex >= 0) available.splice(bestIndex, 1);
+    return total + best;
+  }, 0);
+  // Extra tokens in the longer name (a middle name, a surname left out) cost a little
+  const tokens = (matched / shorter.length) * (1 - 0.1 * Math.min(longer.length - shorter.length, 2));
+
+  return Number(Math.max(wholeNames, tokens).toFixed(2));
+}
+
+module.exports = {
+  normalizeName,
+  nameSimilarity,
+};
@@ -0,0 +1,150 @@
+const { translate } = require("./i18n");
+const { getValueByPath, parseDate } = require("./eligibilityUtils");
+
+const TIE_BREAKER_ORDERS = ["asc", "desc"];
+
+/**
+ * Points awarded by an eligibility entry when it passes ("weight" is accepted as an alias)
+ * @param {Object} condition - Eligibility entry (criterion or group)
+ * @returns {*} Declared points, or undefined when the entry does not score
+ */
+function getCriterionPoints(condition) {
+  return condition?.points ?? condition?.weight;
+}
+
+/**
+ * Validate a benefit's scoring block and the points declared on its entries
+ * @param {Object} scoring - Scoring block, { threshold, tieBreakers }
+ * @param {string} locale - Locale for error messages (default: "en")
+ * @returns {Array<string>} Localized errors
+ */
+function validateScoring(scoring, locale = "en") {
+  const errors = [];
+  if (typeof scoring !== "object" || scoring === null || !Number.isFinite(scoring.threshold)) {
+    errors.push(translate(locale, "errors.invalidScoringThreshold", { value: String(scoring?.threshold) }));
+  }
+  const tieBreakers = scoring?.tieBreakers ?? [];
+  if (!Array.isArray(tieBreakers)) {
+    errors.push(translate(locale, "errors.invalidTieBreaker", { value: JSON.stringify(tieBreakers) }));
+  } else {
+    tieBreakers
+      .filter(
+        (tieBreaker) =>
+          typeof tieBreaker?.field !== "string" ||
+          (tieBreaker.order !== undefined && !TIE_BREAKER_ORDERS.includes(tieBreaker.order))
+      )
+      .forEach((tieBreaker) => {
+        errors.push(translate(locale, "errors.invalidTieBreaker", { value: JSON.stringify(tieBreaker) }));
+      });
+  }
+  return errors;
+}
+
+/**
+ * Total the points of passed entries in a criteriaResults tree. Entries that could not be decided
+ * (passed is null) award nothing, but can leave the threshold undecided.
+ * @param {Array<Object>} criteriaResults - Results from checkBenefitEligibility, entries with points carry "points"
+ * @param {Object} scoring - Scoring block, { threshold }
+ * @returns {{score: number, threshold: number, thresholdMet: (boolean|null), contributions: Array<Object>}}
+ * @example
+ * calculateScore(
+ *     [{ ruleKey: "B1", passed: true, points: 10 }, { ruleKey: "B2", passed: false, points: 5 }],
+ *     { threshold: 15 }
+ * );
+ * // { score: 10, threshold: 15, thresholdMet: false,
+ * //   contributions: [{ ruleKey: "B1", points: 10, passed: true, awarded: 10 }, { ruleKey: "B2", points: 5, passed: false, awarded: 0 }] }
+ */
+function calculateScore(criteriaResults, scoring) {
+  const contributions = [];
+  const visit = (result) => {
+    if (result.points !== undefined) {
+      contributions.push({
+        ruleKey: result.ruleKey,
+        description: result.description,
+        points: result.points,
+        passed: result.passed,
+        awarded: result.passed === true ? result.points : 0,
+      });
+    }
+    (result.children || []).forEach(visit);
+  };
+  criteriaResults.forEach(visit);
+
+  // Round away floating point noise from fractional points
+  const round = (value) => Number(value.toFixed(6));
+  const score = round(contributions.reduce((total, { awarded }) => total + awarded, 0));
+  // Lowest and highest score the undecided entries could still lead to
+  const undecided = contributions.filter(({ passed }) => passed !== true && passed !== false);
+  const lowest = round(score + undecided.reduce((total, { points }) => total + Math.min(points, 0), 0));
+  const highest = round(score + undecided.reduce((total, { points }) => total + Math.max(points, 0), 0));
+
+  let thresholdMet = null;
+  if (lowest >= scoring.threshold) thresholdMet = true;
+  else if (highest < scoring.threshold) thresholdMet = false;
+
+  return {
+    score,
+    threshold: scoring.threshold,
+    thresholdMet,
+    contributions,
+  };
+}
+
+// Comparable form of a tie-breaker value: numbers and dates compare numerically, anything else as text
+const toComparable = (value) => {
+  if (value === undefined || value === null || value === "") return undefined;
+  if (typeof value === "number") return value;
+  if (typeof value === "string" && value.trim() !== "" && !Number.isNaN(Number(value))) return Number(value);
+  const date = parseDate(value);
+  return date ? date.getTime() : String(value).toLowerCase();
+};
+
+/**
+ * Compare two profiles field by field, as scoring tie-breakers and merit orderings do. Numbers and dates compare
+ * numerically, anything else as text; a profile missing a value is placed after one that has it.
+ * @param {Object} left - User profile
+ * @param {Object} right - User profile
+ * @param {Array<Object>} fields - [{ field, order }], order "asc" (default) or "desc"
+ * @returns {number} Negative when left comes first, positive when right does, 0 when every field is equal
+ */
+function compareByFields(left, right, fields = []) {
+  for (const { field, order = "asc" } of fields) {
+    const leftValue = toComparable(getValueByPath(left, field));
+    const rightValue = toComparable(getValueByPath(right, field));
+    if (leftValue === rightValue) continue;
+    if (leftValue === undefined) return 1;
+    if (rightValue === undefined) return -1;
+    const difference =
+      typeof leftValue === "number" && typeof rightValue === "number"
+        ? leftValue - rightValue
+        : String(leftValue).localeCompare(String(rightValue));
+    if (difference !== 0) return order === "desc" ? -difference : difference;
+  }
+  return 0;
+}
+
+/**
+ * Rank scored applicants: highest score first, then by the scoring block's tie-breakers.
+ * Applicants missing a tie-breaker value are placed after those that have one; remaining ties keep input order.
+ * @param {Array<Object>} entries - Items with "score" and "userProfile"
+ * @param {Object} scoring - Scoring block, { tieBreakers: [{ field, order }] }
+ * @returns {Array<Object>} New array of the entries with a 1-based "rank"
+ * @example
+ * rankByScore(entries, { threshold: 15, tieBreakers: [{ field: "income", order: "asc" }] })
+ */
+function rankByScore(entries, scoring = {}) {
+  const compare = (a, b) => {
+    if (a.score !== b.score) return b.score - a.score;
+    return compareByFields(a.userProfile, b.userProfile, scoring.tieBreakers ?? []);
+  };
+
+  return [...entries].sort(compare).map((entry, index) => ({ ...entry, rank: index + 1 }));
+}
+
+module.exports = {
+  getCriterionPoints,
+  validateScoring,
+  calculateScore,
+  compareByFields,
+  rankByScore,
+};
@@ -0,0 +1,319 @@
+const { translate } = require("./i18n");
+const { getValueByPath } = require("./eligibilityUtils");
+const { normalizeValue } = require("./valueNormalizer");
+const { compareByFields } = require("./scoring");
+const { canonicalize } = require("./canonicalJson");
+
+// Vertical category every applicant competes in, whatever their own category
+const OPEN_CATEGORY = "open";
+const DEFAULT_CATEGORY_FIELD = "caste";
+const MERIT_ORDERS = ["asc", "desc"];
+
+const isWholeNumber = (value) => Number.isInteger(value) && value >= 0;
+const isPercent = (value) => Number.isFinite(value) && value >= 0 && value <= 100;
+// Categories are compared as the caste dictionary normalizes them, so "SC" and "Scheduled Caste" are one category
+const toCategory = (value) => {
+  if (value === undefined || value === null || value === "") return null;
+  const category = String(normalizeValue(String(value), "caste")).toLowerCase();
+  return category === "general" ? OPEN_CATEGORY : category;
+};
+
+/**
+ * Validate a benefit's allocation block
+ * @param {Object} allocation - { totalSeats, categoryField, vertical, horizontal, merit }
+ * @param {string} locale - Locale for error messages (default: "en")
+ * @returns {Array<string>} Localized errors
+ */
+function validateAllocation(allocation, locale = "en") {
+  if (typeof allocation !== "object" || allocation === null || Array.isArray(allocation)) {
+    return [translate(locale, "errors.allocationNotDeclared")];
+  }
+  const errors = [];
+  const { totalSeats, categoryField, vertical = [], horizontal = [], merit = [] } = allocation;
+
+  if (!Number.isInteger(totalSeats) || totalSeats < 1) {
+    errors.push(translate(locale, "errors.invalidAllocationSeats", { value: String(totalSeats) }));
+  }
+  if (categoryField !== undefined && (typeof categoryField !== "string" || categoryField === "")) {
+    errors.push(translate(locale, "errors.invalidAllocationField", { value: JSON.stringify(categoryField) }));
+  }
+
+  const categories = new Set();
+  if (!Array.isArray(vertical)) {
+    errors.push(translate(locale, "errors.invalidVerticalQuota", { value: JSON.stringify(vertical) }));
+  } else {
+    vertical.forEach((quota) => {
+      const category = toCategory(quota?.category);
+      const hasSeats = quota?.seats !== undefined;
+      const valid =
+        category !== null &&
+        category !== OPEN_CATEGORY &&
+        !categories.has(category) &&
+        hasSeats !== (quota?.percent !== undefined) &&
+        (hasSeats ? isWholeNumber(quota.seats) : isPercent(quota.percent));
+      if (!valid) errors.push(translate(locale, "errors.invalidVerticalQuota", { value: JSON.stringify(quota) }));
+      if (category !== null) categories.add(category);
+    });
+  }
+  if (errors.length === 0) {
+    const reserved = getVerticalSeats(allocation).reduce((total, quota) => total + quota.seats, 0);
+    if (reserved > totalSeats) {
+      errors.push(translate(locale, "errors.allocationQuotaExceedsSeats", { reserved, total: totalSeats }));
+    }
+  }
+
+  const names = new Set();
+  if (!Array.isArray(horizontal)) {
+    errors.push(translate(locale, "errors.invalidHorizontalQuota", { value: JSON.stringify(horizontal) }));
+  } else {
+    horizontal.forEach((quota) => {
+      const valid =
+        typeof quota?.name === "string" &&
+        quota.name !== "" &&
+        !names.has(quota.name) &&
+        typeof quota.field === "string" &&
+        quota.field !== "" &&
+        Array.isArray(quota.values) &&
+        quota.values.length > 0 &&
+        isPercent(quota.percent);
+      if (!valid) errors.push(translate(locale, "errors.invalidHorizontalQuota", { value: JSON.stringify(quota) }));
+      if (typeof quota?.name === "string") names.add(quota.name);
+    });
+  }
+
+  if (!Array.isArray(merit)) {
+    errors.push(translate(locale, "errors.invalidMeritOrder", { value: JSON.stringify(merit) }));
+  } else {
+    merit
+      .filter((entry) => typeof entry?.field !== "string" || (entry.order !== undefined && !MERIT_ORDERS.includes(entry.order)))
+      .forEach((entry) => {
+        errors.push(translate(locale, "errors.invalidMeritOrder", { value: JSON.stringify(entry) }));
+      });
+  }
+  return errors;
+}
+
+/**
+ * Seats of each reserved vertical category; percentages are rounded down, so the open category keeps the remainder
+ * @param {Object} allocation - Validated allocation block
+ * @returns {Array<{category: string, label: string, seats: number}>}
+ */
+function getVerticalSeats(allocation) {
+  return (allocation.vertical || []).map((quota) => ({
+    category: toCategory(quota.category),
+    label: quota.label ?? String(quota.category).toUpperCase(),
+    seats: quota.seats ?? Math.floor((allocation.totalSeats * quota.percent) / 100),
+  }));
+}
+
+/**
+ * Seats of each horizontal reservation within each vertical category. A reservation's seats over all categories
+ * are its percentage of totalSeats, rounded down; they are shared out in proportion to the category seats by the
+ * largest remainder method, so rounding within small categories loses no reserved seat
+ * @param {Array<{seats: number}>} verticals - Vertical categories, the open category first
+ * @param {Array<Object>} horizontal - Horizontal quotas, { percent }
+ * @param {number} totalSeats - Seats of the scheme
+ * @returns {Array<Array<number>>} Seats per vertical category, then per horizontal quota
+ * @example
+ * // 30% for women over open 7, SC 1 and OBC 2 seats: shares 2.1, 0.3 and 0.6 make 2 + 0 + 1 = 3 seats
+ * getHorizontalSeats([{ seats: 7 }, { seats: 1 }, { seats: 2 }], [{ percent: 30 }], 10);  // [[2], [0], [1]]
+ */
+function getHorizontalSeats(verticals, horizontal, totalSeats) {
+  // Tolerates floating point noise such as 7 * 30 / 100 = 2.0999999999999996
+  const floor = (value) => Math.floor(value + 1e-9);
+  const seats = verticals.map(() => []);
+  horizontal.forEach((quota, quotaIndex) => {
+    const shares = verticals.map((vertical) => (vertical.seats * quota.percent) / 100);
+    shares.forEach((share, index) => {
+      seats[index][quotaIndex] = floor(share);
+    });
+    let remaining = floor((totalSeats * quota.percent) / 100) - seats.reduce((total, entry) => total + entry[quotaIndex], 0);
+    // Largest remainders first; equal remainders in the order of the categories
+    shares
+      .map((share, index) => ({ index, remainder: share - floor(share) }))
+      .sort((a, b) => b.remainder - a.remainder || a.index - b.index)
+      .forEach(({ index, remainder }) => {
+        if (remaining > 0 && remainder > 1e-9) {
+          seats[index][quotaIndex] += 1;
+          remaining -= 1;
+        }
+      });
+  });
+  return seats;
+}
+
+/**
+ * Whether an applicant belongs to a horizontal reservation, e.g. women or persons with disabilities
+ * @param {Object} userProfile - User profile
+ * @param {Object} quota - Horizontal quota, { field, values }
+ * @returns {boolean}
+ */
+function qualifiesFor(userProfile, quota) {
+  const dictionaryName = quota.field.split(".").pop();
+  const normalize = (value) => {
+    const normalized = normalizeValue(value, dictionaryName);
+    return typeof normalized === "string" ? normalized.toLowerCase() : normalized;
+  };
+  const accepted = quota.values.map(normalize);
+  return []
+    .concat(getValueByPath(userProfile, quota.field) ?? [])
+    .some((value) => accepted.includes(normalize(value)));
+}
+
+/**
+ * Allocate the seats of a scheme among its eligible applicants. The open category is filled first, on merit alone
+ * and from every category; each reserved category is then filled from its remaining applicants. Horizontal
+ * reservations apply within each vertical category: when too few of its seats went to, say, women on merit, the
+ * lowest placed selections that no horizontal reservation relies on make way for the best placed women not yet
+ * selected. Reserved seats that cannot be filled stay vacant.
+ * A horizontal reservation's seats are its percentage of totalSeats, shared out among the vertical categories
+ * (see getHorizontalSeats): 30% for women over open 7, SC 1 and OBC 2 seats reserves 2 + 0 + 1 = 3 seats.
+ * Merit follows allocation.merit, or for schemes with a scoring block the score and its tie-breakers; remaining
+ * ties go to the lower applicationId, numbers within it compared by value ("A9" before "A10"), and between equal
+ * applicationIds to the profile (compared as canonical JSON), so the outcome does not depend on the order of the
+ * applicants.
+ * @param {Array<Object>} entries - Eligible applicants, { applicationId, details, userProfile, score }
+ * @param {Object} allocation - Allocation block, validated with validateAllocation
+ * @param {Object} [context]
+ * @param {Object} [context.scoring] - Scoring block of the scheme, for the default merit ordering
+ * @param {string} [context.locale] - Locale for reasons (default: "en")
+ * @returns {{selected: Array<Object>, waitlisted: Array<Object>, seats: Object}} Selections with the quota they
+ *   came from, the applicants not selected with their waitlist rank, and the seats filled in each category
+ * @example
+ * allocateSeats(eligibleUsers, {
+ *     totalSeats: 10,
+ *     vertical: [{ category: "sc", percent: 15 }, { category: "obc", percent: 27 }],
+ *     horizontal: [{ name: "female", field: "gender", values: ["female"], percent: 30 }],
+ *     merit: [{ field: "previousYearMarks", order: "desc" }, { field: "dateOfBirth", order: "asc" }]
+ * });
+ * // {
+ * //     selected: [{ applicationId: "A7", meritRank: 1, category: "obc", quota: { category: "open", horizontal: null },
+ * //                  reason: "Selected on merit in the open category", details: {...} }, ...],
+ * //     waitlisted: [{ applicationId: "A3", rank: 1, meritRank: 9, category: "open", details: {...} }],
+ * //     seats: { total: 10, filled: 10, vacant: 0, categories: [...] }
+ * // }
+ */
+function allocateSeats(entries, allocation, { scoring, locale = "en" } = {}) {
+  const categoryField = allocation.categoryField ?? DEFAULT_CATEGORY_FIELD;
+  const horizontal = allocation.horizontal || [];
+  // Only needed for applicants without distinct applicationIds, so worked out on demand
+  const profileKeys = new WeakMap();
+  const getProfileKey = (applicant) => {
+    if (!profileKeys.has(applicant)) profileKeys.set(applicant, canonicalize(applicant.userProfile ?? null));
+    return profileKeys.get(applicant);
+  };
+  const compareMerit = (a, b) => {
+    let difference = 0;
+    if (allocation.merit?.length) {
+      difference = compareByFields(a.userProfile, b.userProfile, allocation.merit);
+    } else if (scoring) {
+      difference = (b.score ?? 0) - (a.score ?? 0) || compareByFields(a.userProfile, b.userProfile, scoring.tieBreakers ?? []);
+    }
+    if (difference !== 0) return difference;
+    difference = String(a.applicationId ?? "").localeCompare(String(b.applicationId ?? ""), "en", { numeric: true });
+    if (difference !== 0) return difference;
+    // Profiles that are alike in every field are interchangeable, whichever comes first
+    const left = getProfileKey(a);
+    const right = getProfileKey(b);
+    if (left === right) return 0;
+    return left < right ? -1 : 1;
+  };
+
+  const applicants = entries
+    .map((entry) => ({ ...entry, category: toCategory(getValueByPath(entry.userProfile, categoryField)) }))
+    .sort(compareMerit)
+    .map((applicant, index) => ({ ...applicant, meritRank: index + 1 }));
+
+  const reservedSeats = getVerticalSeats(allocation);
+  const verticals = [
+    {
+      category: OPEN_CATEGORY,
+      label: translate(locale, "allocation.openCategory"),
+      seats: allocation.totalSeats - reservedSeats.reduce((total, quota) => total + quota.seats, 0),
+    },
+    ...reservedSeats,
+  ];
+  const horizontalSeats = getHorizontalSeats(verticals, horizontal, allocation.totalSeats);
+
+  const chosen = new Set();
+  const selected = [];
+  const categories = verticals.map((vertical, verticalIndex) => {
+    const pool = applicants.filter(
+      (applicant) => !chosen.has(applicant) && (vertical.category === OPEN_CATEGORY || applicant.category === vertical.category)
+    );
+    const picked = pool.slice(0, vertical.seats).map((applicant) => ({ applicant, horizontal: null }));
+    const required = horizontalSeats[verticalIndex];
+    const countFor = (index) => picked.filter(({ applicant }) => qualifiesFor(applicant.userProfile, horizontal[index])).length;
+
+    horizontal.forEach((quota, index) => {
+      const candidates = pool.filter(
+        (applicant) => !picked.some((pick) => pick.applicant === applicant) && qualifiesFor(applicant.userProfile, quota)
+      );
+      let count = countFor(index);
+      for (const candidate of candidates) {
+        if (count >= required[index]) break;
+        // The lowest placed selection outside this reservation that no earlier reservation still needs
+        const replaced = [...picked].reverse().find(({ applicant }) =>
+          !qualifiesFor(applicant.userProfile, quota) &&
+          horizontal
+            .slice(0, index)
+            .every((earlier, earlierIndex) => !qualifiesFor(applicant.userProfile, earlier) || countFor(earlierIndex) > required[earlierIndex])
+        );
+        if (!replaced) break;
+        picked.splice(picked.indexOf(replaced), 1, { applicant: candidate, horizontal: quota });
+        count += 1;
+      }
+    });
+
+    picked.forEach(({ applicant, horizontal: quota }) => {
+      chosen.add(applicant);
+      let reason = translate(locale, "allocation.selectedCategory", { category: vertical.label });
+      if (quota) {
+        reason = translate(locale, "allocation.selectedHorizontal", { horizontal: quota.label ?? quota.name, category: vertical.label });
+      } else if (vertical.category === OPEN_CATEGORY) {
+        reason = translate(locale, "allocation.selectedOpen");
+      }
+      selected.push({
+        applicationId: applicant.applicationId,
+        meritRank: applicant.meritRank,
+        category: applicant.category,
+        quota: { category: vertical.category, horizontal: quota ? quota.name : null },
+        reason,
+        details: applicant.details,
+      });
+    });
+
+    return {
+      category: vertical.category,
+      seats: vertical.seats,
+      filled: picked.length,
+      horizontal: horizontal.map((quota, index) => ({ name: quota.name, seats: required[index], filled: countFor(index) })),
+    };
+  });
+
+  const filled = categories.reduce((total, category) => total + category.filled, 0);
+  return {
+    selected: selected.sort((a, b) => a.meritRank - b.meritRank),
+    waitlisted: applicants
+      .filter((applicant) => !chosen.has(applicant))
+      .map((applicant, index) => ({
+        applicationId: applicant.applicationId,
+        rank: index + 1,
+        meritRank: applicant.meritRank,
+        category: applicant.category,
+        details: applicant.details,
+      })),
+    seats: {
+      total: allocation.totalSeats,
+      filled,
+      vacant: allocation.totalSeats - filled,
+      categories,
+    },
+  };
+}
+
+module.exports = {
+  OPEN_CATEGORY,
+  validateAllocation,
+  allocateSeats,
+};
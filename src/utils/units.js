@@ -0,0 +1,136 @@
+const { translate } = require("./i18n");
+
+/**
+ * Supported measurement units, grouped into families that can be converted into each other.
+ * Each factor expresses one unit in the family's base unit:
+ *   - period: amounts per period, base is per annum (e.g. income, stipend)
+ *   - area: land holding, base is square metre
+ *   - amount: money in Indian numbering, base is rupees
+ */
+const UNIT_FAMILIES = {
+  period: {
+    perDay: 365,
+    perWeek: 52,
+    perMonth: 12,
+    perQuarter: 4,
+    perHalfYear: 2,
+    perAnnum: 1,
+  },
+  area: {
+    sqm: 1,
+    sqft: 0.09290304,
+    guntha: 101.17141056,
+    acre: 4046.8564224,
+    hectare: 10000,
+  },
+  amount: {
+    rupees: 1,
+    thousand: 1000,
+    lakh: 100000,
+    crore: 10000000,
+  },
+};
+
+// Alternative spellings accepted in schemas and profiles (lowercase)
+const UNIT_ALIASES = {
+  daily: "perDay",
+  weekly: "perWeek",
+  monthly: "perMonth",
+  quarterly: "perQuarter",
+  halfyearly: "perHalfYear",
+  peryear: "perAnnum",
+  annual: "perAnnum",
+  annually: "perAnnum",
+  yearly: "perAnnum",
+  squaremetre: "sqm",
+  squaremeter: "sqm",
+  squarefeet: "sqft",
+  acres: "acre",
+  hectares: "hectare",
+  ha: "hectare",
+  inr: "rupees",
+  rupee: "rupees",
+  lakhs: "lakh",
+  crores: "crore",
+};
+
+const UNIT_LOOKUP = Object.entries(UNIT_FAMILIES).reduce(
+  (lookup, [family, units]) => {
+    Object.entries(units).forEach(([unit, factor]) => {
+      lookup[unit.toLowerCase()] = { unit, family, factor };
+    });
+    return lookup;
+  },
+  {}
+);
+
+/**
+ * Resolve a unit name or alias to its definition
+ * @param {string} unit - Unit name such as "perMonth", "monthly" or "acres"
+ * @returns {{unit: string, family: string, factor: number}|null} Unit definition, or null if unknown
+ */
+function resolveUnit(unit) {
+  if (typeof unit !== "string") return null;
+  const key = unit.toLowerCase().trim().replace(/[\s_-]+/g, "");
+  const canonical = UNIT_ALIASES[key] ? UNIT_ALIASES[key].toLowerCase() : key;
+  return Object.prototype.hasOwnProperty.call(UNIT_LOOKUP, canonical)
+    ? UNIT_LOOKUP[canonical]
+    : null;
+}
+
+/**
+ * Convert a numeric value between two units of the same family
+ * @param {number|string} value - Value expressed in fromUnit
+ * @param {string} fromUnit - Unit of the value
+ * @param {string} toUnit - Unit to convert into
+ * @param {string} locale - Locale for error messages (default: "en")
+ * @returns {number} Converted value
+ * @example
+ * convertUnit(270000, "perAnnum", "perMonth")  // 22500
+ * convertUnit(2, "acre", "hectare")  // 0.809...
+ * convertUnit(2.7, "lakh", "rupees")  // 270000
+ */
+function convertUnit(value, fromUnit, toUnit, locale = "en") {
+  const from = resolveUnit(fromUnit);
+  const to = resolveUnit(toUnit);
+  if (!from)
+    throw new Error(translate(locale, "errors.unsupportedUnit", { unit: String(fromUnit) }));
+  if (!to)
+    throw new Error(translate(locale, "errors.unsupportedUnit", { unit: String(toUnit) }));
+  if (from.family !== to.family)
+    throw new Error(translate(locale, "errors.incompatibleUnits", { from: from.unit, to: to.unit }));
+
+  const number = typeof value === "string" && value.trim() !== "" ? Number(value) : value;
+  if (typeof number !== "number" || !Number.isFinite(number))
+    throw new Error(translate(locale, "errors.invalidValueForType", { value: String(value), dataType: "number" }));
+
+  if (from.unit === to.unit) return number;
+  // Round away floating point noise introduced by the factors (e.g. 22499.999999999996)
+  return Number(((number * from.factor) / to.factor).toFixed(6));
+}
+
+/**
+ * Split a profile value that carries its own unit, e.g. { value: 22500, unit: "perMonth" }
+ * @param {*} value - Profile value
+ * @param {string} [defaultUnit] - Unit to assume when the value carries none
+ * @returns {{value: *, unit: (string|undefined)}}
+ */
+function unwrapUnitValue(value, defaultUnit) {
+  if (
+    value !== null &&
+    typeof value === "object" &&
+    !Array.isArray(value) &&
+    !(value instanceof Date) &&
+    Object.prototype.hasOwnProperty.call(value, "value")
+  ) {
+    return { value: value.value, unit: value.unit ?? defaultUnit };
+  }
+  return { value, unit: defaultUnit };
+}
+
+module.exports = {
+  UNIT_FAMILIES,
+  resolveUnit,
+  convertUnit,
+  unwrapUnitValue,
+};
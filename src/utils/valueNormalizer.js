@@ -0,0 +1,145 @@
+const fs = require("fs");
+const path = require("path");
+const logger = require("./logger");
+const { normalizeCondition, parseFieldPath } = require("./eligibilityUtils");
+const defaultSynonyms = require("../config/valueSynonyms.json");
+
+// Separators that partner apps use interchangeably, e.g. "OBC-NCL", "obc_ncl", "OBC / NCL"
+const SEPARATOR_PATTERN = /[\s\-_./&]+/g;
+// Conditions whose condition values are patterns rather than values, and must reach checkCriteria as written
+const PATTERN_CONDITIONS = ["matches"];
+
+/**
+ * Clean free text: Unicode NFKC, trimmed and single spaced. Case is kept, since
+ * checkCriteria already compares strings case-insensitively and patterns may depend on it.
+ * @param {string} value - Text to clean
+ * @returns {string}
+ * @example
+ * normalizeText("  Tamil\u00a0 Nadu ")  // "Tamil Nadu"
+ */
+function normalizeText(value) {
+  return String(value).normalize("NFKC").trim().replace(/\s+/g, " ");
+}
+
+// Lookup key that also ignores separators, so "OBC-NCL" and "obc ncl" are the same alias
+const toLookupKey = (value) =>
+  normalizeText(value).toLowerCase().replace(SEPARATOR_PATTERN, " ").trim();
+
+/**
+ * Turn { canonical: [aliases] } dictionaries into { lookupKey: canonical } maps
+ * @param {Object} dictionaries - Synonym dictionaries keyed by field
+ * @returns {Object} Alias lookup per field
+ */
+function buildLookups(dictionaries) {
+  // Without a prototype, so aliases and field names such as "constructor" only find dictionary entries
+  return Object.entries(dictionaries || {}).reduce((lookups, [field, entries]) => {
+    const lookup = Object.create(null);
+    Object.entries(entries || {}).forEach(([canonical, aliases]) => {
+      const canonicalValue = normalizeText(canonical).toLowerCase();
+      lookup[toLookupKey(canonical)] = canonicalValue;
+      (Array.isArray(aliases) ? aliases : []).forEach((alias) => {
+        lookup[toLookupKey(alias)] = canonicalValue;
+      });
+    });
+    lookups[field] = lookup;
+    return lookups;
+  }, Object.create(null));
+}
+
+/**
+ * Load the bundled dictionaries, merged with an optional deployment file (VALUE_SYNONYMS_FILE)
+ * @returns {Object} Alias lookup per field
+ */
+function loadDefaultLookups() {
+  const dictionaries = JSON.parse(JSON.stringify(defaultSynonyms));
+  const extraFile = process.env.VALUE_SYNONYMS_FILE;
+  if (extraFile) {
+    try {
+      const extra = JSON.parse(fs.readFileSync(path.resolve(extraFile), "utf8"));
+      Object.entries(extra).forEach(([field, entries]) => {
+        dictionaries[field] = { ...(dictionaries[field] || {}), ...entries };
+      });
+    } catch (error) {
+      logger.error(`Error loading value synonyms from ${extraFile}:`, error);
+    }
+  }
+  return buildLookups(dictionaries);
+}
+
+const defaultLookups = loadDefaultLookups();
+// Benefit specific dictionaries are built once per schema object
+const customLookupCache = new WeakMap();
+
+const getCustomLookup = (customDictionaries, dictionaryName) => {
+  if (!customDictionaries || typeof customDictionaries !== "object") return null;
+  if (!customLookupCache.has(customDictionaries)) {
+    customLookupCache.set(customDictionaries, buildLookups(customDictionaries));
+  }
+  return customLookupCache.get(customDictionaries)[dictionaryName] || null;
+};
+
+/**
+ * Resolve which dictionary applies to a criteria: an explicit "synonyms" key on the criteria,
+ * otherwise the last segment of the field path ("address.state" uses "state")
+ * @param {Object} criteria - Criteria from the benefit schema
+ * @returns {string|undefined} Dictionary name
+ */
+function getDictionaryName(criteria = {}) {
+  if (typeof criteria.synonyms === "string") return criteria.synonyms;
+  const segments = parseFieldPath(criteria.name);
+  return segments[segments.length - 1];
+}
+
+/**
+ * Normalize a value and map known aliases to their canonical form
+ * @param {*} value - Profile or condition value; strings and arrays of strings are normalized
+ * @param {string} [dictionaryName] - Dictionary to use, e.g. "state", "caste", "gender"
+ * @param {Object} [customDictionaries] - Benefit specific { field: { canonical: [aliases] } } dictionaries
+ * @returns {*} Normalized value; non-string values are returned unchanged
+ * @example
+ * normalizeValue("MH", "state")  // "maharashtra"
+ * normalizeValue("OBC-NCL", "caste")  // "obc"
+ * normalizeValue(["F", " Visual "], "gender")  // ["female", "Visual"]
+ */
+function normalizeValue(value, dictionaryName, customDictionaries) {
+  if (Array.isArray(value)) {
+    return value.map((entry) => normalizeValue(entry, dictionaryName, customDictionaries));
+  }
+  if (typeof value !== "string") return value;
+
+  const key = toLookupKey(value);
+  const custom = getCustomLookup(customDictionaries, dictionaryName);
+  if (custom && Object.prototype.hasOwnProperty.call(custom, key)) return custom[key];
+
+  const lookup = defaultLookups[dictionaryName];
+  if (lookup && Object.prototype.hasOwnProperty.call(lookup, key)) return lookup[key];
+
+  return normalizeText(value);
+}
+
+/**
+ * Normalize the profile value and the condition values of a criteria in the same way
+ * @param {*} value - Profile value
+ * @param {Object} criteria - Criteria from the benefit schema; "normalize": false disables normalization, and
+ *   pattern conditions ("matches") are never normalized, so a pattern such as "^SC$" is not rewritten
+ * @param {Object} [customDictionaries] - Benefit specific dictionaries
+ * @returns {{value: *, conditionValues: *, normalized: boolean}} Normalized values, and whether the profile value changed
+ */
+function normalizeCriteriaValues(value, criteria = {}, customDictionaries) {
+  if (criteria.normalize === false || PATTERN_CONDITIONS.includes(normalizeCondition(criteria.condition))) {
+    return { value, conditionValues: criteria.conditionValues, normalized: false };
+  }
+  const dictionaryName = getDictionaryName(criteria);
+  const normalizedValue = normalizeValue(value, dictionaryName, customDictionaries);
+  return {
+    value: normalizedValue,
+    conditionValues: normalizeValue(criteria.conditionValues, dictionaryName, customDictionaries),
+    normalized: JSON.stringify(normalizedValue) !== JSON.stringify(value),
+  };
+}
+
+module.exports = {
+  normalizeText,
+  normalizeValue,
+  normalizeCriteriaValues,
+};
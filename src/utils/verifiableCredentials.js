@@ -0,0 +1,216 @@
+const crypto = require("crypto");
+const { canonicalize } = require("./canonicalJson");
+
+const BASE58_ALPHABET = "123456789ABCDEFGHJKLMNPQRSTUVWXYZabcdefghijkmnopqrstuvwxyz";
+// Multicodec prefix of an Ed25519 public key in a Multikey (publicKeyMultibase "z6Mk...")
+const ED25519_MULTICODEC = [0xed, 0x01];
+
+/**
+ * Decode base58btc (the "z" multibase encoding) into bytes
+ * @param {string} value - base58btc text, without the multibase prefix
+ * @returns {Buffer}
+ * @throws {Error} On characters outside the alphabet
+ */
+function decodeBase58(value) {
+  const bytes = [];
+  for (const character of value) {
+    let carry = BASE58_ALPHABET.indexOf(character);
+    if (carry < 0) throw new Error(`Invalid base58 character: ${character}`);
+    for (let index = 0; index < bytes.length; index += 1) {
+      carry += bytes[index] * 58;
+      bytes[index] = carry & 0xff;
+      carry >>= 8;
+    }
+    while (carry > 0) {
+      bytes.push(carry & 0xff);
+      carry >>= 8;
+    }
+  }
+  // Each leading "1" is a leading zero byte
+  for (let index = 0; index < value.length && value[index] === "1"; index += 1) bytes.push(0);
+  return Buffer.from(bytes.reverse());
+}
+
+/**
+ * Decode a multibase value; only base58btc ("z") is used by Ed25519 proofs and keys
+ * @param {string} value - Multibase text, e.g. "z3FXQ..."
+ * @returns {Buffer}
+ * @throws {Error} For other encodings
+ */
+function decodeMultibase(value) {
+  if (typeof value !== "string" || !value.startsWith("z")) {
+    throw new Error("Only base58btc multibase values are supported");
+  }
+  return decodeBase58(value.slice(1));
+}
+
+const decodeBase64Url = (value) => Buffer.from(value, "base64url");
+
+/**
+ * Node public key for an Ed25519 key given as a JWK or a Multikey
+ * @param {Object} key - Trusted issuer key, { publicKeyJwk } or { publicKeyMultibase }
+ * @returns {crypto.KeyObject}
+ * @throws {Error} When the key is not an Ed25519 key
+ */
+function toPublicKey(key) {
+  if (key?.publicKeyJwk) {
+    return crypto.createPublicKey({ key: key.publicKeyJwk, format: "jwk" });
+  }
+  const bytes = decodeMultibase(key?.publicKeyMultibase);
+  const raw =
+    bytes.length === 34 && bytes[0] === ED25519_MULTICODEC[0] && bytes[1] === ED25519_MULTICODEC[1]
+      ? bytes.subarray(2)
+      : bytes;
+  if (raw.length !== 32) throw new Error("Not an Ed25519 public key");
+  return crypto.createPublicKey({
+    key: { kty: "OKP", crv: "Ed25519", x: Buffer.from(raw).toString("base64url") },
+    format: "jwk",
+  });
+}
+
+/**
+ * Whether a document is a verifiable credential: a compact JWS (VC-JWT) or a credential with
+ * "VerifiableCredential" in its type
+ * @param {*} document - Document from userProfile.documents
+ * @returns {boolean}
+ */
+function isVerifiableCredential(document) {
+  if (typeof document === "string") return /^[\w-]+\.[\w-]+\.[\w-]+$/.test(document.trim());
+  if (typeof document?.jwt === "string") return true;
+  return [].concat(document?.type ?? []).includes("VerifiableCredential");
+}
+
+/**
+ * Read a credential without verifying it
+ * @param {string|Object} document - VC-JWT (as text or { jwt }) or a credential with an embedded proof
+ * @returns {{credential: Object, jwt: Object}} jwt is { header, payload, signingInput, signature } for VC-JWTs
+ * @throws {Error} When the document cannot be decoded
+ */
+function decodeCredential(document) {
+  const token = typeof document === "string" ? document.trim() : document?.jwt;
+  if (typeof token !== "string") return { credential: document };
+
+  const [header, payload, signature] = token.split(".");
+  const decodedHeader = JSON.parse(decodeBase64Url(header).toString("utf8"));
+  const decodedPayload = JSON.parse(decodeBase64Url(payload).toString("utf8"));
+  // VC-JWT 1.1 carries the credential in "vc" with registered claims alongside; VC 2.0 JOSE secures it directly
+  const embedded = decodedPayload.vc || decodedPayload;
+  const credential = {
+    ...embedded,
+    id: embedded.id ?? decodedPayload.jti,
+    issuer: embedded.issuer ?? decodedPayload.iss,
+  };
+  return {
+    credential,
+    jwt: {
+      header: decodedHeader,
+      payload: decodedPayload,
+      signingInput: `${header}.${payload}`,
+      signature: decodeBase64Url(signature || ""),
+    },
+  };
+}
+
+/**
+ * Fields of the credential subject, against which document criteria are evaluated
+ * @param {string|Object} document - Verifiable credential
+ * @returns {Object|null} credentialSubject (the first when there are several), or null when it cannot be read
+ */
+function getCredentialSubject(document) {
+  try {
+    const subject = decodeCredential(document).credential?.credentialSubject;
+    return (Array.isArray(subject) ? subject[0] : subject) ?? null;
+  } catch (error) {
+    return null;
+  }
+}
+
+/**
+ * Types of a credential, e.g. ["VerifiableCredential", "IncomeCertificate"]
+ * @param {string|Object} document - Verifiable credential
+ * @returns {Array<string>} Types, empty when the credential cannot be read
+ */
+function getCredentialTypes(document) {
+  try {
+    return [].concat(decodeCredential(document).credential?.type ?? []);
+  } catch (error) {
+    return [];
+  }
+}
+
+/**
+ * Verify the Ed25519 signature of a credential: a VC-JWT signed with EdDSA, or an embedded
+ * DataIntegrityProof using the eddsa-jcs-2022 cryptosuite
+ * @param {{credential: Object, jwt: Object}} decoded - Result of decodeCredential
+ * @param {crypto.KeyObject} publicKey - Issuer key
+ * @returns {boolean}
+ */
+function verifySignature(decoded, publicKey) {
+  if (decoded.jwt) {
+    return crypto.verify(null, Buffer.from(decoded.jwt.signingInput), publicKey, decoded.jwt.signature);
+  }
+
+  const { proof, ...unsecured } = decoded.credential;
+  const { proofValue, ...proofConfig } = proof;
+  if (!proofConfig["@context"] && unsecured["@context"]) proofConfig["@context"] = unsecured["@context"];
+  const hash = (value) => crypto.createHash("sha256").update(canonicalize(value)).digest();
+  const hashData = Buffer.concat([hash(proofConfig), hash(unsecured)]);
+  return crypto.verify(null, hashData, publicKey, decodeMultibase(proofValue));
+}
+
+/**
+ * Key id the credential was signed with: the JWS "kid" or the proof's verificationMethod
+ * @param {{credential: Object, jwt: Object}} decoded - Result of decodeCredential
+ * @returns {string|undefined}
+ */
+function getSigningKeyId(decoded) {
+  return decoded.jwt ? decoded.jwt.header.kid : decoded.credential.proof?.verificationMethod;
+}
+
+/**
+ * Whether the credential's proof is one verifySignature supports
+ * @param {{credential: Object, jwt: Object}} decoded - Result of decodeCredential
+ * @returns {boolean}
+ */
+function isSupportedProof(decoded) {
+  if (decoded.jwt) return decoded.jwt.header.alg === "EdDSA" || decoded.jwt.header.alg === "Ed25519";
+  const proof = decoded.credential.proof;
+  return (
+    proof?.type === "DataIntegrityProof" &&
+    proof.cryptosuite === "eddsa-jcs-2022" &&
+    typeof proof.proofValue === "string"
+  );
+}
+
+/**
+ * Validity period of a credential (VC 1.1 issuanceDate / expirationDate, VC 2.0 validFrom / validUntil, JWT nbf / exp)
+ * @param {{credential: Object, jwt: Object}} decoded - Result of decodeCredential
+ * @returns {{validFrom: (Date|null), validUntil: (Date|null)}}
+ */
+function getValidityPeriod(decoded) {
+  const { credential, jwt } = decoded;
+  const toDate = (value, seconds) => {
+    if (seconds !== undefined) return new Date(seconds * 1000);
+    if (!value) return null;
+    const date = new Date(value);
+    return Number.isNaN(date.getTime()) ? null : date;
+  };
+  return {
+    validFrom: toDate(credential.validFrom ?? credential.issuanceDate, jwt?.payload.nbf),
+    validUntil: toDate(credential.validUntil ?? credential.expirationDate, jwt?.payload.exp),
+  };
+}
+
+module.exports = {
+  canonicalize,
+  decodeMultibase,
+  toPublicKey,
+  isVerifiableCredential,
+  decodeCredential,
+  getCredentialSubject,
+  getCredentialTypes,
+  verifySignature,
+  getSigningKeyId,
+  isSupportedProof,
+  getValidityPeriod,
+};
@@ -0,0 +1,116 @@
+const crypto = require("crypto");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const { canonicalize } = require("../../src/utils/canonicalJson");
+
+const BASE58_ALPHABET = "123456789ABCDEFGHJKLMNPQRSTUVWXYZabcdefghijkmnopqrstuvwxyz";
+const ISSUER = "did:web:edistrict.up.gov.in";
+const KEY_ID = `${ISSUER}#key-1`;
+
+const encodeBase58 = (bytes) => {
+  let number = BigInt(`0x${Buffer.from(bytes).toString("hex") || "0"}`);
+  let text = "";
+  while (number > 0n) {
+    text = BASE58_ALPHABET[Number(number % 58n)] + text;
+    number /= 58n;
+  }
+  for (let index = 0; index < bytes.length && bytes[index] === 0; index += 1) text = `1${text}`;
+  return text;
+};
+const encodeBase64Url = (value) => Buffer.from(typeof value === "string" ? value : JSON.stringify(value)).toString("base64url");
+
+/**
+ * Issuer with a fresh Ed25519 key and a trusted issuers file listing it, in a temporary directory
+ * @returns {{issuer: string, privateKey: crypto.KeyObject, trustedIssuersFile: string, cleanup: Function}}
+ */
+function createTrustedIssuer() {
+  const { publicKey, privateKey } = crypto.generateKeyPairSync("ed25519");
+  const directory = fs.mkdtempSync(path.join(os.tmpdir(), "trusted-issuers-"));
+  const trustedIssuersFile = path.join(directory, "trustedIssuers.json");
+  fs.writeFileSync(
+    trustedIssuersFile,
+    JSON.stringify({
+      issuers: [
+        {
+          id: ISSUER,
+          credentialTypes: ["IncomeCertificate"],
+          keys: [{ id: KEY_ID, publicKeyJwk: publicKey.export({ format: "jwk" }) }],
+        },
+      ],
+    })
+  );
+  return {
+    issuer: ISSUER,
+    privateKey,
+    trustedIssuersFile,
+    cleanup: () => fs.rmSync(directory, { recursive: true, force: true }),
+  };
+}
+
+/**
+ * Unsigned income certificate
+ * @param {Object} [overrides] - Credential fields to replace
+ * @returns {Object}
+ */
+function incomeCredential(overrides = {}) {
+  return {
+    "@context": ["https://www.w3.org/ns/credentials/v2"],
+    id: "urn:uuid:8f0e2a3c-6f5e-4f1a-9d3e-2b7c1d0a9e11",
+    type: ["VerifiableCredential", "IncomeCertificate"],
+    issuer: ISSUER,
+    validFrom: "2024-04-01T00:00:00Z",
+    validUntil: "2099-03-31T00:00:00Z",
+    credentialSubject: { name: "Sunita Devi", annualIncome: 180000 },
+    ...overrides,
+  };
+}
+
+/**
+ * Sign a credential as a VC-JWT with EdDSA
+ * @param {Object} credential - Unsigned credential
+ * @param {crypto.KeyObject} privateKey - Issuer key
+ * @returns {string} Compact JWS
+ */
+function signJwt(credential, privateKey) {
+  const signingInput = `${encodeBase64Url({ alg: "EdDSA", typ: "vc+jwt", kid: KEY_ID })}.${encodeBase64Url(credential)}`;
+  return `${signingInput}.${crypto.sign(null, Buffer.from(signingInput), privateKey).toString("base64url")}`;
+}
+
+/**
+ * Add an eddsa-jcs-2022 DataIntegrityProof to a credential
+ * @param {Object} credential - Unsigned credential
+ * @param {crypto.KeyObject} privateKey - Issuer key
+ * @returns {Object} Credential with its proof
+ */
+function signDataIntegrity(credential, privateKey) {
+  const proof = {
+    type: "DataIntegrityProof",
+    cryptosuite: "eddsa-jcs-2022",
+    created: "2024-04-01T00:00:00Z",
+    verificationMethod: KEY_ID,
+    proofPurpose: "assertionMethod",
+  };
+  const hash = (value) => crypto.createHash("sha256").update(canonicalize(value)).digest();
+  const hashData = Buffer.concat([hash({ ...proof, "@context": credential["@context"] }), hash(credential)]);
+  return { ...credential, proof: { ...proof, proofValue: `z${encodeBase58(crypto.sign(null, hashData, privateKey))}` } };
+}
+
+/**
+ * Replace the payload of a VC-JWT while keeping its signature
+ * @param {string} jwt - Compact JWS
+ * @param {Object} credential - Payload to put in
+ * @returns {string}
+ */
+function tamperJwt(jwt, credential) {
+  const [header, , signature] = jwt.split(".");
+  return `${header}.${encodeBase64Url(credential)}.${signature}`;
+}
+
+module.exports = {
+  createTrustedIssuer,
+  incomeCredential,
+  signJwt,
+  signDataIntegrity,
+  tamperJwt,
+};
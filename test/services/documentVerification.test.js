@@ -0,0 +1,80 @@
+const path = require("path");
+const documentVerification = require("../../src/services/documentVerification");
+const logger = require("../../src/utils/logger");
+
+const file = path.resolve(__dirname, "../fixtures/documentRegistry.json");
+
+describe("documentVerification", () => {
+  beforeEach(() => {
+    jest.spyOn(logger, "error").mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    documentVerification.configure({});
+    jest.restoreAllMocks();
+  });
+
+  it("verifies with the file stub configured for the document type", async () => {
+    documentVerification.configure({ documentTypes: { aadhaar: { provider: "fileStub", options: { file } } } });
+
+    await expect(documentVerification.verify("aadhaar", { number: "2345 6789 0124" })).resolves.toEqual({
+      status: "verified",
+      provider: "fileStub",
+      details: { source: "fileStub" },
+    });
+    await expect(documentVerification.verify("aadhaar", { number: "987654321098" })).resolves.toMatchObject({
+      status: "revoked",
+      provider: "fileStub",
+    });
+  });
+
+  it("uses the verified flag for types without a provider", async () => {
+    documentVerification.configure({ documentTypes: { aadhaar: { provider: "fileStub", options: { file } } } });
+
+    await expect(documentVerification.verify("pan", { number: "ABCDE1234F", verified: true })).resolves.toMatchObject({
+      status: "verified",
+      provider: "verifiedFlag",
+    });
+  });
+
+  it("reports a provider slower than its timeout as timeout", async () => {
+    documentVerification.configure({
+      documentTypes: { aadhaar: { provider: "fileStub", options: { file, delayMs: 200 }, timeoutMs: 20 } },
+    });
+
+    await expect(documentVerification.verify("aadhaar", { number: "234567890124" })).resolves.toEqual({
+      status: "timeout",
+      provider: "fileStub",
+      timeoutMs: 20,
+    });
+  });
+
+  it("returns the provider result when it answers within the timeout", async () => {
+    documentVerification.configure({
+      timeoutMs: 1000,
+      documentTypes: { aadhaar: { provider: "fileStub", options: { file, delayMs: 10 } } },
+    });
+
+    await expect(documentVerification.verify("aadhaar", { number: "234567890124" })).resolves.toMatchObject({
+      status: "verified",
+    });
+  });
+
+  it("reports provider failures and unknown providers as error", async () => {
+    documentVerification.configure({
+      documentTypes: {
+        aadhaar: { provider: "fileStub", options: { file: path.resolve(__dirname, "missing.json") } },
+        rationCard: { provider: "stateRegistry" },
+      },
+    });
+
+    await expect(documentVerification.verify("aadhaar", { number: "234567890124" })).resolves.toMatchObject({
+      status: "error",
+      provider: "fileStub",
+    });
+    await expect(documentVerification.verify("rationCard", { number: "UP-1234-5678" })).resolves.toMatchObject({
+      status: "error",
+      message: "Unknown verification provider: stateRegistry",
+    });
+  });
+});
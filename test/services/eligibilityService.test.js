@@ -0,0 +1,82 @@
+const eligibilityService = require("../../src/services/eligibilityService");
+const logger = require("../../src/utils/logger");
+
+const criterion = (id, name, condition, conditionValues) => ({ id, type: "userProfile", criteria: { name, condition, conditionValues } });
+
+const eligibility = [criterion("B1", "age", "gte", 18), criterion("B2", "income", "lte", 100000)];
+
+describe("eligibilityService", () => {
+  beforeEach(() => {
+    jest.spyOn(logger, "error").mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  describe("checkUsersEligibility", () => {
+    const benefit = { id: "scheme", eligibility, eligibilityEvaluationLogic: "B1 && B2" };
+    const users = [
+      { applicationId: "A1", age: 20, income: 50000 },
+      { applicationId: "A2", age: 16, income: 50000 },
+      { applicationId: "A3", age: 20 },
+    ];
+
+    it("buckets users as eligible, ineligible or needing more information", async () => {
+      const result = await eligibilityService.checkUsersEligibility(users, benefit, false, "en", { asOf: "2024-06-01" });
+
+      expect(result.eligibleUsers.map((user) => user.applicationId)).toEqual(["A1"]);
+      expect(result.ineligibleUsers.map((user) => user.applicationId)).toEqual(["A2"]);
+      expect(result.needsMoreInformation).toEqual([
+        expect.objectContaining({ applicationId: "A3", missingFields: ["income"] }),
+      ]);
+      expect(result.closed).toEqual([]);
+      expect(result.errors).toEqual([]);
+      expect(result.asOf).toBe("2024-06-01");
+    });
+
+    it("lists a missing value as ineligible in strict mode", async () => {
+      const result = await eligibilityService.checkUsersEligibility(users, benefit, true, "en");
+
+      expect(result.ineligibleUsers.map((user) => user.applicationId)).toEqual(["A2", "A3"]);
+      expect(result.needsMoreInformation).toEqual([]);
+    });
+
+    it("lists every user as closed outside the application window", async () => {
+      const closedBenefit = { ...benefit, applicationOpens: "2024-06-01", applicationCloses: "2024-08-31" };
+
+      const result = await eligibilityService.checkUsersEligibility(users, closedBenefit, false, "en", { asOf: "2024-09-15" });
+
+      expect(result.closed.map((user) => user.applicationId)).toEqual(["A1", "A2", "A3"]);
+      expect(result.closed[0].details.applicationWindow.status).toBe("closed");
+      expect(result.eligibleUsers).toEqual([]);
+      expect(result.needsMoreInformation).toEqual([]);
+    });
+
+    it("reports a user whose check fails under errors", async () => {
+      const brokenBenefit = { ...benefit, eligibilityEvaluationLogic: "B1 &&" };
+
+      const result = await eligibilityService.checkUsersEligibility([users[0]], brokenBenefit, false);
+
+      expect(result.errors).toEqual([{ applicationId: "A1", error: expect.any(String) }]);
+      expect(result.eligibleUsers).toEqual([]);
+    });
+  });
+
+  describe("checkBenefitsEligibility", () => {
+    it("buckets benefits by the three-valued outcome", async () => {
+      const benefits = [
+        { id: "open", eligibility: [criterion("B1", "age", "gte", 18)] },
+        { id: "income", eligibility },
+        { id: "minor", eligibility: [criterion("B1", "age", "lt", 18)] },
+      ];
+
+      const result = await eligibilityService.checkBenefitsEligibility({ age: 20 }, benefits, false, "en", { asOf: "2024-06-01" });
+
+      expect(result.eligible.map((entry) => entry.schemaId)).toEqual(["open"]);
+      expect(result.needsMoreInformation).toEqual([expect.objectContaining({ schemaId: "income", missingFields: ["income"] })]);
+      expect(result.ineligible.map((entry) => entry.schemaId)).toEqual(["minor"]);
+      expect(result.errors).toEqual([]);
+    });
+  });
+});
@@ -0,0 +1,70 @@
+const GeographyRule = require("../../../src/services/rules/geographyRule");
+
+describe("GeographyRule", () => {
+  const rule = new GeographyRule();
+
+  describe("pincode areas", () => {
+    const criteria = { include: [{ pincode: "1100" }] };
+
+    it("includes a pincode starting with the prefix", async () => {
+      const result = await rule.evaluate({ pincode: "110001" }, criteria, false);
+
+      expect(result.reasons).toEqual([]);
+      expect(result.location).toMatchObject({ id: "delhi/new delhi", resolvedFrom: "pincode" });
+    });
+
+    it("fails a pincode outside the prefix", async () => {
+      const result = await rule.evaluate({ pincode: "110101" }, criteria, false);
+
+      expect(result.reasons).toEqual([
+        expect.objectContaining({
+          field: "pincode",
+          reason: "Delhi (from pincode 110101) is not in the eligible areas: pincodes starting with 1100",
+          requiredValue: ["pincodes starting with 1100"],
+          condition: "include",
+        }),
+      ]);
+    });
+
+    it("asks for the pincode when the profile gives only a state", async () => {
+      const result = await rule.evaluate({ state: "Delhi" }, criteria, false);
+
+      expect(result.reasons).toEqual([]);
+      expect(result.missingFields).toEqual(["pincode"]);
+    });
+
+    it("fails a missing pincode in strict mode", async () => {
+      const result = await rule.evaluate({ state: "Delhi" }, criteria, true);
+
+      expect(result.reasons).toEqual([expect.objectContaining({ field: "pincode", code: "missingValue" })]);
+    });
+
+    it("excludes a place by prefix even when its district is included", async () => {
+      const result = await rule.evaluate({ pincode: "413102" }, { include: ["Pune"], exclude: [{ pincode: "4131" }] }, false);
+
+      expect(result.reasons).toEqual([expect.objectContaining({ condition: "exclude", requiredValue: ["pincodes starting with 4131"] })]);
+    });
+  });
+
+  describe("named areas", () => {
+    it("matches a district resolved from a pincode prefix", async () => {
+      const result = await rule.evaluate({ pincode: "400101" }, { include: ["Maharashtra"], exclude: ["Mumbai"] }, false);
+
+      expect(result.reasons).toEqual([expect.objectContaining({ condition: "exclude", userValue: "Mumbai, Maharashtra" })]);
+    });
+
+    it("asks for the district when only the state's prefix covers the pincode", async () => {
+      const result = await rule.evaluate({ pincode: "413103" }, { include: ["Maharashtra"], exclude: ["Mumbai"] }, false);
+
+      expect(result.reasons).toEqual([]);
+      expect(result.missingFields).toEqual(["district"]);
+      expect(result.location).toMatchObject({ id: "maharashtra", resolvedFrom: "pincode" });
+    });
+  });
+
+  describe("validateCriteria", () => {
+    it("rejects a pincode area that is not a pincode prefix", () => {
+      expect(GeographyRule.validateCriteria({ include: [{ pincode: "0110" }, { pincode: "1100011" }, { pincode: "11" }] })).toHaveLength(2);
+    });
+  });
+});
@@ -0,0 +1,66 @@
+const HouseholdRule = require("../../../src/services/rules/householdRule");
+
+describe("HouseholdRule", () => {
+  const rule = new HouseholdRule();
+  const userProfile = {
+    name: "Sunita Devi",
+    age: 40,
+    familyMembers: [
+      { name: "Ramesh", gender: "male", age: 38 },
+      { name: "Priya", gender: "female", dateOfBirth: "2019-04-12" },
+    ],
+  };
+
+  it("reports every member criterion a member fails", async () => {
+    const result = await rule.evaluate(
+      userProfile,
+      {
+        quantifier: "any",
+        where: [
+          { name: "gender", condition: "equals", conditionValues: "female" },
+          { name: "age", condition: "lt", conditionValues: 10 },
+        ],
+      },
+      false,
+      "en",
+      { asOf: "2025-01-01" }
+    );
+
+    expect(result).toEqual({
+      reasons: [],
+      members: [
+        { index: 0, member: "Ramesh", matched: false, reasons: ["Gender male is not female", "Age 38 must be less than 10"] },
+        { index: 1, member: "Priya", matched: true },
+      ],
+    });
+  });
+
+  it("counts the applicant without the nested member list", async () => {
+    const nested = { name: "Sunita Devi", household: { state: "UP", members: userProfile.familyMembers } };
+    const criteria = {
+      members: "household.members",
+      includeApplicant: true,
+      quantifier: "none",
+      where: [{ name: "household.members", condition: "exists" }],
+    };
+
+    await expect(rule.evaluate(nested, criteria, false)).resolves.toMatchObject({
+      reasons: [],
+      members: [
+        { index: -1, member: "Sunita Devi", matched: false },
+        { index: 0, member: "Ramesh", matched: false },
+        { index: 1, member: "Priya", matched: false },
+      ],
+    });
+    expect(nested.household.members).toHaveLength(2);
+  });
+
+  it("labels an unnamed applicant in the requested locale", async () => {
+    const { name, ...unnamed } = userProfile;
+    const criteria = { includeApplicant: true, quantifier: "all", where: [{ name: "age", condition: "lt", conditionValues: 18 }] };
+
+    await expect(rule.evaluate(unnamed, criteria, false, "hi", { asOf: "2025-01-01" })).resolves.toMatchObject({
+      members: expect.arrayContaining([expect.objectContaining({ index: -1, member: "आवेदक" })]),
+    });
+  });
+});
@@ -0,0 +1,67 @@
+const UserDocumentRule = require("../../../src/services/rules/userDocumentRule");
+const documentVerification = require("../../../src/services/documentVerification");
+const { createTrustedIssuer, incomeCredential, signJwt, signDataIntegrity, tamperJwt } = require("../../helpers/credentials");
+
+const criteria = {
+  documentType: "income",
+  name: "annualIncome",
+  condition: "lte",
+  conditionValues: 250000,
+  allowedProofs: ["IncomeCertificate"],
+  requireCredential: true,
+};
+
+describe("UserDocumentRule with verifiable credentials", () => {
+  const rule = new UserDocumentRule();
+  let issuer;
+
+  beforeAll(() => {
+    issuer = createTrustedIssuer();
+    documentVerification.configure({
+      documentTypes: { income: { provider: "verifiableCredential", options: { trustedIssuersFile: issuer.trustedIssuersFile } } },
+    });
+  });
+
+  afterAll(() => {
+    documentVerification.configure({});
+    issuer.cleanup();
+  });
+
+  it.each([true, false])("evaluates the credential subject of a valid credential (strict: %s)", async (strict) => {
+    const profile = { documents: { income: signDataIntegrity(incomeCredential(), issuer.privateKey) } };
+
+    await expect(rule.execute(profile, criteria, strict)).resolves.toEqual([]);
+    await expect(
+      rule.execute(profile, { ...criteria, conditionValues: 100000 }, strict)
+    ).resolves.toEqual([expect.objectContaining({ field: "annualIncome", userValue: 180000 })]);
+  });
+
+  it.each([true, false])("fails a tampered credential without reading its fields (strict: %s)", async (strict) => {
+    const { proof } = signDataIntegrity(incomeCredential({ credentialSubject: { annualIncome: 900000 } }), issuer.privateKey);
+    const jwt = tamperJwt(signJwt(incomeCredential({ credentialSubject: { annualIncome: 900000 } }), issuer.privateKey), incomeCredential());
+
+    for (const document of [{ ...incomeCredential(), proof }, jwt]) {
+      await expect(rule.execute({ documents: { income: document } }, criteria, strict)).resolves.toEqual([
+        expect.objectContaining({ condition: "verification", code: "invalidSignature" }),
+      ]);
+    }
+  });
+
+  it("fails expired credentials without strict checking", async () => {
+    const profile = {
+      documents: { income: signDataIntegrity(incomeCredential({ validUntil: "2025-03-31T00:00:00Z" }), issuer.privateKey) },
+    };
+
+    await expect(rule.execute(profile, criteria, false, "en", { asOf: "2025-06-01" })).resolves.toEqual([
+      expect.objectContaining({ code: "expired" }),
+    ]);
+  });
+
+  it("rejects plain documents when a credential is required", async () => {
+    const profile = { documents: { income: { type: "IncomeCertificate", annualIncome: 180000, verified: true } } };
+
+    await expect(rule.execute(profile, criteria, false)).resolves.toEqual([
+      expect.objectContaining({ condition: "requireCredential" }),
+    ]);
+  });
+});
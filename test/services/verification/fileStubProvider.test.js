@@ -0,0 +1,50 @@
+const path = require("path");
+const FileStubProvider = require("../../../src/services/verification/fileStubProvider");
+
+const file = path.resolve(__dirname, "../../fixtures/documentRegistry.json");
+
+describe("FileStubProvider", () => {
+  it("finds numbers ignoring spaces, hyphens and case", async () => {
+    const provider = new FileStubProvider({ file });
+
+    await expect(provider.verify({ number: "2345 6789 0124" }, { documentType: "aadhaar" })).resolves.toEqual({
+      status: "verified",
+      details: { source: "fileStub" },
+    });
+    await expect(provider.verify({ number: "up12345678" }, { documentType: "rationCard" })).resolves.toEqual({
+      status: "verified",
+      details: { source: "fileStub", category: "AAY" },
+    });
+  });
+
+  it("returns the status, message and details of the record", async () => {
+    const provider = new FileStubProvider({ file });
+
+    await expect(provider.verify({ number: "9876-5432-1098" }, { documentType: "aadhaar" })).resolves.toEqual({
+      status: "revoked",
+      message: "Cancelled by the issuer",
+      details: { source: "fileStub", revokedOn: "2024-03-01" },
+    });
+  });
+
+  it("reports numbers that are not listed as notFound", async () => {
+    const provider = new FileStubProvider({ file });
+
+    await expect(provider.verify({ number: "111122223333" }, { documentType: "aadhaar" })).resolves.toMatchObject({ status: "notFound" });
+    await expect(provider.verify({}, { documentType: "aadhaar" })).resolves.toMatchObject({ status: "notFound" });
+  });
+
+  it("reads the number from numberField", async () => {
+    const provider = new FileStubProvider({ file, numberField: "cardNumber" });
+
+    await expect(provider.verify({ cardNumber: "UP-1234-5678" }, { documentType: "rationCard" })).resolves.toMatchObject({
+      status: "verified",
+    });
+  });
+
+  it("rejects when the file cannot be read", async () => {
+    const provider = new FileStubProvider({ file: path.resolve(__dirname, "missing.json") });
+
+    await expect(provider.verify({ number: "234567890124" }, { documentType: "aadhaar" })).rejects.toThrow("ENOENT");
+  });
+});
@@ -0,0 +1,71 @@
+const VerifiableCredentialProvider = require("../../../src/services/verification/verifiableCredentialProvider");
+const { createTrustedIssuer, incomeCredential, signJwt, signDataIntegrity, tamperJwt } = require("../../helpers/credentials");
+
+describe("VerifiableCredentialProvider", () => {
+  let issuer;
+  let provider;
+
+  beforeAll(() => {
+    issuer = createTrustedIssuer();
+    provider = new VerifiableCredentialProvider({ trustedIssuersFile: issuer.trustedIssuersFile });
+  });
+
+  afterAll(() => issuer.cleanup());
+
+  const tampered = incomeCredential({ credentialSubject: { name: "Sunita Devi", annualIncome: 18000 } });
+
+  it("verifies a VC-JWT signed by a trusted issuer", async () => {
+    const jwt = signJwt(incomeCredential(), issuer.privateKey);
+
+    await expect(provider.verify(jwt, { documentType: "income" })).resolves.toEqual({
+      status: "verified",
+      details: {
+        issuer: issuer.issuer,
+        credentialId: "urn:uuid:8f0e2a3c-6f5e-4f1a-9d3e-2b7c1d0a9e11",
+        types: ["VerifiableCredential", "IncomeCertificate"],
+      },
+    });
+    await expect(provider.verify({ jwt }, { documentType: "income" })).resolves.toMatchObject({ status: "verified" });
+  });
+
+  it("rejects a VC-JWT whose payload was changed", async () => {
+    const jwt = tamperJwt(signJwt(incomeCredential(), issuer.privateKey), tampered);
+
+    await expect(provider.verify(jwt, { documentType: "income" })).resolves.toMatchObject({ status: "invalidSignature" });
+  });
+
+  it("verifies an eddsa-jcs-2022 proof", async () => {
+    const credential = signDataIntegrity(incomeCredential(), issuer.privateKey);
+
+    await expect(provider.verify(credential, { documentType: "income" })).resolves.toMatchObject({ status: "verified" });
+  });
+
+  it("rejects an eddsa-jcs-2022 proof over changed fields", async () => {
+    const { proof } = signDataIntegrity(incomeCredential(), issuer.privateKey);
+
+    await expect(provider.verify({ ...tampered, proof }, { documentType: "income" })).resolves.toMatchObject({
+      status: "invalidSignature",
+    });
+  });
+
+  it("rejects issuers that are not trusted", async () => {
+    const credential = signDataIntegrity(incomeCredential({ issuer: "did:web:example.com" }), issuer.privateKey);
+
+    await expect(provider.verify(credential, { documentType: "income" })).resolves.toMatchObject({
+      status: "untrustedIssuer",
+      details: { issuer: "did:web:example.com" },
+    });
+  });
+
+  it("rejects expired credentials as of the evaluation date", async () => {
+    const credential = signDataIntegrity(incomeCredential({ validUntil: "2025-03-31T00:00:00Z" }), issuer.privateKey);
+
+    await expect(provider.verify(credential, { documentType: "income", asOf: "2025-06-01" })).resolves.toMatchObject({
+      status: "expired",
+      details: { validUntil: new Date("2025-03-31T00:00:00Z") },
+    });
+    await expect(provider.verify(credential, { documentType: "income", asOf: "2025-01-01" })).resolves.toMatchObject({
+      status: "verified",
+    });
+  });
+});
@@ -0,0 +1,73 @@
+const { getApplicationWindow } = require("../../src/utils/applicationWindow");
+
+describe("getApplicationWindow", () => {
+  it("returns null without a window", () => {
+    expect(getApplicationWindow({ id: "scheme" }, "2024-06-01")).toBeNull();
+  });
+
+  it("includes both ends of a window of dates", () => {
+    const benefit = { applicationOpens: "2024-06-01", applicationCloses: "2024-08-31" };
+
+    expect(getApplicationWindow(benefit, "2024-05-31").status).toBe("notYetOpen");
+    expect(getApplicationWindow(benefit, "2024-06-01").status).toBe("open");
+    expect(getApplicationWindow(benefit, "2024-08-31").status).toBe("open");
+    expect(getApplicationWindow(benefit, "2024-09-15")).toEqual({
+      status: "closed",
+      opens: "2024-06-01",
+      closes: "2024-08-31",
+      asOf: "2024-09-15",
+    });
+  });
+
+  describe("an annual window over the new year", () => {
+    const benefit = { applicationOpens: "11-01", applicationCloses: "01-31" };
+
+    it.each([
+      ["2024-10-31", "notYetOpen", "2024-11-01", "2025-01-31"],
+      ["2024-11-01", "open", "2024-11-01", "2025-01-31"],
+      ["2024-12-31", "open", "2024-11-01", "2025-01-31"],
+      ["2025-01-01", "open", "2024-11-01", "2025-01-31"],
+      ["2025-01-31", "open", "2024-11-01", "2025-01-31"],
+      ["2025-02-01", "notYetOpen", "2025-11-01", "2026-01-31"],
+      ["2025-06-15", "notYetOpen", "2025-11-01", "2026-01-31"],
+    ])("on %s is %s from %s to %s", (asOf, status, opens, closes) => {
+      expect(getApplicationWindow(benefit, asOf)).toEqual({ status, opens, closes, asOf });
+    });
+
+    it("ends on 28 February outside leap years when it ends on 29 February", () => {
+      const leapDay = { applicationOpens: "12-15", applicationCloses: "02-29" };
+
+      expect(getApplicationWindow(leapDay, "2024-02-29")).toMatchObject({ status: "open", opens: "2023-12-15", closes: "2024-02-29" });
+      expect(getApplicationWindow(leapDay, "2025-02-28")).toMatchObject({ status: "open", opens: "2024-12-15", closes: "2025-02-28" });
+      expect(getApplicationWindow(leapDay, "2025-03-01")).toMatchObject({ status: "notYetOpen", opens: "2025-12-15", closes: "2026-02-28" });
+      expect(getApplicationWindow(leapDay, "2027-12-20")).toMatchObject({ status: "open", opens: "2027-12-15", closes: "2028-02-29" });
+    });
+  });
+
+  it("takes an annual window within a year in the year of the check", () => {
+    expect(getApplicationWindow({ applicationOpens: "06-01", applicationCloses: "08-31" }, "2025-09-01")).toEqual({
+      status: "closed",
+      opens: "2025-06-01",
+      closes: "2025-08-31",
+      asOf: "2025-09-01",
+    });
+  });
+
+  it("accepts a window open at one end", () => {
+    expect(getApplicationWindow({ applicationCloses: "2024-08-31" }, "2024-01-01")).toEqual({
+      status: "open",
+      closes: "2024-08-31",
+      asOf: "2024-01-01",
+    });
+  });
+
+  it("rejects dates that close before they open", () => {
+    expect(() => getApplicationWindow({ applicationOpens: "2024-11-01", applicationCloses: "2024-01-31" }, "2024-06-01"))
+      .toThrow("applicationOpens 2024-11-01 is after applicationCloses 2024-01-31");
+  });
+
+  it("rejects an invalid month-day", () => {
+    expect(() => getApplicationWindow({ applicationOpens: "13-01", applicationCloses: "01-31" }, "2024-06-01"))
+      .toThrow("Invalid date value: 13-01");
+  });
+});
@@ -0,0 +1,88 @@
+const {
+  parseArithmeticExpression,
+  evaluateArithmeticExpression,
+  getExpressionReferences,
+} = require("../../src/utils/arithmeticExpression");
+
+const evaluate = (source, profile = {}, options = {}) =>
+  evaluateArithmeticExpression(parseArithmeticExpression(source), (path) => profile[path], options);
+
+describe("parseArithmeticExpression", () => {
+  it("applies operator precedence and parentheses", () => {
+    expect(evaluate("2 + 3 * 4")).toBe(14);
+    expect(evaluate("(2 + 3) * 4")).toBe(20);
+    expect(evaluate("10 - 4 - 3")).toBe(3);
+    expect(evaluate("-2 * -3 + 7 % 4")).toBe(9);
+  });
+
+  it("lists the profile fields an expression uses", () => {
+    expect(getExpressionReferences(parseArithmeticExpression("round(income / max(count(members), 1)) + address.floor"))).toEqual([
+      "income",
+      "members",
+      "address.floor",
+    ]);
+  });
+
+  it.each(["constructor(x)", "toString(x)", "hasOwnProperty(x)", "__proto__(x)", "eval(x)"])(
+    "rejects %s, which is not a whitelisted function",
+    (source) => {
+      expect(() => parseArithmeticExpression(source)).toThrow(/unknown function/);
+    }
+  );
+
+  it("rejects characters outside the grammar", () => {
+    expect(() => parseArithmeticExpression("income; process.exit()")).toThrow("Invalid expression at position 7: unexpected character ';'");
+    expect(() => parseArithmeticExpression("a[\"b\"]")).toThrow(/unexpected character/);
+  });
+
+  it("checks the number of arguments", () => {
+    expect(() => parseArithmeticExpression("abs(1, 2)")).toThrow("wrong number of arguments for 'abs'");
+    expect(() => parseArithmeticExpression("min()")).toThrow("wrong number of arguments for 'min'");
+  });
+
+  it("rejects expressions longer than 500 characters", () => {
+    const source = Array.from({ length: 167 }, () => "1").join("+");
+
+    expect(source.length).toBe(333);
+    expect(() => parseArithmeticExpression(source)).not.toThrow();
+    expect(() => parseArithmeticExpression(`${source}+${source}`)).toThrow("expression is longer than 500 characters");
+  });
+
+  it("rejects nesting deeper than 32 levels", () => {
+    const nested = (depth) => `${"(".repeat(depth)}1${")".repeat(depth)}`;
+
+    expect(() => parseArithmeticExpression(nested(31))).not.toThrow();
+    expect(() => parseArithmeticExpression(nested(32))).toThrow("expression is nested too deeply");
+    expect(() => parseArithmeticExpression(`${"abs(".repeat(32)}1${")".repeat(32)}`)).toThrow("expression is nested too deeply");
+    expect(() => parseArithmeticExpression(`${"-".repeat(40)}1`)).toThrow("expression is nested too deeply");
+  });
+});
+
+describe("evaluateArithmeticExpression", () => {
+  it("leaves the result unset on division by zero", () => {
+    expect(evaluate("income / familySize", { income: 1000, familySize: 0 })).toBeUndefined();
+    expect(evaluate("income % 0", { income: 1000 })).toBeUndefined();
+    expect(evaluate("income / familySize", { income: 1000, familySize: "4" })).toBe(250);
+  });
+
+  it("leaves the result unset when an input is missing or not a number", () => {
+    expect(evaluate("income / familySize", { income: 1000 })).toBeUndefined();
+    expect(evaluate("income * 2", { income: "a lot" })).toBeUndefined();
+  });
+
+  it("counts list entries", () => {
+    expect(evaluate("count(members)", { members: [{}, {}, {}] })).toBe(3);
+    expect(evaluate("count(members)", { members: "3" })).toBeUndefined();
+  });
+
+  it("measures yearsSince, monthsSince and daysSince up to asOf", () => {
+    const profile = { marriageDate: "2015-05-10" };
+
+    expect(evaluate("yearsSince(marriageDate)", profile, { asOf: "2024-05-09" })).toBe(8);
+    expect(evaluate("yearsSince(marriageDate)", profile, { asOf: "2024-05-10" })).toBe(9);
+    expect(evaluate("monthsSince(marriageDate)", profile, { asOf: "2015-07-09" })).toBe(1);
+    expect(evaluate("monthsSince(marriageDate)", profile, { asOf: "2015-07-10" })).toBe(2);
+    expect(evaluate("daysSince(marriageDate)", profile, { asOf: "2015-06-10" })).toBe(31);
+    expect(evaluate("daysSince(marriageDate)", { marriageDate: "not a date" }, { asOf: "2015-06-10" })).toBeUndefined();
+  });
+});
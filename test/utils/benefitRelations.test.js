@@ -0,0 +1,148 @@
+const { resolveBenefitRelations } = require("../../src/utils/benefitRelations");
+
+// A checked benefit: outcome true (eligible), false (ineligible) or null (needs more information)
+const entry = (id, outcome, relations = {}) => ({
+  schemaId: id,
+  benefit: { id, ...relations },
+  details: outcome === null
+    ? { isEligible: false, reasons: [], needsMoreInformation: true, missingFields: ["income"] }
+    : { isEligible: outcome, reasons: outcome ? [] : [{ type: "criteria", reason: "Age 16 is less than 18" }] },
+});
+
+const resolve = (entries, existingBenefits = [], strictChecking = false) =>
+  resolveBenefitRelations(entries, { userProfile: { existingBenefits }, strictChecking, locale: "en" });
+const eligibility = ({ entries }) => Object.fromEntries(entries.map(({ schemaId, details }) => [
+  schemaId,
+  details.isEligible ? true : details.needsMoreInformation ? null : false,
+]));
+
+describe("resolveBenefitRelations", () => {
+  describe("combinations", () => {
+    it("lists the largest sets without an excluded pair", () => {
+      const result = resolve([entry("A", true, { excludes: ["B"] }), entry("B", true), entry("C", true)]);
+
+      expect(result.combinations).toEqual([["A", "C"], ["B", "C"]]);
+      expect(result.conflicts).toEqual([{ schemaIds: ["A", "B"], reason: "A cannot be claimed together with B" }]);
+    });
+
+    it("reports a pair excluding each other once", () => {
+      const result = resolve([entry("A", true, { excludes: ["B"] }), entry("B", true, { excludes: ["A"] })]);
+
+      expect(result.combinations).toEqual([["A"], ["B"]]);
+      expect(result.conflicts).toHaveLength(1);
+    });
+
+    it("keeps every benefit apart when all of them exclude each other", () => {
+      const result = resolve([entry("A", true, { excludes: ["B", "C"] }), entry("B", true, { excludes: ["C"] }), entry("C", true)]);
+
+      expect(result.combinations).toEqual([["A"], ["B"], ["C"]]);
+      expect(result.conflicts).toHaveLength(3);
+    });
+
+    it("drops a benefit from a set without the benefit it is claimed together with", () => {
+      const result = resolve([entry("P", true, { excludes: ["Q"] }), entry("T", true, { requires: ["P"] }), entry("Q", true)]);
+
+      expect(result.combinations).toEqual([["P", "T"], ["Q"]]);
+    });
+
+    it("leaves out ineligible and undecided benefits", () => {
+      const result = resolve([entry("A", true), entry("B", false), entry("C", null)]);
+
+      expect(result.combinations).toEqual([["A"]]);
+    });
+  });
+
+  describe("excludes", () => {
+    it("fails a benefit that excludes one the applicant receives", () => {
+      const [checked] = resolve([entry("A", true, { excludes: ["X"] })], ["X"]).entries;
+
+      expect(checked.details.isEligible).toBe(false);
+      expect(checked.details.reasons).toEqual([{
+        type: "benefitRelation",
+        relation: "excludes",
+        benefitId: "X",
+        reason: "Cannot be combined with X, which the applicant already receives",
+      }]);
+    });
+
+    it("needs existingBenefits to decide, unless strict", () => {
+      const entries = [entry("A", true, { excludes: ["X"] })];
+      const userProfile = {};
+
+      const [undecided] = resolveBenefitRelations(entries, { userProfile, strictChecking: false }).entries;
+      const [failed] = resolveBenefitRelations(entries, { userProfile, strictChecking: true }).entries;
+
+      expect(undecided.details).toMatchObject({ needsMoreInformation: true, missingFields: ["existingBenefits"] });
+      expect(failed.details.isEligible).toBe(false);
+      expect(failed.details.needsMoreInformation).toBeUndefined();
+    });
+  });
+
+  describe("requires", () => {
+    it("passes when the required benefit is received or claimed together", () => {
+      const result = resolve([entry("A", true, { requires: ["X"] }), entry("B", true, { requires: ["C"] }), entry("C", true)], ["X"]);
+
+      expect(eligibility(result)).toEqual({ A: true, B: true, C: true });
+      expect(result.entries[0].details.relations).toEqual([{ relation: "requires", benefitId: "X", status: "alreadyReceived" }]);
+      expect(result.entries[1].details.relations).toEqual([{ relation: "requires", benefitId: "C", status: "claimTogether" }]);
+    });
+
+    it("follows a chain of prerequisites in any order", () => {
+      const result = resolve([entry("A", true, { requires: ["B"] }), entry("B", true, { requires: ["C"] }), entry("C", false)]);
+
+      expect(eligibility(result)).toEqual({ A: false, B: false, C: false });
+      expect(result.entries[0].details.reasons).toEqual([expect.objectContaining({
+        reason: "Only for beneficiaries of B, which the applicant neither receives nor is eligible for",
+      })]);
+    });
+
+    it("carries the missing fields of an undecided prerequisite", () => {
+      const result = resolve([entry("A", true, { requires: ["B"] }), entry("B", null)]);
+
+      expect(result.entries[0].details).toMatchObject({ needsMoreInformation: true, missingFields: ["income"] });
+    });
+
+    it("does not claim together with a closed benefit", () => {
+      const result = resolve([entry("A", true, { requires: ["B"] }), { ...entry("B", true), open: false }]);
+
+      expect(result.entries[0].details.reasons[0].reason).toBe(
+        "Only for beneficiaries of B, which the applicant does not receive and which is closed for applications"
+      );
+    });
+  });
+
+  describe("requires cycles", () => {
+    it("claims benefits requiring each other together", () => {
+      const result = resolve([entry("A", true, { requires: ["B"] }), entry("B", true, { requires: ["C"] }), entry("C", true, { requires: ["A"] })]);
+
+      expect(eligibility(result)).toEqual({ A: true, B: true, C: true });
+      expect(result.combinations).toEqual([["A", "B", "C"]]);
+    });
+
+    it.each([
+      [["A", "B"]],
+      [["B", "A"]],
+    ])("fails the whole cycle when one benefit fails on its own, checked in the order %p", (order) => {
+      const benefits = { A: entry("A", true, { requires: ["B"], excludes: ["X"] }), B: entry("B", true, { requires: ["A"] }) };
+
+      const result = resolve(order.map((id) => benefits[id]), ["X"]);
+
+      expect(eligibility(result)).toEqual({ A: false, B: false });
+      expect(result.combinations).toEqual([]);
+    });
+
+    it("leaves the cycle undecided when one benefit is undecided", () => {
+      const result = resolve([entry("A", true, { requires: ["B"] }), entry("B", null, { requires: ["A"] })]);
+
+      expect(eligibility(result)).toEqual({ A: null, B: null });
+      expect(result.entries[0].details.missingFields).toEqual(["income"]);
+    });
+
+    it("keeps the reasons of a benefit that was already ineligible", () => {
+      const result = resolve([entry("A", false, { requires: ["B"] }), entry("B", true, { requires: ["A"] })]);
+
+      expect(result.entries[0].details.reasons.map((reason) => reason.type)).toEqual(["criteria", "benefitRelation"]);
+      expect(eligibility(result)).toEqual({ A: false, B: false });
+    });
+  });
+});
@@ -0,0 +1,47 @@
+const { checkBenefitEligibility } = require("../../src/utils/benefitSchemaEligibility");
+
+const criterion = (id, name, condition, conditionValues) => ({ id, type: "userProfile", criteria: { name, condition, conditionValues } });
+
+const eligibility = [criterion("B1", "age", "gte", 18), criterion("B2", "income", "lte", 100000)];
+
+describe("checkBenefitEligibility with missing values", () => {
+  it("needs more information when an undecided criterion decides the outcome", async () => {
+    const result = await checkBenefitEligibility({ age: 20 }, eligibility, null, false);
+
+    expect(result.isEligible).toBe(false);
+    expect(result.needsMoreInformation).toBe(true);
+    expect(result.missingFields).toEqual(["income"]);
+    expect(result.evaluationResults).toEqual({ B1: true, B2: null });
+    expect(result.reasons).toEqual([expect.objectContaining({ type: "missingInformation", missingFields: ["income"] })]);
+    expect(result.gapAnalysis).toBeUndefined();
+  });
+
+  it("is ineligible when a failed criterion decides the outcome whatever the missing value", async () => {
+    const result = await checkBenefitEligibility({ age: 16 }, eligibility, null, false);
+
+    expect(result.isEligible).toBe(false);
+    expect(result.needsMoreInformation).toBeUndefined();
+    expect(result.evaluationResults).toEqual({ B1: false, B2: null });
+  });
+
+  it.each([
+    ["B1 || B2", { age: 20 }, true, undefined],
+    ["B1 || B2", { age: 16 }, false, true],
+    ["B1 && B2", { age: 20 }, false, true],
+    ["B1 && B2", { age: 16 }, false, undefined],
+    ["!B2", { age: 20 }, false, true],
+  ])("evaluates %s over %p with Kleene logic", async (logic, profile, isEligible, needsMoreInformation) => {
+    const result = await checkBenefitEligibility(profile, eligibility, logic, false);
+
+    expect(result.isEligible).toBe(isEligible);
+    expect(result.needsMoreInformation).toBe(needsMoreInformation);
+  });
+
+  it("fails a missing value in strict mode instead of asking for it", async () => {
+    const result = await checkBenefitEligibility({ age: 20 }, eligibility, null, true);
+
+    expect(result.isEligible).toBe(false);
+    expect(result.needsMoreInformation).toBeUndefined();
+    expect(result.evaluationResults).toEqual({ B1: true, B2: false });
+  });
+});
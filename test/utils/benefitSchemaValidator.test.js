@@ -0,0 +1,26 @@
+const { validateBenefitSchema } = require("../../src/utils/benefitSchemaValidator");
+
+const criterion = (id) => ({ id, type: "userProfile", criteria: { name: "age", condition: "gte", conditionValues: 18 } });
+
+describe("validateBenefitSchema", () => {
+  it("accepts logic over declared criteria", () => {
+    expect(validateBenefitSchema([criterion("B1"), criterion("B2")], "B1 && !B2")).toEqual([]);
+  });
+
+  it("reports duplicate ids and unknown references", () => {
+    expect(validateBenefitSchema([criterion("B1"), criterion("B1")], "B1 && B2")).toEqual([
+      "Duplicate criterion id: B1",
+      "eligibilityEvaluationLogic references unknown criterion B2 at position 7",
+    ]);
+  });
+
+  it.each(["and", "OR", "Not"])("rejects the criterion id %s, which reads as an operator", (id) => {
+    expect(validateBenefitSchema([criterion(id)])).toEqual([
+      `Criterion id ${id} is a logic operator (AND, OR, NOT) and cannot be used as an id`,
+    ]);
+  });
+
+  it("reports logic that does not parse", () => {
+    expect(validateBenefitSchema([criterion("B1")], "B1 &&")).toEqual([expect.stringContaining("unexpected end of expression")]);
+  });
+});
@@ -0,0 +1,89 @@
+const { decideGroup, getGroupChildren, getGroupType, validateGroup } = require("../../src/utils/criteriaGroups");
+const { checkBenefitEligibility } = require("../../src/utils/benefitSchemaEligibility");
+
+const criterion = (id, name, condition, conditionValues) => ({ id, type: "userProfile", criteria: { name, condition, conditionValues } });
+
+describe("decideGroup", () => {
+  it.each([
+    [{ all: [] }, [true, true], true],
+    [{ all: [] }, [true, false], false],
+    [{ all: [] }, [true, null], null],
+    [{ all: [] }, [false, null], false],
+    [{ any: [] }, [false, true], true],
+    [{ any: [] }, [null, true], true],
+    [{ any: [] }, [false, null], null],
+    [{ any: [] }, [false, false], false],
+    [{ none: [] }, [false, false], true],
+    [{ none: [] }, [false, true], false],
+    [{ none: [] }, [false, null], null],
+    [{ atLeast: 2, of: [] }, [true, false, true], true],
+    [{ atLeast: 2, of: [] }, [true, false, false], false],
+    [{ atLeast: 2, of: [] }, [true, null, false], null],
+    [{ atLeast: 2, of: [] }, [false, null, false], false],
+  ])("decides %p with %p as %p", (node, outcomes, expected) => {
+    expect(decideGroup(node, outcomes)).toBe(expected);
+  });
+});
+
+describe("validateGroup", () => {
+  it("reads the group type and entries", () => {
+    const node = { atLeast: 1, of: [criterion("B1", "age", "gte", 18)] };
+
+    expect(getGroupType(node)).toBe("atLeast");
+    expect(getGroupChildren(node)).toBe(node.of);
+    expect(getGroupType(criterion("B1", "age", "gte", 18))).toBeNull();
+    expect(validateGroup(node, 1)).toEqual([]);
+  });
+
+  it("rejects empty, ambiguous and too deeply nested groups", () => {
+    expect(validateGroup({ id: "G1", any: [] }, 1)).toEqual(['Criteria group "G1" must list at least one entry']);
+    expect(validateGroup({ id: "G1", any: [{}], all: [{}] }, 1)).toEqual([
+      'Eligibility entry "G1" must be either a criterion or a single group (all, any, none or atLeast/of)',
+    ]);
+    expect(validateGroup({ any: [{}] }, 17)).toEqual(["Criteria groups are nested more than 16 levels deep"]);
+  });
+
+  it.each([0, 3, 1.5, "2"])("rejects atLeast %p over two entries", (atLeast) => {
+    expect(validateGroup({ id: "G1", atLeast, of: [{}, {}] }, 1)).toEqual([
+      `Criteria group "G1": atLeast must be a whole number between 1 and 2, got ${atLeast}`,
+    ]);
+  });
+});
+
+describe("checkBenefitEligibility with groups", () => {
+  const eligibility = [
+    criterion("age", "age", "gte", 18),
+    {
+      id: "G1",
+      atLeast: 2,
+      of: [
+        criterion("sc", "caste", "in", ["sc", "st"]),
+        criterion("low", "income", "lte", 100000),
+        { any: [criterion("rural", "area", "equals", "rural"), criterion("bpl", "bplCard", "equals", true)] },
+      ],
+    },
+  ];
+
+  it("reports the outcome of the group and its entries", async () => {
+    const result = await checkBenefitEligibility({ age: 20, caste: "sc", area: "rural", income: 500000 }, eligibility, null, false, "en");
+
+    expect(result.isEligible).toBe(true);
+    expect(result.evaluationResults).toMatchObject({ age: true, sc: true, low: false, rural: true, G1: true });
+    expect(result.criteriaResults[1]).toMatchObject({ ruleKey: "G1", group: "atLeast", atLeast: 2, passed: true });
+  });
+
+  it("can be referenced from the logic by its id", async () => {
+    const profile = { age: 16, caste: "sc", income: 50000 };
+
+    await expect(checkBenefitEligibility(profile, eligibility, "G1", false, "en")).resolves.toMatchObject({ isEligible: true });
+    await expect(checkBenefitEligibility(profile, eligibility, "age && G1", false, "en")).resolves.toMatchObject({ isEligible: false });
+  });
+
+  it("stays undecided when missing information could change the outcome", async () => {
+    const result = await checkBenefitEligibility({ age: 20, caste: "obc", income: 50000 }, eligibility, null, false, "en");
+
+    expect(result.isEligible).toBe(false);
+    expect(result.needsMoreInformation).toBe(true);
+    expect(result.evaluationResults.G1).toBeNull();
+  });
+});
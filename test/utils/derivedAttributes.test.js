@@ -0,0 +1,48 @@
+const { computeDerivedAttributes } = require("../../src/utils/derivedAttributes");
+
+describe("computeDerivedAttributes", () => {
+  it("adds the attributes in declaration order", () => {
+    const { profile, values } = computeDerivedAttributes(
+      { income: 240000, familySize: 4, marriageDate: "2015-05-10" },
+      [
+        { name: "perCapitaIncome", expression: "income / familySize" },
+        { name: "monthlyPerCapitaIncome", expression: "round(perCapitaIncome / 12)" },
+        { name: "yearsSinceMarriage", expression: "yearsSince(marriageDate)" },
+      ],
+      { asOf: "2024-07-01" }
+    );
+
+    expect(values).toEqual({ perCapitaIncome: 60000, monthlyPerCapitaIncome: 5000, yearsSinceMarriage: 9 });
+    expect(profile).toMatchObject(values);
+  });
+
+  it("leaves an attribute that divides by zero unset, replacing a supplied value", () => {
+    const { profile, values } = computeDerivedAttributes({ income: 240000, familySize: 0, perCapitaIncome: 10 }, [
+      { name: "perCapitaIncome", expression: "income / familySize" },
+    ]);
+
+    expect(values).toEqual({ perCapitaIncome: null });
+    expect(profile).not.toHaveProperty("perCapitaIncome");
+  });
+
+  it("does not change the profile it was given", () => {
+    const userProfile = { income: 100 };
+
+    computeDerivedAttributes(userProfile, [{ name: "double", expression: "income * 2" }]);
+    expect(userProfile).toEqual({ income: 100 });
+  });
+
+  it.each(["address.pincode", "1st", "per capita", ""])("rejects the name %p", (name) => {
+    expect(() => computeDerivedAttributes({}, [{ name, expression: "1" }])).toThrow("name must be a plain identifier");
+  });
+
+  it.each(["__proto__", "constructor", "prototype"])("rejects the reserved name %s", (name) => {
+    expect(() => computeDerivedAttributes({}, [{ name, expression: "1" }])).toThrow(`Invalid derived attribute ${name}: name is reserved`);
+  });
+
+  it("reports the attribute whose expression does not parse", () => {
+    expect(() => computeDerivedAttributes({}, [{ name: "bad", expression: "constructor(income)" }])).toThrow(
+      "Invalid derived attribute bad: Invalid expression at position 1: unknown function 'constructor'"
+    );
+  });
+});
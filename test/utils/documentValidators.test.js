@@ -0,0 +1,68 @@
+const { verhoeffCheck, getDocumentFormat, validateDocumentNumber } = require("../../src/utils/documentValidators");
+
+describe("verhoeffCheck", () => {
+  it.each([
+    ["2363", true],
+    ["2364", false],
+    ["234567890124", true],
+    ["234567890125", false],
+  ])("checks %s as %p", (digits, expected) => {
+    expect(verhoeffCheck(digits)).toBe(expected);
+  });
+
+  it("catches adjacent transpositions", () => {
+    expect(verhoeffCheck("243567890124")).toBe(false);
+    expect(verhoeffCheck("234567890142")).toBe(false);
+  });
+
+  it("rejects anything but digits", () => {
+    expect(verhoeffCheck("")).toBe(false);
+    expect(verhoeffCheck("2345 6789 0124")).toBe(false);
+  });
+});
+
+describe("validateDocumentNumber for Aadhaar", () => {
+  it("accepts a number with a valid check digit, ignoring separators, and masks it", () => {
+    expect(validateDocumentNumber("aadhaar", { number: "2345 6789 0124" })).toEqual({
+      documentType: "aadhaar",
+      field: "number",
+      valid: true,
+      value: "XXXXXXXX0124",
+    });
+    expect(validateDocumentNumber("aadhaar", { number: "2345-6789-0124" })).toMatchObject({ valid: true });
+  });
+
+  it("reports a wrong check digit", () => {
+    expect(validateDocumentNumber("aadhaar", { number: "2345 6789 0125" })).toEqual({
+      documentType: "aadhaar",
+      field: "number",
+      valid: false,
+      value: "XXXXXXXX0125",
+      code: "invalidChecksum",
+    });
+  });
+
+  it("checks the format before the check digit", () => {
+    expect(validateDocumentNumber("aadhaar", { number: "1234 5678 9012" })).toMatchObject({
+      valid: false,
+      code: "invalidFormat",
+      expected: "12 digits, not starting with 0 or 1",
+    });
+    expect(validateDocumentNumber("aadhaar", { number: "2345 6789 012" })).toMatchObject({ code: "invalidFormat" });
+  });
+
+  it("reports a missing number", () => {
+    expect(validateDocumentNumber("aadhaar", {})).toEqual({ documentType: "aadhaar", field: "number", valid: false, code: "missingNumber" });
+    expect(validateDocumentNumber("aadhaar", { number: "  " })).toMatchObject({ code: "missingNumber" });
+  });
+
+  it("finds the format by alias", () => {
+    expect(getDocumentFormat("aadhaar_card")).toMatchObject({ documentType: "aadhaar", checksum: "verhoeff" });
+    expect(validateDocumentNumber("uid", { number: "234567890124" })).toMatchObject({ documentType: "aadhaar", valid: true });
+  });
+
+  it("returns null for an unknown document type", () => {
+    expect(getDocumentFormat("passport")).toBeNull();
+    expect(validateDocumentNumber("passport", { number: "2345 6789 0124" })).toBeNull();
+  });
+});
@@ -0,0 +1,38 @@
+const { checkCriteria } = require("../../src/utils/eligibilityUtils");
+
+describe("checkCriteria matches", () => {
+  it("matches schema supplied patterns and flags", async () => {
+    await expect(checkCriteria("411001", "matches", "^4[0-4]\\d{4}$")).resolves.toBe(true);
+    await expect(checkCriteria("511001", "matches", "^4[0-4]\\d{4}$")).resolves.toBe(false);
+    await expect(checkCriteria("MH-12-AB", "matches", "/^mh-\\d+/i")).resolves.toBe(true);
+  });
+
+  it.each([
+    ["^(a|a)*$", `${"a".repeat(28)}b`],
+    ["^((a+))+$", `${"a".repeat(28)}b`],
+    ["^(\\w*)*$", `${"a".repeat(999)}!`],
+  ])("evaluates %s in linear time", async (pattern, input) => {
+    const started = Date.now();
+    await expect(checkCriteria(input, "matches", pattern)).resolves.toBe(false);
+    expect(Date.now() - started).toBeLessThan(1000);
+  });
+
+  it("rejects patterns RE2 cannot run and unsupported flags", async () => {
+    await expect(checkCriteria("aa", "matches", "(a)\\1")).rejects.toThrow("Invalid regular expression pattern");
+    await expect(checkCriteria("ab", "matches", "a(?=b)")).rejects.toThrow("Invalid regular expression pattern");
+    await expect(checkCriteria("ab", "matches", "/ab/g")).rejects.toThrow("unsupported flags");
+  });
+});
+
+describe("checkCriteria in and notIn", () => {
+  it.each([
+    [5, 5, true],
+    [5, [5, 6], true],
+    [7, 5, false],
+    ["sc", ["sc", "st"], true],
+    ["obc", "sc", false],
+  ])("treats %p in %p as %p and notIn as its complement", async (value, conditionValues, expected) => {
+    await expect(checkCriteria(value, "in", conditionValues)).resolves.toBe(expected);
+    await expect(checkCriteria(value, "notIn", conditionValues)).resolves.toBe(!expected);
+  });
+});
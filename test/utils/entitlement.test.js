@@ -0,0 +1,171 @@
+const { validateEntitlement, calculateEntitlement, totalEntitlements } = require("../../src/utils/entitlement");
+
+const children = [{ relation: "son" }, { relation: "daughter" }, { relation: "spouse" }];
+const entitlement = {
+  period: "perAnnum",
+  cap: 30000,
+  components: [
+    { type: "fixed", amount: 6000 },
+    { type: "slab", field: "income", slabs: [{ upTo: 100000, amount: 12000 }, { upTo: 250000, amount: 6000 }] },
+    { type: "perUnit", field: "familyMembers", where: { relation: ["son", "daughter"] }, amount: 2500, maxUnits: 2 },
+  ],
+};
+
+describe("calculateEntitlement", () => {
+  it("adds up the components of the documented example", () => {
+    expect(calculateEntitlement({ income: 90000, familyMembers: children }, entitlement)).toEqual({
+      amount: 23000,
+      currency: "INR",
+      period: "perAnnum",
+      capped: false,
+      breakdown: [
+        { type: "fixed", amount: 6000, description: "Fixed amount" },
+        {
+          type: "slab",
+          field: "income",
+          value: 90000,
+          slab: { upTo: 100000, amount: 12000 },
+          amount: 12000,
+          description: "Annual income up to 1,00,000",
+        },
+        {
+          type: "perUnit",
+          field: "familyMembers",
+          units: 2,
+          countedUnits: 2,
+          amount: 5000,
+          description: "₹2,500 for each of 2 Family members",
+        },
+      ],
+    });
+  });
+
+  describe("slabs", () => {
+    const slabAmount = (income) => calculateEntitlement({ income, familyMembers: [] }, entitlement).breakdown[1];
+
+    it("includes the upper limit of a slab", () => {
+      expect(slabAmount(100000)).toMatchObject({ amount: 12000, slab: { upTo: 100000 } });
+      expect(slabAmount(100001)).toMatchObject({ amount: 6000, slab: { upTo: 250000 } });
+    });
+
+    it("contributes nothing above every slab", () => {
+      expect(slabAmount(300000)).toEqual({
+        type: "slab",
+        field: "income",
+        value: 300000,
+        amount: 0,
+        description: "Annual income 3,00,000 is above every slab",
+      });
+    });
+
+    it("matches any value to an open last slab", () => {
+      const open = { components: [{ type: "slab", field: "income", slabs: [{ upTo: 100000, amount: 12000 }, { amount: 3000 }] }] };
+
+      expect(calculateEntitlement({ income: 5000000 }, open).breakdown[0]).toMatchObject({ amount: 3000, slab: { amount: 3000 } });
+    });
+
+    it("converts the profile value into the unit of the limits", () => {
+      const annual = {
+        components: [{ type: "slab", field: "income", unit: "perAnnum", valueUnit: "perMonth", slabs: [{ upTo: 50000, amount: 12000 }, { amount: 3000 }] }],
+      };
+
+      expect(calculateEntitlement({ income: 5000 }, annual)).toMatchObject({ amount: 3000, breakdown: [{ value: 60000 }] });
+    });
+
+    it("rejects a value that is not a number", () => {
+      expect(() => calculateEntitlement({ income: "a lot", familyMembers: [] }, entitlement)).toThrow();
+    });
+  });
+
+  describe("units", () => {
+    it("counts the matching list entries up to maxUnits", () => {
+      const familyMembers = [{ relation: "Son" }, { relation: "daughter" }, { relation: "daughter" }];
+
+      expect(calculateEntitlement({ income: 90000, familyMembers }, entitlement).breakdown[2]).toMatchObject({
+        units: 3,
+        countedUnits: 2,
+        amount: 5000,
+      });
+    });
+
+    it("reads an empty list as no units", () => {
+      expect(calculateEntitlement({ income: 90000, familyMembers: [] }, entitlement)).toMatchObject({ amount: 18000 });
+    });
+  });
+
+  describe("caps", () => {
+    const capped = { cap: 10000, components: [{ type: "fixed", amount: 8000 }, { type: "perUnit", field: "children", amount: 1500, cap: 4000 }] };
+
+    it("limits a component and then the total", () => {
+      const result = calculateEntitlement({ children: 5 }, capped);
+
+      expect(result.breakdown[1]).toMatchObject({ units: 5, amount: 4000, capped: true });
+      expect(result).toMatchObject({ amount: 10000, capped: true });
+    });
+
+    it("leaves amounts under the caps alone", () => {
+      const result = calculateEntitlement({ children: 1 }, capped);
+
+      expect(result.breakdown[1].capped).toBeUndefined();
+      expect(result).toMatchObject({ amount: 9500, capped: false });
+    });
+  });
+
+  it("has no amount while a component's field is missing", () => {
+    const result = calculateEntitlement({ familyMembers: children }, entitlement);
+
+    expect(result.amount).toBeNull();
+    expect(result.missingFields).toEqual(["income"]);
+    expect(result.breakdown[1]).toMatchObject({ amount: null, missingFields: ["income"] });
+  });
+});
+
+describe("totalEntitlements", () => {
+  const eligible = (schemaId, amount, currency = "INR", period = "perAnnum") => ({
+    schemaId,
+    details: { entitlement: { amount, currency, ...(period && { period }) } },
+  });
+
+  it("totals by currency and period and lists benefits without an amount", () => {
+    const totals = totalEntitlements([
+      eligible("a", 1000.1),
+      eligible("b", 2000.2),
+      eligible("c", 500, "INR", null),
+      eligible("d", null),
+      { schemaId: "e", details: {} },
+      eligible("f", 10, "USD"),
+    ]);
+
+    expect(totals).toEqual([
+      { currency: "INR", period: "perAnnum", amount: 3000.3, schemaIds: ["a", "b"], incomplete: ["d"] },
+      { currency: "INR", period: undefined, amount: 500, schemaIds: ["c"], incomplete: [] },
+      { currency: "USD", period: "perAnnum", amount: 10, schemaIds: ["f"], incomplete: [] },
+    ]);
+  });
+
+  it("returns no totals without entitlements", () => {
+    expect(totalEntitlements([{ schemaId: "a", details: {} }])).toEqual([]);
+  });
+});
+
+describe("validateEntitlement", () => {
+  it("accepts the documented example", () => {
+    expect(validateEntitlement(entitlement)).toEqual([]);
+  });
+
+  it("requires rising slab limits with only the last one open", () => {
+    const slabs = (list) => ({ components: [{ type: "slab", field: "income", slabs: list }] });
+
+    expect(validateEntitlement(slabs([{ upTo: 100, amount: 1 }, { upTo: 50, amount: 2 }]))).toHaveLength(1);
+    expect(validateEntitlement(slabs([{ amount: 1 }, { upTo: 50, amount: 2 }]))).toHaveLength(1);
+    expect(validateEntitlement(slabs([]))).toHaveLength(1);
+  });
+
+  it("rejects negative amounts and caps and unknown components", () => {
+    expect(validateEntitlement({ cap: -1, components: [{ type: "fixed", amount: -1 }, { type: "bonus" }] })).toEqual([
+      "entitlement cap must be a number of at least 0, got -1",
+      "entitlement components[0].amount must be a number of at least 0, got -1",
+      "unsupported entitlement component type \"bonus\", expected fixed, slab or perUnit",
+    ]);
+  });
+});
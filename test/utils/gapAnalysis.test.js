@@ -0,0 +1,96 @@
+const { analyzeGaps, getBoundaryDistance } = require("../../src/utils/gapAnalysis");
+const { parseLogicExpression } = require("../../src/utils/logicExpression");
+
+const conditionsByKey = {
+  income: { type: "userProfile", criteria: { name: "income", condition: "lte", conditionValues: 250000 } },
+  age: { type: "userProfile", criteria: { name: "age", condition: "gt", conditionValues: 18 } },
+  caste: { type: "userProfile", criteria: { name: "caste", condition: "in", conditionValues: ["sc", "st"] } },
+};
+
+describe("getBoundaryDistance", () => {
+  it("reports the distance past an inclusive bound", () => {
+    expect(getBoundaryDistance(conditionsByKey.income.criteria, { userValue: 262000 })).toEqual({
+      direction: "exceedsBy",
+      amount: 12000,
+      unit: undefined,
+    });
+  });
+
+  it("reports the limit of an lt bound, measured to the limit itself", () => {
+    const criteria = { condition: "lt", conditionValues: 18 };
+
+    expect(getBoundaryDistance(criteria, { userValue: 20 })).toEqual({ direction: "mustBeBelow", amount: 2, limit: 18, unit: undefined });
+    expect(getBoundaryDistance(criteria, { userValue: 18 })).toEqual({ direction: "mustBeBelow", amount: 0, limit: 18, unit: undefined });
+  });
+
+  it("reports the limit of a gt bound, measured to the limit itself", () => {
+    expect(getBoundaryDistance(conditionsByKey.age.criteria, { userValue: 16 })).toEqual({
+      direction: "mustBeAbove",
+      amount: 2,
+      limit: 18,
+      unit: undefined,
+    });
+    expect(getBoundaryDistance(conditionsByKey.age.criteria, { userValue: 18 })).toMatchObject({ direction: "mustBeAbove", amount: 0 });
+  });
+
+  it("leaves out the distance for a date on a strict bound", () => {
+    expect(getBoundaryDistance({ condition: "before", conditionValues: "2024-04-01" }, { userValue: "2024-04-01" })).toBeNull();
+  });
+});
+
+describe("analyzeGaps messages", () => {
+  it.each([
+    ["lt", 20, "Age must be below 18"],
+    ["gt", 18, "Age must be above 18"],
+    ["lte", 20, "Age exceeds the limit by 2"],
+    ["gte", 16, "Age is short of the minimum by 2"],
+  ])("describes a failed %s bound", (condition, userValue, message) => {
+    const criteriaResults = [
+      { ruleKey: "age", passed: false, reasons: [{ type: "userProfile", field: "age", reason: "", userValue, condition }] },
+    ];
+    const conditions = { age: { type: "userProfile", criteria: { name: "age", condition, conditionValues: 18 } } };
+
+    expect(analyzeGaps(criteriaResults, conditions, { locale: "en" }).criteria[0].message).toBe(message);
+  });
+});
+
+describe("analyzeGaps", () => {
+  it("labels missing values and evaluation errors apart", () => {
+    const criteriaResults = [
+      {
+        ruleKey: "caste",
+        passed: false,
+        reasons: [{ type: "userProfile", field: "caste", reason: "Missing field: caste", code: "missingValue" }],
+      },
+      {
+        ruleKey: "age",
+        passed: false,
+        reasons: [{ type: "userProfile", field: "age", reason: "Error checking criteria", code: "evaluationError" }],
+      },
+    ];
+    const result = analyzeGaps(criteriaResults, conditionsByKey, { locale: "en" });
+
+    expect(result.achievable).toBe(false);
+    expect(result.criteria).toEqual([expect.objectContaining({ ruleKey: "age", kind: "error" })]);
+  });
+
+  it("only asks for criteria the citizen can act on", () => {
+    const criteriaResults = [
+      {
+        ruleKey: "caste",
+        passed: false,
+        reasons: [{ type: "userProfile", field: "caste", reason: "Missing field: caste", code: "missingValue" }],
+      },
+      {
+        ruleKey: "age",
+        passed: false,
+        reasons: [{ type: "userProfile", field: "age", reason: "Error checking criteria", code: "evaluationError" }],
+      },
+    ];
+    const logicAst = parseLogicExpression("caste || age");
+    const result = analyzeGaps(criteriaResults, conditionsByKey, { logicAst, locale: "en" });
+
+    expect(result.achievable).toBe(true);
+    expect(result.criteria).toEqual([expect.objectContaining({ ruleKey: "caste", kind: "missingInformation" })]);
+  });
+});
@@ -0,0 +1,59 @@
+const { findPincode, resolveLocation } = require("../../src/utils/geography");
+
+describe("findPincode", () => {
+  it.each([
+    ["413102", "maharashtra/pune/baramati"],
+    ["413103", "maharashtra"],
+    ["411038", "maharashtra/pune"],
+    ["400101", "maharashtra/mumbai"],
+    ["400200", "maharashtra"],
+    ["110001", "delhi/new delhi"],
+    ["110002", "delhi"],
+  ])("places %s in %s", (pincode, id) => {
+    expect(findPincode(pincode).id).toBe(id);
+  });
+
+  it("prefers a listed pincode to the prefixes covering it", () => {
+    expect(findPincode("413102").level).toBe("block");
+  });
+
+  it("uses the longest matching prefix", () => {
+    // Mumbai lists "40010" under Maharashtra's "400"
+    expect(findPincode("400105").id).toBe("maharashtra/mumbai");
+    expect(findPincode("400500").id).toBe("maharashtra");
+  });
+
+  it("ignores spaces and accepts numbers", () => {
+    expect(findPincode("41 1038").id).toBe("maharashtra/pune");
+    expect(findPincode(411038).id).toBe("maharashtra/pune");
+  });
+
+  it.each(["999999", "011001", "4111", "41103a", ""])("does not place %p", (pincode) => {
+    expect(findPincode(pincode)).toBeNull();
+  });
+});
+
+describe("resolveLocation", () => {
+  it("places the applicant by a pincode more specific than the state", () => {
+    const { place, resolvedFrom, conflicting } = resolveLocation({ state: "Maharashtra", pincode: "411038" });
+
+    expect(place.id).toBe("maharashtra/pune");
+    expect(resolvedFrom).toBe("pincode");
+    expect(conflicting).toEqual([]);
+  });
+
+  it("reports a state that does not contain the pincode's place", () => {
+    const { place, conflicting } = resolveLocation({ state: "Karnataka", pincode: "411038" });
+
+    expect(place.id).toBe("maharashtra/pune");
+    expect(conflicting).toEqual(["state"]);
+  });
+
+  it("lists a pincode outside the dataset as unresolved", () => {
+    expect(resolveLocation({ state: "Delhi", pincode: "999999" })).toMatchObject({
+      place: expect.objectContaining({ id: "delhi" }),
+      resolvedFrom: "state",
+      unresolved: ["pincode"],
+    });
+  });
+});
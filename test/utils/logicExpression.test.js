@@ -0,0 +1,65 @@
+const { parseLogicExpression, evaluateLogicExpression, getLogicReferences } = require("../../src/utils/logicExpression");
+
+const evaluate = (source, results) => evaluateLogicExpression(parseLogicExpression(source), results);
+
+describe("parseLogicExpression", () => {
+  it("binds NOT tighter than AND, and AND tighter than OR", () => {
+    expect(evaluate("B1 || B2 && B3", { B1: true, B2: false, B3: false })).toBe(true);
+    expect(evaluate("(B1 || B2) && B3", { B1: true, B2: false, B3: false })).toBe(false);
+    expect(evaluate("!B1 && B2", { B1: true, B2: true })).toBe(false);
+    expect(evaluate("NOT (B1 AND B2)", { B1: true, B2: false })).toBe(true);
+  });
+
+  it("accepts word operators in any case", () => {
+    expect(evaluate("b1 and not b2 Or b3", { b1: true, b2: true, b3: false })).toBe(false);
+  });
+
+  it("lists the references with their position", () => {
+    expect(getLogicReferences(parseLogicExpression("B5 && (212 || !income-limit)"))).toEqual([
+      { id: "B5", index: 0 },
+      { id: "212", index: 7 },
+      { id: "income-limit", index: 15 },
+    ]);
+  });
+
+  it.each([
+    ["B1 && ", "Invalid expression at position 7: unexpected end of expression"],
+    ["B1 B2", "Invalid expression at position 4: unexpected 'B2'"],
+    ["(B1 || B2", "Invalid expression at position 10: unexpected end of expression"],
+    ["B1 & B2", "Invalid expression at position 4: unexpected character '&'"],
+    ["process.exit()", "Invalid expression at position 13: unexpected '('"],
+  ])("rejects %p", (source, message) => {
+    expect(() => parseLogicExpression(source)).toThrow(message);
+  });
+
+  it("rejects nesting deeper than 64 levels, through parentheses or negations", () => {
+    expect(() => parseLogicExpression(`${"(".repeat(63)}B1${")".repeat(63)}`)).not.toThrow();
+    expect(() => parseLogicExpression(`${"(".repeat(64)}B1${")".repeat(64)}`)).toThrow("expression is nested too deeply");
+    expect(() => parseLogicExpression(`${"!".repeat(63)}B1`)).not.toThrow();
+    expect(() => parseLogicExpression(`${"not ".repeat(64)}B1`)).toThrow("expression is nested too deeply");
+  });
+
+  it("rejects logic longer than 2000 characters", () => {
+    expect(() => parseLogicExpression(Array.from({ length: 400 }, (_, index) => `B${index}`).join(" && "))).toThrow(
+      "expression is longer than 2000 characters"
+    );
+  });
+});
+
+describe("evaluateLogicExpression", () => {
+  it.each([
+    ["B1 && B2", { B1: false, B2: null }, false],
+    ["B1 && B2", { B1: true, B2: null }, null],
+    ["B1 || B2", { B1: true, B2: null }, true],
+    ["B1 || B2", { B1: false, B2: null }, null],
+    ["!B1", { B1: null }, null],
+    ["!B1 || B2", { B1: undefined, B2: true }, true],
+  ])("evaluates %s with %p as %p", (source, results, expected) => {
+    expect(evaluate(source, results)).toBe(expected);
+  });
+
+  it("throws on references without a result, even when the other operand decides", () => {
+    expect(() => evaluate("B1 || B9", { B1: true })).toThrow("Unknown criterion reference: B9");
+    expect(() => evaluate("constructor", {})).toThrow("Unknown criterion reference: constructor");
+  });
+});
@@ -0,0 +1,90 @@
+const { allocateSeats } = require("../../src/utils/seatAllocation");
+
+const allocation = {
+  totalSeats: 2,
+  vertical: [{ category: "sc", seats: 1 }],
+  merit: [{ field: "marks", order: "desc" }],
+};
+
+const entries = [
+  { details: { name: "Asha" }, userProfile: { name: "Asha", caste: "general", marks: 80 } },
+  { details: { name: "Ravi" }, userProfile: { name: "Ravi", caste: "general", marks: 80 } },
+  { details: { name: "Meena" }, userProfile: { name: "Meena", caste: "sc", marks: 60 } },
+  { details: { name: "Kiran" }, userProfile: { name: "Kiran", caste: "sc", marks: 60 } },
+];
+
+const names = (list) => list.map((entry) => entry.details.name);
+
+describe("allocateSeats", () => {
+  it("breaks ties without applicationId the same way whatever the input order", () => {
+    const forward = allocateSeats(entries, allocation);
+    const reversed = allocateSeats([...entries].reverse(), allocation);
+
+    expect(names(forward.selected)).toEqual(["Asha", "Kiran"]);
+    expect(names(reversed.selected)).toEqual(names(forward.selected));
+    expect(names(reversed.waitlisted)).toEqual(names(forward.waitlisted));
+  });
+
+  it("breaks ties on the lower applicationId first", () => {
+    const withIds = entries.map((entry, index) => ({ ...entry, applicationId: `A${entries.length - index}` }));
+
+    expect(names(allocateSeats(withIds, allocation).selected)).toEqual(["Ravi", "Kiran"]);
+  });
+
+  it("compares numbers within applicationIds by value", () => {
+    const withIds = entries.map((entry, index) => ({ ...entry, applicationId: ["A10", "A9", "A100", "A2"][index] }));
+
+    expect(names(allocateSeats(withIds, allocation).selected)).toEqual(["Ravi", "Kiran"]);
+  });
+
+  it("falls back to the scoring block when merit lists no field", () => {
+    const scored = entries.map((entry, index) => ({ ...entry, applicationId: `A${index + 1}`, score: index }));
+    const { selected } = allocateSeats(scored, { ...allocation, merit: [] }, { scoring: { threshold: 0 } });
+
+    expect(names(selected)).toEqual(["Kiran", "Meena"]);
+  });
+
+  it("reserves the horizontal percentage of all seats, sharing out the category remainders", () => {
+    const { seats } = allocateSeats([], {
+      totalSeats: 10,
+      vertical: [{ category: "sc", seats: 1 }, { category: "obc", seats: 2 }],
+      horizontal: [
+        { name: "female", field: "gender", values: ["female"], percent: 30 },
+        { name: "pwd", field: "disability", values: [true], percent: 4 },
+      ],
+    });
+
+    expect(seats.categories.map((category) => [category.category, category.seats, ...category.horizontal.map((quota) => quota.seats)])).toEqual([
+      ["open", 7, 2, 0],
+      ["sc", 1, 0, 0],
+      ["obc", 2, 1, 0],
+    ]);
+  });
+
+  it("fills a horizontal seat shared out to the open category", () => {
+    const applicants = [
+      ...["O1", "O2", "O3"].map((applicationId, index) => ({
+        applicationId,
+        details: { name: applicationId },
+        userProfile: { caste: "general", gender: "male", marks: 90 - index },
+      })),
+      { applicationId: "S1", details: { name: "S1" }, userProfile: { caste: "sc", gender: "male", marks: 70 } },
+      { applicationId: "S2", details: { name: "S2" }, userProfile: { caste: "sc", gender: "male", marks: 65 } },
+      { applicationId: "S3", details: { name: "S3" }, userProfile: { caste: "sc", gender: "female", marks: 50 } },
+    ];
+    const { selected, seats } = allocateSeats(applicants, {
+      totalSeats: 4,
+      vertical: [{ category: "sc", seats: 2 }],
+      horizontal: [{ name: "female", field: "gender", values: ["female"], percent: 25 }],
+      merit: [{ field: "marks", order: "desc" }],
+    });
+
+    // 25% of 4 seats is one seat; the shares of the open category and SC tie at 0.5 and the open category
+    // comes first, so the best placed woman of any category takes the place of O2
+    expect(seats.categories.map((category) => category.horizontal[0])).toEqual([
+      { name: "female", seats: 1, filled: 1 },
+      { name: "female", seats: 0, filled: 0 },
+    ]);
+    expect(names(selected)).toEqual(["O1", "S1", "S2", "S3"]);
+  });
+});
@@ -0,0 +1,51 @@
+const { normalizeText, normalizeValue, normalizeCriteriaValues } = require("../../src/utils/valueNormalizer");
+
+describe("normalizeValue", () => {
+  it("maps aliases to their canonical value, ignoring case and separators", () => {
+    expect(normalizeValue("MH", "state")).toBe("maharashtra");
+    expect(normalizeValue("OBC-NCL", "caste")).toBe("obc");
+    expect(normalizeValue(["Scheduled Caste", " Visual "], "caste")).toEqual(["sc", "Visual"]);
+  });
+
+  it("cleans text without a dictionary entry", () => {
+    expect(normalizeText("  Tamil  Nadu ")).toBe("Tamil Nadu");
+    expect(normalizeValue(42, "caste")).toBe(42);
+  });
+
+  it("prefers benefit specific dictionaries", () => {
+    const custom = { caste: { ebc: ["economically backward class"] } };
+
+    expect(normalizeValue("Economically Backward Class", "caste", custom)).toBe("ebc");
+  });
+
+  it.each(["constructor", "toString", "__proto__", "hasOwnProperty"])("does not resolve %s to a prototype member", (key) => {
+    expect(normalizeValue(key, "caste")).toBe(key);
+    expect(normalizeValue("sc", key)).toBe("sc");
+    expect(normalizeValue(key, key, { caste: {} })).toBe(key);
+  });
+});
+
+describe("normalizeCriteriaValues", () => {
+  it("normalizes the profile value and condition values alike", () => {
+    expect(normalizeCriteriaValues("Scheduled Caste", { name: "caste", condition: "in", conditionValues: ["SC", "ST"] })).toEqual({
+      value: "sc",
+      conditionValues: ["sc", "st"],
+      normalized: true,
+    });
+  });
+
+  it.each(["matches", "regex"])("leaves the pattern and value of %s conditions as written", (condition) => {
+    expect(normalizeCriteriaValues("SC", { name: "caste", condition, conditionValues: "^SC$" })).toEqual({
+      value: "SC",
+      conditionValues: "^SC$",
+      normalized: false,
+    });
+  });
+
+  it("leaves values alone with normalize: false", () => {
+    expect(normalizeCriteriaValues("MH", { name: "state", condition: "equals", conditionValues: "MH", normalize: false })).toMatchObject({
+      value: "MH",
+      normalized: false,
+    });
+  });
+});